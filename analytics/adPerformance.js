@@ -10,6 +10,8 @@ const zlib = require('zlib');
 const express = require('express');
 const { Kafka } = require('kafkajs');
 const amqp = require('amqplib/callback_api');
+const CreativeExperiment = require('../models/creativeExperiment');
+const { armResults } = require('./experimentStats');
 
 // Initialize Sentry for error monitoring
 Sentry.init({ dsn: 'YOUR_SENTRY_DSN' });
@@ -29,6 +31,7 @@ const adPerformanceSchema = new mongoose.Schema({
     adId: String,
     impressions: Number,
     clicks: Number,
+    conversions: Number,
     hoverDurations: [Number],
     engagementRate: Number,
     timestamps: [Date],
@@ -40,27 +43,51 @@ const AdPerformance = mongoose.model('AdPerformance', adPerformanceSchema);
 // WebSocket server for real-time updates
 const wss = new WebSocket.Server({ port: 8080 });
 
+// Count an event towards the creative experiment arm that served the ad, if any
+async function trackExperimentArm(experimentId, adId, counter) {
+    if (!experimentId) return;
+    try {
+        await CreativeExperiment.recordArmEvent(experimentId, adId, counter);
+    } catch (error) {
+        logger.error(`Error counting ${counter} for experiment ${experimentId}:`, error);
+        Sentry.captureException(error);
+    }
+}
+
 // Core Functions
-async function trackAdImpression(adId, viewerId) {
+async function trackAdImpression(adId, viewerId, experimentId) {
     // Log impression
     await AdPerformance.updateOne(
         { adId },
         { $inc: { impressions: 1 }, $push: { timestamps: new Date() } },
         { upsert: true }
     );
+    await trackExperimentArm(experimentId, adId, 'impressions');
     logger.info(`Impression tracked for ad ${adId} by viewer ${viewerId}`);
 }
 
-async function trackAdClick(adId, viewerId) {
+async function trackAdClick(adId, viewerId, experimentId) {
     // Log click
     await AdPerformance.updateOne(
         { adId },
         { $inc: { clicks: 1 }, $push: { timestamps: new Date() } },
         { upsert: true }
     );
+    await trackExperimentArm(experimentId, adId, 'clicks');
     logger.info(`Click tracked for ad ${adId} by viewer ${viewerId}`);
 }
 
+async function trackAdConversion(adId, viewerId, experimentId) {
+    // Log conversion
+    await AdPerformance.updateOne(
+        { adId },
+        { $inc: { conversions: 1 }, $push: { timestamps: new Date() } },
+        { upsert: true }
+    );
+    await trackExperimentArm(experimentId, adId, 'conversions');
+    logger.info(`Conversion tracked for ad ${adId} by viewer ${viewerId}`);
+}
+
 async function trackHoverDuration(adId, viewerId, duration) {
     // Log hover duration
     await AdPerformance.updateOne(
@@ -99,11 +126,13 @@ function triggerAdAlert(adId, type, message) {
 // WebSocket integration for real-time updates
 wss.on('connection', ws => {
     ws.on('message', async message => {
-        const { adId, action, viewerId, duration } = JSON.parse(message);
+        const { adId, action, viewerId, duration, experimentId } = JSON.parse(message);
         if (action === 'impression') {
-            await trackAdImpression(adId, viewerId);
+            await trackAdImpression(adId, viewerId, experimentId);
         } else if (action === 'click') {
-            await trackAdClick(adId, viewerId);
+            await trackAdClick(adId, viewerId, experimentId);
+        } else if (action === 'conversion') {
+            await trackAdConversion(adId, viewerId, experimentId);
         } else if (action === 'hover') {
             await trackHoverDuration(adId, viewerId, duration);
         }
@@ -115,6 +144,7 @@ wss.on('connection', ws => {
 module.exports = {
     trackAdImpression,
     trackAdClick,
+    trackAdConversion,
     trackHoverDuration,
     getAdPerformance,
     predictCTR,
@@ -156,13 +186,15 @@ async function detectFraud(adId, viewerId, action) {
 // WebSocket integration with compression and fraud detection
 wss.on('connection', ws => {
     ws.on('message', async message => {
-        const { adId, action, viewerId, duration } = JSON.parse(message);
+        const { adId, action, viewerId, duration, experimentId } = JSON.parse(message);
         if (await detectFraud(adId, viewerId, action)) return;
 
         if (action === 'impression') {
-            await trackAdImpression(adId, viewerId);
+            await trackAdImpression(adId, viewerId, experimentId);
         } else if (action === 'click') {
-            await trackAdClick(adId, viewerId);
+            await trackAdClick(adId, viewerId, experimentId);
+        } else if (action === 'conversion') {
+            await trackAdConversion(adId, viewerId, experimentId);
         } else if (action === 'hover') {
             await trackHoverDuration(adId, viewerId, duration);
         }
@@ -207,9 +239,17 @@ async function getHistoricalTrends(adId, startTime, endTime) {
     return trends;
 }
 
+// Creative experiment results: each arm's counts with 95% confidence intervals. Not served here:
+// results are only exposed through the campaign-owner-checked route in routes/adRoutes.js
+async function getExperimentResults(experimentId) {
+    const experiment = await CreativeExperiment.findById(experimentId);
+    return experiment && { experimentId, status: experiment.status, winner: experiment.winner, ...armResults(experiment.arms) };
+}
+
 module.exports = {
     trackAdImpression,
     trackAdClick,
+    trackAdConversion,
     trackHoverDuration,
     getAdPerformance,
     getCachedAdPerformance,
@@ -217,6 +257,7 @@ module.exports = {
     generateAdHeatmap,
     triggerAdAlert,
     getHistoricalTrends,
+    getExperimentResults,
 };
 // Integration with advertiser platforms or CRMs
 async function integrateWithCRM(adId, metrics) {
@@ -283,6 +324,7 @@ async function localizeMetrics(metrics, locale) {
 module.exports = {
     trackAdImpression,
     trackAdClick,
+    trackAdConversion,
     trackHoverDuration,
     getAdPerformance,
     getCachedAdPerformance,
@@ -290,6 +332,7 @@ module.exports = {
     generateAdHeatmap,
     triggerAdAlert,
     getHistoricalTrends,
+    getExperimentResults,
     integrateWithCRM,
     forecastTrends,
     updateAdaptiveModels,
@@ -356,6 +399,7 @@ async function generateCustomReport(adId, metrics, timeline) {
 module.exports = {
     trackAdImpression,
     trackAdClick,
+    trackAdConversion,
     trackHoverDuration,
     getAdPerformance,
     getCachedAdPerformance,
@@ -363,6 +407,7 @@ module.exports = {
     generateAdHeatmap,
     triggerAdAlert,
     getHistoricalTrends,
+    getExperimentResults,
     integrateWithCRM,
     forecastTrends,
     updateAdaptiveModels,
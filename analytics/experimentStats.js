@@ -0,0 +1,53 @@
+// Per-arm results of creative experiments (models/creativeExperiment.js), from the impression,
+// click and conversion counts analytics/adPerformance.js records for each arm.
+
+// z for a two-sided 95% interval
+const Z_95 = 1.96;
+
+/**
+ * Wilson score interval for a rate. Unlike the normal approximation it stays inside 0-1 and
+ * behaves with few trials or rates near 0, which is where early experiments sit.
+ * @param {Number} successes - e.g. clicks.
+ * @param {Number} trials - e.g. impressions.
+ * @param {Number} z - z-score of the confidence level.
+ * @returns {Object} - { rate, lower, upper }; all 0 without trials.
+ */
+function wilsonInterval(successes, trials, z = Z_95) {
+    if (!trials) {
+        return { rate: 0, lower: 0, upper: 0 };
+    }
+    const rate = successes / trials;
+    const z2 = z * z;
+    const centre = (rate + z2 / (2 * trials)) / (1 + z2 / trials);
+    const margin = (z / (1 + z2 / trials)) * Math.sqrt((rate * (1 - rate)) / trials + z2 / (4 * trials * trials));
+    return { rate, lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
+}
+
+/**
+ * Results per arm: click-through rate per impression and conversion rate per click, each with
+ * its 95% interval. The arm with the best click-through rate leads; it is `separated` once its
+ * interval no longer overlaps any other arm's.
+ * @param {Array} arms - [{ ad, active, impressions, clicks, conversions }]
+ * @returns {Object} - { confidence, arms: [...], leader, separated }
+ */
+function armResults(arms) {
+    const results = arms.map(arm => ({
+        ad: arm.ad,
+        active: arm.active,
+        impressions: arm.impressions,
+        clicks: arm.clicks,
+        conversions: arm.conversions,
+        ctr: wilsonInterval(arm.clicks, arm.impressions),
+        conversionRate: wilsonInterval(arm.conversions, arm.clicks),
+    }));
+    const leader = results.reduce((best, arm) => (!best || arm.ctr.rate > best.ctr.rate ? arm : best), null);
+    const separated = Boolean(leader) && results.length > 1 && results
+        .filter(arm => arm !== leader)
+        .every(arm => leader.ctr.lower > arm.ctr.upper);
+    return { confidence: 0.95, arms: results, leader: leader && leader.impressions ? leader.ad : null, separated };
+}
+
+module.exports = {
+    wilsonInterval,
+    armResults,
+};
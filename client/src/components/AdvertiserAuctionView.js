@@ -35,10 +35,12 @@ const AdvertiserAuctionView = () => {
     const [bidAmount, setBidAmount] = useState('');
     const [loading, setLoading] = useState(true);
     const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: '' });
+    const [watchedIds, setWatchedIds] = useState(new Set());
     const { socket } = useContext(WebSocketContext);
 
     useEffect(() => {
         fetchAuctions();
+        fetchWatchlist();
         socket.on('auctionUpdate', handleAuctionUpdate);
         return () => {
             socket.off('auctionUpdate', handleAuctionUpdate);
@@ -57,10 +59,45 @@ const AdvertiserAuctionView = () => {
         }
     };
 
+    const fetchWatchlist = async () => {
+        try {
+            const response = await apiClient.get('/watchlist');
+            setWatchedIds(new Set(response.data.auctions.map(({ auction }) => auction._id)));
+        } catch (error) {
+            console.error('Error fetching watchlist:', error);
+        }
+    };
+
+    const handleToggleWatch = async (auctionId) => {
+        try {
+            if (watchedIds.has(auctionId)) {
+                await apiClient.delete(`/watchlist/${auctionId}`);
+                setWatchedIds((prev) => new Set([...prev].filter((id) => id !== auctionId)));
+            } else {
+                await apiClient.post('/watchlist', { auctionId });
+                setWatchedIds((prev) => new Set(prev).add(auctionId));
+            }
+        } catch (error) {
+            console.error('Error updating watchlist:', error);
+            setSnackbar({ open: true, message: 'Error updating watchlist', severity: 'error' });
+        }
+    };
+
+    // Save the category filter; matching auctions scheduled later are announced by notification
+    const handleSaveSearch = async () => {
+        try {
+            await apiClient.post('/saved-searches', { name: `Category: ${filter}`, filters: { categories: [filter] } });
+            setSnackbar({ open: true, message: 'Search saved. We will let you know about new matching auctions.', severity: 'success' });
+        } catch (error) {
+            console.error('Error saving search:', error);
+            setSnackbar({ open: true, message: 'Error saving search', severity: 'error' });
+        }
+    };
+
     const handleAuctionUpdate = (updatedAuction) => {
         setAuctions((prevAuctions) =>
             prevAuctions.map((auction) =>
-                auction.id === updatedAuction.id ? updatedAuction : auction
+                auction._id === updatedAuction._id ? updatedAuction : auction
             )
         );
     };
@@ -71,7 +108,7 @@ const AdvertiserAuctionView = () => {
             return;
         }
 
-        const auction = auctions.find(a => a.id === auctionId);
+        const auction = auctions.find(a => a._id === auctionId);
         if (bidAmount <= auction.highestBid) {
             setSnackbar({ open: true, message: 'Bid must be higher than the current highest bid', severity: 'error' });
             return;
@@ -134,12 +171,21 @@ const AdvertiserAuctionView = () => {
                         <MenuItem value="minBid">Minimum Bid</MenuItem>
                         <MenuItem value="highestBid">Highest Bid</MenuItem>
                     </Select>
+                    <Button
+                        variant="outlined"
+                        onClick={handleSaveSearch}
+                        disabled={!filter}
+                        className={classes.filter}
+                        aria-label="Save Search"
+                    >
+                        Save Search
+                    </Button>
                 </Grid>
                 {loading ? (
                     <CircularProgress />
                 ) : (
                     filteredAuctions.map((auction) => (
-                        <Grid item xs={12} sm={6} md={4} key={auction.id}>
+                        <Grid item xs={12} sm={6} md={4} key={auction._id}>
                             <Card className={classes.card}>
                                 <CardMedia
                                     className={classes.media}
@@ -163,12 +209,19 @@ const AdvertiserAuctionView = () => {
                                     <Button
                                         variant="contained"
                                         color="primary"
-                                        onClick={() => handleBid(auction.id)}
+                                        onClick={() => handleBid(auction._id)}
                                         disabled={bidAmount <= auction.highestBid}
                                         aria-label="Place Bid"
                                     >
                                         Place Bid
                                     </Button>
+                                    <Button
+                                        variant="text"
+                                        onClick={() => handleToggleWatch(auction._id)}
+                                        aria-label={watchedIds.has(auction._id) ? 'Unwatch Auction' : 'Watch Auction'}
+                                    >
+                                        {watchedIds.has(auction._id) ? 'Unwatch' : 'Watch'}
+                                    </Button>
                                 </CardContent>
                             </Card>
                         </Grid>
@@ -271,7 +324,7 @@ return (
                 <CircularProgress />
             ) : (
                 filteredAuctions.map((auction) => (
-                    <Grid item xs={12} sm={6} md={4} key={auction.id}>
+                    <Grid item xs={12} sm={6} md={4} key={auction._id}>
                         <animated.div style={useSpring({ opacity: 1, from: { opacity: 0 } })}>
                             <Card className={classes.card}>
                                 <CardMedia
@@ -297,7 +350,7 @@ return (
                                     <Button
                                         variant="contained"
                                         color="primary"
-                                        onClick={() => handleBid(auction.id)}
+                                        onClick={() => handleBid(auction._id)}
                                         disabled={bidAmount <= auction.highestBid}
                                         aria-label="Place Bid"
                                     >
@@ -306,7 +359,7 @@ return (
                                     <Button
                                         variant="outlined"
                                         color="secondary"
-                                        onClick={() => handleRetry(auction.id)}
+                                        onClick={() => handleRetry(auction._id)}
                                         aria-label="Retry Bid"
                                     >
                                         Retry
@@ -26,6 +26,7 @@ const BidInterface = ({ currentAuction, userId }) => {
     const [suggestedBid, setSuggestedBid] = useState(null);
     const [isConnected, setIsConnected] = useState(false);
     const [auctionTimeLeft, setAuctionTimeLeft] = useState('');
+    const [endTime, setEndTime] = useState(currentAuction?.endTime);
 
     const { sendJsonMessage, lastJsonMessage } = useWebSocket('wss://your-websocket-url', {
         onOpen: () => setIsConnected(true),
@@ -33,6 +34,16 @@ const BidInterface = ({ currentAuction, userId }) => {
         shouldReconnect: () => true,
     });
 
+    // Join this auction's room; the server only sends us updates for rooms we are in.
+    // Resubscribes after a reconnect and leaves the old room when the auction changes.
+    const auctionId = currentAuction?.id;
+    useEffect(() => {
+        if (!isConnected || !auctionId) return undefined;
+        const room = { type: 'auction', id: auctionId };
+        sendJsonMessage({ action: 'SUBSCRIBE', room });
+        return () => sendJsonMessage({ action: 'UNSUBSCRIBE', room });
+    }, [isConnected, auctionId, sendJsonMessage]);
+
     // Update top bid in real-time via WebSocket
     useEffect(() => {
         if (lastJsonMessage && lastJsonMessage.type === 'newBid' && lastJsonMessage.auctionId === currentAuction.id) {
@@ -40,6 +51,21 @@ const BidInterface = ({ currentAuction, userId }) => {
         }
     }, [lastJsonMessage, currentAuction]);
 
+    // Reset the countdown when a late bid extends the auction (soft close)
+    useEffect(() => {
+        if (lastJsonMessage && lastJsonMessage.type === 'AUCTION_EXTENDED' && lastJsonMessage.auctionId === currentAuction.id) {
+            setEndTime(lastJsonMessage.expirationTime);
+            enqueueSnackbar(
+                `Auction extended after a late bid (${lastJsonMessage.extensionCount}/${lastJsonMessage.maxExtensions})`,
+                { variant: 'info' }
+            );
+        }
+    }, [lastJsonMessage, currentAuction, enqueueSnackbar]);
+
+    useEffect(() => {
+        setEndTime(currentAuction?.endTime);
+    }, [currentAuction]);
+
     // Fetch AI-predicted bid suggestion
     useEffect(() => {
         const fetchSuggestedBid = async () => {
@@ -60,14 +86,14 @@ const BidInterface = ({ currentAuction, userId }) => {
     // Calculate time left for auction
     useEffect(() => {
         const updateAuctionTimeLeft = () => {
-            const timeLeft = formatDistanceToNow(new Date(currentAuction.endTime));
+            const timeLeft = formatDistanceToNow(new Date(endTime));
             setAuctionTimeLeft(timeLeft);
         };
 
         updateAuctionTimeLeft();
         const interval = setInterval(updateAuctionTimeLeft, 1000);
         return () => clearInterval(interval);
-    }, [currentAuction]);
+    }, [endTime]);
 
     const handleBidChange = (event) => {
         setBidAmount(event.target.value);
@@ -157,7 +183,7 @@ const BidInterface = ({ currentAuction, userId }) => {
                     0,
                     Math.min(
                         100,
-                        (1 - (new Date(currentAuction.endTime) - new Date()) / (new Date(currentAuction.endTime) - new Date(currentAuction.startTime))) * 100
+                        (1 - (new Date(endTime) - new Date()) / (new Date(endTime) - new Date(currentAuction.startTime))) * 100
                     )
                 )}
                 style={{ marginTop: theme.spacing(2), marginBottom: theme.spacing(2) }}
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Box, Button, TextField, Typography } from '@material-ui/core';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const clock = (hour) => `${String(hour).padStart(2, '0')}:00`;
+const hourOf = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours + minutes / 60;
+};
+
+export const defaultSchedule = () => ({
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    windows: [],
+});
+
+// Expand schedule windows into a day x hour grid of booleans
+const toGrid = (windows) => {
+    const grid = DAYS.map(() => HOURS.map(() => false));
+    windows.forEach(({ days, start, end }) => {
+        const from = Math.floor(hourOf(start));
+        const to = Math.ceil(hourOf(end));
+        days.forEach((day) => {
+            for (let hour = from; hour < to; hour++) grid[day][hour] = true;
+        });
+    });
+    return grid;
+};
+
+// Collapse the grid back into windows: one per run of selected hours, runs on the same hours sharing a window
+const toWindows = (grid) => {
+    const runs = new Map();
+    grid.forEach((hours, day) => {
+        let start = null;
+        [...hours, false].forEach((selected, hour) => {
+            if (selected && start === null) start = hour;
+            if (!selected && start !== null) {
+                const key = `${clock(start)}-${clock(hour)}`;
+                runs.set(key, [...(runs.get(key) || []), day]);
+                start = null;
+            }
+        });
+    });
+    return [...runs.entries()].map(([key, days]) => {
+        const [start, end] = key.split('-');
+        return { days, start, end };
+    });
+};
+
+// Weekly delivery schedule: click or drag across hours to select when the campaign runs.
+// Nothing selected means around the clock.
+const CampaignScheduleEditor = ({ value, onChange }) => {
+    const schedule = value || defaultSchedule();
+    const grid = toGrid(schedule.windows);
+    const [painting, setPainting] = useState(null);
+
+    const setCell = (day, hour, selected) => {
+        if (grid[day][hour] === selected) return;
+        const next = grid.map((hours) => [...hours]);
+        next[day][hour] = selected;
+        onChange({ ...schedule, windows: toWindows(next) });
+    };
+
+    const setDays = (days, hours) => {
+        const next = grid.map((row, day) => row.map((selected, hour) => (days.includes(day) ? hours.includes(hour) : selected)));
+        onChange({ ...schedule, windows: toWindows(next) });
+    };
+
+    return (
+        <Box my={2} onMouseUp={() => setPainting(null)} onMouseLeave={() => setPainting(null)}>
+            <Typography variant="h6">Delivery Schedule</Typography>
+            <Typography variant="body2" color="textSecondary">
+                {schedule.windows.length ? 'Ads run and auto-bids are placed only in the selected hours.' : 'No hours selected: the campaign runs around the clock.'}
+            </Typography>
+            <TextField
+                label="Timezone"
+                value={schedule.timezone}
+                onChange={(event) => onChange({ ...schedule, timezone: event.target.value })}
+                helperText="IANA timezone, e.g. America/New_York"
+                margin="dense"
+            />
+            <Box display="flex" my={1}>
+                <Button size="small" onClick={() => setDays([1, 2, 3, 4, 5], [18, 19, 20, 21, 22])}>Weekday evenings</Button>
+                <Button size="small" onClick={() => setDays([0, 6], HOURS)}>Weekends</Button>
+                <Button size="small" onClick={() => onChange({ ...schedule, windows: [] })}>Clear</Button>
+            </Box>
+            {DAYS.map((dayName, day) => (
+                <Box key={dayName} display="flex" alignItems="center">
+                    <Typography variant="caption" style={{ width: 36 }}>{dayName}</Typography>
+                    {HOURS.map((hour) => (
+                        <Box
+                            key={hour}
+                            title={`${dayName} ${clock(hour)}-${clock(hour + 1)}`}
+                            width={16}
+                            height={16}
+                            m="1px"
+                            bgcolor={grid[day][hour] ? 'primary.main' : 'grey.300'}
+                            style={{ cursor: 'pointer' }}
+                            onMouseDown={() => {
+                                setPainting(!grid[day][hour]);
+                                setCell(day, hour, !grid[day][hour]);
+                            }}
+                            onMouseEnter={() => painting !== null && setCell(day, hour, painting)}
+                        />
+                    ))}
+                </Box>
+            ))}
+        </Box>
+    );
+};
+
+export default CampaignScheduleEditor;
@@ -19,6 +19,7 @@ import { analyzeBehavior } from './BehavioralBiometrics';
 import { GestureControl } from './GestureControl';
 import { initializeTelemetry } from './Telemetry';
 import { getUserPreferences, getUserLanguage } from './UserPreferences';
+import CampaignScheduleEditor, { defaultSchedule } from './CampaignScheduleEditor';
 
 const ChatbotAssistant = lazy(() => import('./ChatbotAssistant'));
 
@@ -230,6 +231,12 @@ const CreateCampaign = () => {
                     rules={{ validate: validateTargetAudience }}
                     render={({ field }) => <TextField {...field} label="Target Audience" error={!!errors.targetAudience} helperText={errors.targetAudience?.message} fullWidth />}
                 />
+                <Controller
+                    name="schedule"
+                    control={control}
+                    defaultValue={defaultSchedule()}
+                    render={({ field }) => <CampaignScheduleEditor value={field.value} onChange={field.onChange} />}
+                />
                 <TwitchOAuthButton onSuccess={setTwitchToken} onError={(error) => enqueueSnackbar('Twitch authentication failed', { variant: 'error' })} />
                 <Button type="submit" variant="contained" color="primary" fullWidth disabled={loading}>
                     {loading ? <CircularProgress size={24} /> : 'Create Campaign'}
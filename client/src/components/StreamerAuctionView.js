@@ -73,10 +73,12 @@ const StreamerAuctionView = () => {
     };
 
     const handleEndAuction = (auctionId) => {
-        endAuctionEarly(auctionId).then(() => {
+        endAuctionEarly(auctionId).then((result) => {
+            // Ending early settles the auction, or fails it when the reserve was not met
+            const status = (result && result.auction && result.auction.status) || 'settled';
             setAuctions((prevAuctions) =>
                 prevAuctions.map((auction) =>
-                    auction.id === auctionId ? { ...auction, status: 'completed' } : auction
+                    auction.id === auctionId ? { ...auction, status } : auction
                 )
             );
         }).catch((error) => {
@@ -120,7 +122,7 @@ const StreamerAuctionView = () => {
                                     <Typography variant="body2">Highest Bid: ${auction.highestBid}</Typography>
                                     <Typography variant="body2">Number of Bids: {auction.numBids}</Typography>
                                     <Typography variant="body2">Status: {auction.status}</Typography>
-                                    <Button onClick={() => handleEndAuction(auction.id)} disabled={auction.status !== 'active'}>
+                                    <Button onClick={() => handleEndAuction(auction.id)} disabled={auction.status !== 'live'}>
                                         End Auction Early
                                     </Button>
                                     <Button onClick={() => openBanModal('bidderId')}>
@@ -1,6 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { w3cwebsocket as W3CWebSocket } from 'websocket';
-import CryptoJS from 'crypto-js';
 import * as tf from '@tensorflow/tfjs';
 import { ethers } from 'ethers';
 import { toast } from 'react-toastify';
@@ -25,13 +24,15 @@ import {
 
 // Environment Variables
 const wsBaseUrl = process.env.REACT_APP_WS_BASE_URL || 'wss://bidding-server.com/auctions/';
+const apiBaseUrl = process.env.REACT_APP_API_BASE_URL || '/api';
 const blockchainNodeUrl = process.env.REACT_APP_BLOCKCHAIN_NODE_URL || 'https://blockchain-node-url.com';
 const contractAddress = process.env.REACT_APP_CONTRACT_ADDRESS || 'contract-address';
-const secretKey = process.env.REACT_APP_SECRET_KEY || 'default-secret-key'; // Ensure secretKey is set
 const modelPath = process.env.REACT_APP_BID_MODEL_PATH || '/path/to/bid-prediction-model.json';
 const maxRetries = 5;
+const auctionRoom = (auctionId) => ({ type: 'auction', id: auctionId });
 
-const useRealTimeBidding = (auctionId) => {
+// Bids are paid from `campaignId`; the server holds the leading amount against its budget
+const useRealTimeBidding = (auctionId, campaignId) => {
     // State Variables
     const [auctionDetails, setAuctionDetails] = useState({});
     const [error, setError] = useState(null);
@@ -39,7 +40,6 @@ const useRealTimeBidding = (auctionId) => {
     const [autoBidEnabled, setAutoBidEnabled] = useState(false);
     const [predictedBid, setPredictedBid] = useState(null);
     const [bidHistory, setBidHistory] = useState([]);
-    const [isAutoBidding, setIsAutoBidding] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const [missedMessages, setMissedMessages] = useState([]);
     const client = new W3CWebSocket(`${wsBaseUrl}${auctionId}`);
@@ -68,6 +68,9 @@ const useRealTimeBidding = (auctionId) => {
                 toast.success('WebSocket Client Connected');
                 Sentry.captureMessage('WebSocket Client Connected');
 
+                // Join this auction's room; the server only sends us updates for rooms we are in
+                client.send(JSON.stringify({ action: 'SUBSCRIBE', room: auctionRoom(auctionId) }));
+
                 // Resend missed messages
                 missedMessages.forEach((msg) => client.send(msg));
                 setMissedMessages([]);
@@ -94,10 +97,26 @@ const useRealTimeBidding = (auctionId) => {
             client.onmessage = (message) => {
                 try {
                     const data = JSON.parse(message.data);
-                    if (!data.currentBid || !data.minimumIncrement) {
-                        throw new Error('Incomplete auction details received.');
+                    switch (data.type) {
+                        case 'SUBSCRIBED':
+                        case 'UNSUBSCRIBED':
+                            return;
+                        case 'ERROR':
+                            handleError('WebSocket', data.message);
+                            return;
+                        case 'AUCTION_ENDED':
+                            toast.info('The auction has ended.');
+                            break;
+                        case 'outbid':
+                            toast.warn('You have been outbid!');
+                            break;
+                        default:
+                            break;
                     }
-                    setAuctionDetails(data);
+
+                    // Room updates are partial (BID_UPDATE, AUCTION_EXTENDED, ...), so merge them
+                    const { type, room, ...details } = data;
+                    setAuctionDetails((prev) => ({ ...prev, ...details }));
 
                     setBidHistory((prev) => {
                         const newBids = (data.bids || []).filter(
@@ -105,10 +124,6 @@ const useRealTimeBidding = (auctionId) => {
                         );
                         return [...prev, ...newBids].slice(-100); // Limit to last 100 bids
                     });
-
-                    if (data.type === 'outbid') {
-                        toast.warn('You have been outbid!');
-                    }
                 } catch (err) {
                     handleError('WebSocket', 'Failed to parse message.', err);
                 }
@@ -120,7 +135,7 @@ const useRealTimeBidding = (auctionId) => {
         };
 
         establishConnection();
-    }, [client, missedMessages]);
+    }, [client, auctionId, missedMessages]);
 
     // Predict Optimal Bid
     const predictOptimalBid = useCallback(async () => {
@@ -137,59 +152,80 @@ const useRealTimeBidding = (auctionId) => {
         }
     }, [auctionDetails.currentBid]);
 
-    // Submit a Bid
-    const submitBid = (bidAmount) => {
-        if (!isConnected) {
-            toast.error('Cannot submit a bid while disconnected.');
-            return;
-        }
+    // Submit a Bid. Each bid gets one Idempotency-Key that is reused when a dropped request
+    // is retried, so the server returns the original result instead of bidding twice.
+    const submitBid = async (bidAmount) => {
         if (bidAmount < (auctionDetails.currentBid || 0) + (auctionDetails.minimumIncrement || 0)) {
             return handleError('Validation', 'Bid amount is below the minimum increment.');
         }
 
-        const message = JSON.stringify({
-            type: 'submitBid',
-            data: CryptoJS.AES.encrypt(
-                JSON.stringify({ bidAmount, userId: 'user123', timestamp: Date.now() }),
-                secretKey
-            ).toString(),
-            hmac: CryptoJS.HmacSHA256(
-                JSON.stringify({ bidAmount, userId: 'user123', timestamp: Date.now() }),
-                secretKey
-            ).toString(),
-        });
+        const idempotencyKey = window.crypto.randomUUID();
+        setIsLoading(true);
+        try {
+            for (let attempt = 0; ; attempt++) {
+                let response;
+                try {
+                    response = await fetch(`${apiBaseUrl}/auctions/${auctionId}/bids`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+                        body: JSON.stringify({ amount: bidAmount, campaignId }),
+                    });
+                } catch (networkError) {
+                    // fetch only rejects when the request never completed; retry with the same key
+                    if (attempt >= maxRetries) throw networkError;
+                    await new Promise((resolve) => setTimeout(resolve, 500 * 2 ** attempt));
+                    continue;
+                }
 
-        if (client.readyState === W3CWebSocket.OPEN) {
-            client.send(message);
-        } else {
-            setMissedMessages((prev) => [...prev, message]);
+                const data = await response.json();
+                if (data.code === 'OUTBID_WHILE_SUBMITTING') {
+                    toast.warn(`You were outbid while submitting. The leading bid is now ${data.highestBid}.`);
+                    return data;
+                }
+                if (data.code === 'BUDGET_EXCEEDED') {
+                    toast.error(`Not enough campaign budget: ${data.available} is available for this auction.`);
+                    return data;
+                }
+                if (data.code === 'PACING_LIMITED') {
+                    toast.warn(`Your campaign is ahead of its budget pacing: ${data.available} can be bid right now.`);
+                    return data;
+                }
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to submit bid.');
+                }
+                toast.success(data.leading ? 'Bid placed. You are the highest bidder.' : 'Bid placed.');
+                return data;
+            }
+        } catch (error) {
+            handleError('Bid', error.message, error);
+        } finally {
+            setIsLoading(false);
         }
-
-        toast.success('Bid submitted successfully.');
     };
 
-    // Enable or Disable Auto-Bidding
-    const setAutoBid = (enabled) => {
-        setAutoBidEnabled(enabled);
-        if (enabled) {
-            toast.info('Auto-bidding enabled.');
-            autoBid();
+    // Enable or Disable Auto-Bidding. The server holds the maximum and bids on our
+    // behalf, so auto-bidding keeps working after this tab is closed.
+    const setAutoBid = async (enabled, maxAmount) => {
+        setIsLoading(true);
+        try {
+            const response = await fetch(`${apiBaseUrl}/auctions/${auctionId}/proxy-bid`, {
+                method: enabled ? 'POST' : 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: enabled ? JSON.stringify({ maxAmount, campaignId }) : undefined,
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update auto-bid.');
+            }
+            setAutoBidEnabled(enabled);
+            toast.info(enabled ? `Auto-bidding enabled up to ${maxAmount}.` : 'Auto-bidding disabled.');
+        } catch (error) {
+            handleError('AutoBid', error.message, error);
+        } finally {
+            setIsLoading(false);
         }
     };
 
-    const autoBid = useCallback(() => {
-        if (!autoBidEnabled || isAutoBidding || !auctionDetails.currentBid) return;
-
-        setIsAutoBidding(true);
-        const optimalBid = Math.max(
-            (auctionDetails.currentBid || 0) + (auctionDetails.minimumIncrement || 0),
-            predictedBid || 0
-        );
-        submitBid(optimalBid);
-
-        setTimeout(() => setIsAutoBidding(false), 2000); // Throttle auto-bid
-    }, [autoBidEnabled, isAutoBidding, auctionDetails, predictedBid]);
-
     // Verify Winning Bid on Blockchain
     const verifyWinningBid = async (winningBid) => {
         setIsLoading(true);
@@ -211,6 +247,9 @@ const useRealTimeBidding = (auctionId) => {
     useEffect(() => {
         connectWebSocket();
         return () => {
+            if (client.readyState === W3CWebSocket.OPEN) {
+                client.send(JSON.stringify({ action: 'UNSUBSCRIBE', room: auctionRoom(auctionId) }));
+            }
             client.close();
             model?.dispose();
         };
@@ -221,6 +260,7 @@ const useRealTimeBidding = (auctionId) => {
         error,
         isConnected,
         submitBid,
+        autoBidEnabled,
         setAutoBid,
         predictOptimalBid,
         verifyWinningBid,
@@ -230,21 +270,23 @@ const useRealTimeBidding = (auctionId) => {
     };
 };
 
-const AuctionComponent = ({ auctionId }) => {
+const AuctionComponent = ({ auctionId, campaignId }) => {
     const {
         auctionDetails,
         error,
         isConnected,
         submitBid,
+        autoBidEnabled,
         setAutoBid,
         predictOptimalBid,
         verifyWinningBid,
         predictedBid,
         bidHistory,
         isLoading,
-    } = useRealTimeBidding(auctionId);
+    } = useRealTimeBidding(auctionId, campaignId);
 
     const [bidAmount, setBidAmount] = useState('');
+    const [maxBid, setMaxBid] = useState('');
 
     const handleBidChange = (e) => {
         setBidAmount(e.target.value);
@@ -263,6 +305,19 @@ const AuctionComponent = ({ auctionId }) => {
         submitBid(amount);
     };
 
+    const handleAutoBidToggle = () => {
+        if (autoBidEnabled) {
+            setAutoBid(false);
+            return;
+        }
+        const amount = parseFloat(maxBid);
+        if (isNaN(amount) || amount < auctionDetails.currentBid + auctionDetails.minimumIncrement) {
+            toast.error('Please enter a maximum bid that meets the minimum increment.');
+            return;
+        }
+        setAutoBid(true, amount);
+    };
+
     return (
         <Container>
             <Card>
@@ -290,7 +345,16 @@ const AuctionComponent = ({ auctionId }) => {
                     <Button variant="contained" color="primary" onClick={handleBidSubmit}>
                         Submit Bid
                     </Button>
-                    <Button variant="contained" color="secondary" onClick={() => setAutoBid(!autoBidEnabled)}>
+                    <TextField
+                        label="Maximum Auto-Bid"
+                        value={maxBid}
+                        onChange={(e) => setMaxBid(e.target.value)}
+                        type="number"
+                        fullWidth
+                        margin="normal"
+                        helperText="Kept private. We bid for you, one increment at a time, up to this amount."
+                    />
+                    <Button variant="contained" color="secondary" onClick={handleAutoBidToggle}>
                         {autoBidEnabled ? 'Disable Auto-Bid' : 'Enable Auto-Bid'}
                     </Button>
                     <Button variant="contained" onClick={predictOptimalBid}>
@@ -306,7 +370,7 @@ const AuctionComponent = ({ auctionId }) => {
                         </Typography>
                     )}
                     {autoBidEnabled && (
-                        <Alert severity="info">Auto-bidding is active. Bids will be placed automatically.</Alert>
+                        <Alert severity="info">Auto-bidding is active. The server will outbid competitors up to your maximum.</Alert>
                     )}
                 </CardContent>
             </Card>
@@ -321,6 +385,7 @@ const AuctionComponent = ({ auctionId }) => {
                         <TableHead>
                             <TableRow>
                                 <TableCell>Bid Amount</TableCell>
+                                <TableCell>Type</TableCell>
                                 <TableCell>Timestamp</TableCell>
                             </TableRow>
                         </TableHead>
@@ -328,6 +393,7 @@ const AuctionComponent = ({ auctionId }) => {
                             {bidHistory.map((bid, index) => (
                                 <TableRow key={index}>
                                     <TableCell>{bid.amount}</TableCell>
+                                    <TableCell>{bid.isProxy ? 'Auto' : 'Manual'}</TableCell>
                                     <TableCell>{new Date(bid.timestamp).toLocaleString()}</TableCell>
                                 </TableRow>
                             ))}
@@ -12,7 +12,8 @@ const AuctionUtils = {
         if (bid.amount < auction.minimumIncrement) {
             return false;
         }
-        if (auction.status !== 'open') {
+        // Mirrors the server lifecycle: only live auctions take bids
+        if (auction.status !== 'live') {
             return false;
         }
         return true;
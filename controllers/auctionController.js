@@ -1,5 +1,11 @@
-const { Auction } = require('../models/auction');
+const Auction = require('../models/auction');
 const BiddingEngine = require('../bidding/BiddingEngine');
+const auctionService = require('../services/auctionService');
+const auctionScheduler = require('../services/auctionScheduler');
+const priorityEngine = require('../services/priorityEngine');
+const rateSnapshotService = require('../services/rateSnapshotService');
+const { AUCTION_STATES, AuctionTransitionError } = require('../utils/auctionStateMachine');
+const { replayAuction } = require('../utils/bidLedger');
 const blockchainMiddleware = require('../blockchainMiddleware');
 const aiMiddleware = require('../aiMiddleware');
 const sustainabilityMiddleware = require('../sustainabilityMiddleware');
@@ -41,6 +47,10 @@ const broadcastUpdate = (event, data) => {
     });
 };
 
+// Illegal lifecycle moves are conflicts, not server errors
+const sendTransitionError = (res, error) =>
+    res.status(error.statusCode).json({ error: error.message, code: error.code, from: error.from, to: error.to });
+
 // Controller: Create a new auction
 exports.createAuction = async (req, res) => {
     try {
@@ -49,7 +59,7 @@ exports.createAuction = async (req, res) => {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { title, basePrice, currency, startTime, endTime, adDetails, region } = req.body;
+        const { title, basePrice, currency, acceptedCurrencies, startTime, endTime, adDetails, region, category, expectedViewers, clearingRule, auctionType, sealedBid, dutch, adBreak, softClose, retractionWindowSeconds } = req.body;
 
         // AI-powered base price recommendation
         const recommendedBasePrice = await aiMiddleware.recommendBasePrice(region, adDetails);
@@ -65,23 +75,48 @@ exports.createAuction = async (req, res) => {
             title,
             basePrice: finalBasePrice,
             currency,
+            acceptedCurrencies,
             startTime,
-            endTime,
+            expirationTime: endTime,
             adDetails,
+            region,
+            category,
+            expectedViewers,
+            clearingRule,
+            auctionType,
+            sealedBid,
+            dutch,
+            adBreak,
+            softClose,
+            retractionWindowSeconds,
+            streamer: req.user.id,
             highestBid: finalBasePrice,
-            status: 'pending',
         });
 
+        // New auctions start as drafts and are scheduled straight away; they go live once the start time is reached
+        auction.transitionTo(AUCTION_STATES.SCHEDULED, { actor: req.user.id, reason: 'created' });
+        if (!auction.startTime || auction.startTime <= new Date()) {
+            auction.transitionTo(AUCTION_STATES.LIVE, { actor: 'system', reason: 'start_time_reached' });
+            auction.rateSnapshot = await rateSnapshotService.snapshotFor(auction);
+        }
         await auction.save();
         totalAuctionsCreated.inc();
         logger.info(`Auction created: ${auction._id}`);
 
+        if (auction.auctionType === 'dutch' && auction.status === AUCTION_STATES.LIVE) {
+            await auctionService.startDutchAuction(auction._id);
+        }
+        await auctionScheduler.scheduleAuction(auction);
+
         // Broadcast real-time update
         broadcastUpdate('auctionCreated', auction);
 
         return res.status(201).json({ message: 'Auction created successfully', auction });
     } catch (error) {
         logger.error('Error creating auction:', error);
+        if (error instanceof AuctionTransitionError) {
+            return sendTransitionError(res, error);
+        }
         return res.status(500).json({ error: 'Internal Server Error' });
     }
 };
@@ -133,7 +168,7 @@ exports.getActiveAuctions = async (req, res) => {
             return res.status(200).json(JSON.parse(cachedAuctions));
         }
 
-        const auctions = await Auction.find({ status: 'active', endTime: { $gte: Date.now() } });
+        const auctions = await Auction.find({ status: AUCTION_STATES.LIVE, expirationTime: { $gte: Date.now() } });
         if (!auctions.length) {
             return res.status(404).json({ error: 'No active auctions found' });
         }
@@ -155,17 +190,22 @@ exports.getActiveAuctions = async (req, res) => {
     }
 };
 
-// Controller: Finalize an auction
+// Controller: Finalize an auction. Only its streamer or an admin may end it.
 exports.finalizeAuction = async (req, res) => {
     try {
+        if (!(await findManagedAuction(req, res, 'Only the auction\'s streamer can finalize it'))) return;
+
         const { id } = req.params;
         const auction = await Auction.findById(id);
-
         if (!auction) {
             return res.status(404).json({ error: 'Auction not found' });
         }
-        if (auction.status !== 'active') {
-            return res.status(400).json({ error: 'Auction is not active' });
+        // Sealed-bid winners are only known once the reveal window closes
+        if (auction.auctionType === 'sealed_bid') {
+            const settled = await auctionService.settleSealedBidAuction(id);
+            finalizedAuctions.inc();
+            broadcastUpdate('auctionFinalized', { auction: settled });
+            return res.status(200).json({ message: 'Auction finalized successfully', auction: settled });
         }
 
         // Fraud detection with federated learning
@@ -174,6 +214,9 @@ exports.finalizeAuction = async (req, res) => {
             return res.status(400).json({ error: 'High fraud risk detected' });
         }
 
+        // Validate the transition before any side effects; it is only persisted once they succeed
+        auction.closeAndSettle({ actor: req.user.id, reason: 'finalized', endEarly: true });
+
         // Finalize auction in BiddingEngine
         await BiddingEngine.finalizeAuction(id);
 
@@ -183,9 +226,10 @@ exports.finalizeAuction = async (req, res) => {
         // Enable AR/VR features
         await BiddingEngine.enableARFeatures(id);
 
-        auction.status = 'completed';
         await auction.save();
         finalizedAuctions.inc();
+        // Ends the auction's room and queues the won / lost / reserve-not-met alerts
+        auctionService.auctionEvents.emit('auctionClosed', auction);
 
         // Broadcast real-time update
         broadcastUpdate('auctionFinalized', { auction, transactionHash });
@@ -194,6 +238,380 @@ exports.finalizeAuction = async (req, res) => {
         return res.status(200).json({ message: 'Auction finalized successfully', auction, transactionHash });
     } catch (error) {
         logger.error('Error finalizing auction:', error);
+        if (error instanceof AuctionTransitionError) {
+            return sendTransitionError(res, error);
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Commit a sealed bid hash
+exports.commitSealedBid = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await auctionService.commitSealedBid(req.params.id, req.user.id, req.body.commitment, req.body.campaignId);
+        if (!result.success) {
+            return res.status(409).json({ error: result.message });
+        }
+
+        logger.info(`Sealed bid committed: ${req.params.id}`);
+        return res.status(201).json({ message: 'Sealed bid committed', committedAt: result.committedAt });
+    } catch (error) {
+        logger.error('Error committing sealed bid:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Reveal a committed sealed bid
+exports.revealSealedBid = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { amount, salt } = req.body;
+        const result = await auctionService.revealSealedBid(req.params.id, req.user.id, amount, salt);
+        if (!result.success) {
+            return res.status(409).json({ error: result.message });
+        }
+
+        logger.info(`Sealed bid revealed: ${req.params.id}`);
+        return res.status(200).json({ message: 'Sealed bid revealed', revealedAt: result.revealedAt });
+    } catch (error) {
+        logger.error('Error revealing sealed bid:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Accept the current Dutch auction price
+exports.acceptDutchPrice = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await auctionService.acceptDutchPrice(req.params.id, req.user.id, req.body.campaignId);
+        if (!result.success) {
+            return res.status(409).json({ error: result.message });
+        }
+
+        broadcastUpdate('auctionFinalized', { auction: result.auction });
+        logger.info(`Dutch auction accepted: ${req.params.id} at ${result.price}`);
+        return res.status(200).json({ message: 'Dutch auction won', price: result.price, auction: result.auction });
+    } catch (error) {
+        logger.error('Error accepting Dutch auction price:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// HTTP status for each bid rejection code returned by the bidding engine
+const BID_ERROR_STATUS = {
+    BID_REJECTED: 400,
+    BID_TOO_LOW: 400,
+    CAMPAIGN_REQUIRED: 400,
+    CURRENCY_NOT_ACCEPTED: 400,
+    BUDGET_EXCEEDED: 402,
+    BIDDER_BANNED: 403,
+    BID_NOT_FOUND: 404,
+    OUTBID_WHILE_SUBMITTING: 409,
+    AUCTION_NOT_LIVE: 409,
+    REQUEST_IN_PROGRESS: 409,
+    RETRACTION_WINDOW_CLOSED: 409,
+    IDEMPOTENCY_KEY_REUSED: 422,
+    RETRACTION_RATE_LIMITED: 429,
+    PACING_LIMITED: 429,
+};
+
+// Controller: Place a bid. Retries carrying the same Idempotency-Key get the original result back.
+exports.placeBid = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { replayed, ...result } = await BiddingEngine.evaluateBid({
+            auctionId: req.params.id,
+            bidderId: req.user.id,
+            campaignId: req.body.campaignId,
+            amount: req.body.amount,
+            currency: req.body.currency,
+            timestamp: new Date().toISOString(),
+            idempotencyKey: req.get('Idempotency-Key'),
+        });
+
+        if (replayed) {
+            res.set('Idempotent-Replayed', 'true');
+        }
+        if (!result.success) {
+            return res.status(BID_ERROR_STATUS[result.code] || 400).json({ error: result.message, ...result });
+        }
+        return res.status(201).json({ message: 'Bid placed', ...result });
+    } catch (error) {
+        logger.error('Error placing bid:', error);
         return res.status(500).json({ error: 'Internal Server Error' });
     }
-};
\ No newline at end of file
+};
+
+// Controller: Retract one of the caller's own bids within the auction's retraction window
+exports.retractBid = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await BiddingEngine.retractBid(req.params.id, req.user.id, {
+            sequence: req.body.sequence,
+            reason: req.body.reason,
+        });
+        if (!result.success) {
+            return res.status(BID_ERROR_STATUS[result.code] || 400).json({ error: result.message, ...result });
+        }
+        return res.status(200).json({ message: 'Bid retracted', ...result });
+    } catch (error) {
+        logger.error('Error retracting bid:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Load an auction only its streamer or an admin may manage; responds with 404/403 otherwise
+const findManagedAuction = async (req, res, forbiddenMessage) => {
+    const auction = await Auction.findById(req.params.id).select('streamer status');
+    if (!auction) {
+        res.status(404).json({ error: 'Auction not found' });
+        return null;
+    }
+    if (String(auction.streamer) !== String(req.user.id) && req.user.role !== 'admin') {
+        res.status(403).json({ error: forbiddenMessage });
+        return null;
+    }
+    return auction;
+};
+
+const findAuctionForBan = (req, res) => findManagedAuction(req, res, 'Only the auction\'s streamer can manage its bans');
+
+// Controller: Ban a bidder from this auction or from all of the streamer's auctions
+exports.banBidder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await findAuctionForBan(req, res);
+        if (!auction) return;
+
+        const result = await auctionService.banBidder(auction, {
+            bidderId: req.body.bidderId,
+            scope: req.body.scope,
+            reason: req.body.reason,
+            expiresAt: req.body.expiresAt,
+            actor: req.user.id,
+        });
+        return res.status(201).json({ message: 'Bidder banned', ...result });
+    } catch (error) {
+        logger.error('Error banning bidder:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Lift a bidder ban
+exports.unbanBidder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await findAuctionForBan(req, res);
+        if (!auction) return;
+
+        const removed = await auctionService.unbanBidder(auction, req.params.bidderId, req.query.scope);
+        if (!removed) {
+            return res.status(404).json({ error: 'Ban not found' });
+        }
+        return res.status(200).json({ message: 'Bidder unbanned' });
+    } catch (error) {
+        logger.error('Error unbanning bidder:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Register or raise a proxy (maximum) bid
+exports.registerProxyBid = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await BiddingEngine.registerProxyBid(req.params.id, req.user.id, req.body.maxAmount, req.body.campaignId);
+        // Echo the caller's own ceiling only; it is never broadcast
+        return res.status(200).json({ message: 'Proxy bid registered', maxAmount: req.body.maxAmount, ...result });
+    } catch (error) {
+        logger.error('Error registering proxy bid:', error);
+        return res.status(400).json({ error: error.message });
+    }
+};
+
+// Controller: Cancel a proxy bid
+exports.cancelProxyBid = async (req, res) => {
+    try {
+        await BiddingEngine.cancelProxyBid(req.params.id, req.user.id);
+        return res.status(200).json({ message: 'Proxy bid cancelled' });
+    } catch (error) {
+        logger.error('Error cancelling proxy bid:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Move an auction to another lifecycle state (schedule, go live, cancel)
+exports.transitionAuction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await findManagedAuction(req, res, 'Only the auction\'s streamer can change its status'))) return;
+
+        const auction = await Auction.transitionById(req.params.id, req.body.status, {
+            actor: req.user.id,
+            reason: req.body.reason,
+        });
+
+        if (auction.status === AUCTION_STATES.LIVE) {
+            auction.rateSnapshot = await rateSnapshotService.freezeRates(auction);
+        }
+        if (auction.auctionType === 'dutch' && auction.status === AUCTION_STATES.LIVE) {
+            await auctionService.startDutchAuction(auction._id);
+        }
+        await auctionScheduler.scheduleAuction(auction);
+
+        broadcastUpdate('auctionStatusChanged', { auctionId: auction._id, status: auction.status });
+        logger.info(`Auction ${auction._id} moved to ${auction.status}`);
+        return res.status(200).json({ message: 'Auction status updated', auction });
+    } catch (error) {
+        logger.error('Error transitioning auction:', error);
+        if (error instanceof AuctionTransitionError) {
+            return sendTransitionError(res, error);
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Recompute an auction's winner and price from its bid ledger
+exports.replayAuction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const replay = await replayAuction(req.params.id);
+        if (!replay.matchesStoredState || !replay.complete) {
+            logger.warn(`Auction ${req.params.id} replay differs from stored state`, { discrepancies: replay.discrepancies, missingSequences: replay.missingSequences });
+        }
+        return res.status(200).json(replay);
+    } catch (error) {
+        logger.error('Error replaying auction:', error);
+        if (error.message === 'Auction not found.') {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Explain the caller's own bids on an auction (score breakdowns and rank)
+exports.getBidInsights = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const insights = await priorityEngine.getBidInsights(req.params.id, req.user.id, {
+            weightsVersion: req.query.weightsVersion,
+        });
+        if (!insights) {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+        return res.status(200).json(insights);
+    } catch (error) {
+        logger.error('Error fetching bid insights:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Publish a new version of the priority score weights for a region
+exports.publishScoringWeights = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { region, weights, effectiveFrom, note } = req.body;
+        const published = await priorityEngine.publishWeights(region, weights, {
+            createdBy: req.user.id,
+            effectiveFrom,
+            note,
+        });
+        return res.status(201).json({ message: 'Scoring weights published', weights: published });
+    } catch (error) {
+        logger.error('Error publishing scoring weights:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Publish a new exchange rate table. Live auctions keep the rates they froze.
+exports.publishExchangeRates = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const table = await rateSnapshotService.publishRateTable(
+            { baseCurrency: req.body.baseCurrency, rates: req.body.rates },
+            { source: 'admin', sourceRef: req.user.id }
+        );
+        return res.status(201).json({ message: 'Exchange rates published', table });
+    } catch (error) {
+        logger.error('Error publishing exchange rates:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Fetch an auction's frozen exchange rates
+exports.getAuctionRates = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const auction = await Auction.findById(req.params.id).select('currency acceptedCurrencies rateSnapshot');
+        if (!auction) {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+        return res.status(200).json({
+            currency: auction.currency,
+            acceptedCurrencies: rateSnapshotService.acceptedCurrencies(auction),
+            rateSnapshot: auction.rateSnapshot && auction.rateSnapshot.frozenAt ? auction.rateSnapshot : null,
+        });
+    } catch (error) {
+        logger.error('Error fetching auction exchange rates:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
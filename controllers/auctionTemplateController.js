@@ -0,0 +1,123 @@
+const AuctionTemplate = require('../models/auctionTemplate');
+const auctionTemplateService = require('../services/auctionTemplateService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Load a template for a change request; only its streamer or an admin may manage it
+const findTemplateForStreamer = async (req, res) => {
+    const template = await AuctionTemplate.findById(req.params.id);
+    if (!template) {
+        res.status(404).json({ error: 'Auction template not found' });
+        return null;
+    }
+    if (String(template.streamer) !== String(req.user.id) && req.user.role !== 'admin') {
+        res.status(403).json({ error: 'Only the template\'s streamer can manage it' });
+        return null;
+    }
+    return template;
+};
+
+const sendValidationError = (res, error) =>
+    res.status(400).json({ errors: Object.values(error.errors).map(({ path, message }) => ({ param: path, msg: message })) });
+
+// Controller: Create a recurring auction template
+exports.createTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, auction, durationMinutes, recurrence, createAheadHours } = req.body;
+        const template = await auctionTemplateService.createTemplate(req.user.id, {
+            name,
+            auction,
+            durationMinutes,
+            recurrence,
+            createAheadHours,
+        });
+        return res.status(201).json({ message: 'Auction template created', template });
+    } catch (error) {
+        logger.error('Error creating auction template:', error);
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: List the caller's templates
+exports.listTemplates = async (req, res) => {
+    try {
+        const templates = await AuctionTemplate.find({ streamer: req.user.id }).sort({ createdAt: -1 });
+        return res.status(200).json({ templates });
+    } catch (error) {
+        logger.error('Error listing auction templates:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Edit a template; its not-yet-open auctions follow the edit
+exports.updateTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await findTemplateForStreamer(req, res);
+        if (!template) return;
+
+        const result = await auctionTemplateService.updateTemplate(template, req.body, req.user.id);
+        return res.status(200).json({ message: 'Auction template updated', ...result });
+    } catch (error) {
+        logger.error('Error updating auction template:', error);
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Pause or resume a template
+exports.setTemplateStatus = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await findTemplateForStreamer(req, res);
+        if (!template) return;
+
+        const updated = await auctionTemplateService.setTemplateStatus(template, req.body.status);
+        return res.status(200).json({ message: `Auction template ${updated.status}`, template: updated });
+    } catch (error) {
+        logger.error('Error changing auction template status:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Skip one occurrence of a template
+exports.skipOccurrence = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await findTemplateForStreamer(req, res);
+        if (!template) return;
+
+        const occurrence = req.body.occurrence;
+        if (!template.hasOccurrence(occurrence)) {
+            return res.status(400).json({ error: 'The template\'s recurrence rule has no occurrence at that time' });
+        }
+
+        const result = await auctionTemplateService.skipOccurrence(template, occurrence, req.user.id);
+        return res.status(200).json({ message: 'Occurrence skipped', ...result });
+    } catch (error) {
+        logger.error('Error skipping template occurrence:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
@@ -0,0 +1,86 @@
+const ChatIdentity = require('../models/chatIdentity');
+const chatIdentityService = require('../services/chatIdentityService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Load one of the caller's linked chat identities
+const findOwnIdentity = async (req, res) => {
+    const identity = await ChatIdentity.findOne({ _id: req.params.id, user: req.user.id });
+    if (!identity) {
+        res.status(404).json({ error: 'Chat identity not found' });
+        return null;
+    }
+    return identity;
+};
+
+// Controller: Create a code for linking a chat account with `!link <code>`
+exports.createLinkCode = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { code, expiresInSeconds } = await chatIdentityService.createLinkCode(req.user.id, req.body.platform);
+        return res.status(201).json({
+            message: `Type !link ${code} in ${req.body.platform} chat to link your account`,
+            code,
+            expiresInSeconds,
+        });
+    } catch (error) {
+        logger.error('Error creating chat link code:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: List the caller's linked chat identities
+exports.listIdentities = async (req, res) => {
+    try {
+        const identities = await ChatIdentity.find({ user: req.user.id }).sort({ linkedAt: -1 });
+        return res.status(200).json({ identities });
+    } catch (error) {
+        logger.error('Error listing chat identities:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Set the campaign that pays for an identity's chat bids
+exports.setDefaultCampaign = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const identity = await findOwnIdentity(req, res);
+        if (!identity) return;
+
+        const updated = await chatIdentityService.setDefaultCampaign(identity, req.body.defaultCampaign);
+        if (!updated) {
+            return res.status(400).json({ error: 'Default campaign must be one of your campaigns' });
+        }
+        return res.status(200).json({ message: 'Default campaign updated', identity: updated });
+    } catch (error) {
+        logger.error('Error setting chat default campaign:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Unlink a chat identity; its chat commands stop bidding for the caller
+exports.unlinkIdentity = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const identity = await findOwnIdentity(req, res);
+        if (!identity) return;
+
+        await identity.deleteOne();
+        return res.status(200).json({ message: 'Chat identity unlinked' });
+    } catch (error) {
+        logger.error('Error unlinking chat identity:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
@@ -1,4 +1,5 @@
 const { processPayment, validatePaymentDetails, generateInvoice, processRefund, fetchTransactionHistory } = require('../services/paymentService');
+const Auction = require('../models/auction');
 const platformFeePercentage = 0.10; // Default platform fee is 10%
 const auctionFeePercentage = 0.05; // Example: 5% auction fee
 
@@ -8,6 +9,15 @@ async function calculatePlatformRevenueAndNetAmount(amount, feePercentage) {
     return { platformRevenue, netAmount };
 }
 
+// Winners pay the settled clearing price, which is below their bid for second-price auctions
+async function fetchClearingPrice(auctionId, winningBid) {
+    const auction = await Auction.findById(auctionId);
+    if (auction && typeof auction.clearingPrice === 'number') {
+        return auction.clearingPrice;
+    }
+    return winningBid.amount;
+}
+
 async function processAuctionPayment(req, res, next) {
     try {
         const { userId, auctionId, paymentMethod } = req.body;
@@ -16,7 +26,8 @@ async function processAuctionPayment(req, res, next) {
         await expandFraudDetection(req, res);
 
         const winningBid = await fetchWinningBid(auctionId);
-        const { platformRevenue, netAmount: amountAfterPlatformFee } = await calculatePlatformRevenueAndNetAmount(winningBid.amount, platformFeePercentage);
+        const chargeAmount = await fetchClearingPrice(auctionId, winningBid);
+        const { platformRevenue, netAmount: amountAfterPlatformFee } = await calculatePlatformRevenueAndNetAmount(chargeAmount, platformFeePercentage);
         const { netAmount: finalAmount } = await calculatePlatformRevenueAndNetAmount(amountAfterPlatformFee, auctionFeePercentage);
 
         const paymentResult = await retryPayment(() =>
@@ -36,7 +47,7 @@ async function processAuctionPayment(req, res, next) {
 
         await logTransactionOnBlockchain(paymentResult);
         await notifyUser(userId, 'Auction payment processed successfully', { invoice, paymentId: paymentResult.id });
-        sendWebSocketNotification(userId, { status: 'success', transactionId: paymentResult.id, amount: winningBid.amount });
+        sendWebSocketNotification(userId, { status: 'success', transactionId: paymentResult.id, amount: chargeAmount });
 
         res.status(200).json({ message: 'Auction payment processed successfully', invoice, paymentId: paymentResult.id });
     } catch (error) {
@@ -33,6 +33,7 @@ router.post('/create', [
     body('title').notEmpty().withMessage('Title is required'),
     body('description').notEmpty().withMessage('Description is required'),
     body('auctionIds').isArray().withMessage('Auction IDs must be an array'),
+    body('auctionIds.*').isMongoId().withMessage('Auction IDs must be valid IDs'),
     body('region').notEmpty().withMessage('Region is required')
 ], async (req, res) => {
     createStreamCounter.inc();
@@ -73,6 +74,7 @@ router.put('/update/:id', [
     body('title').optional().notEmpty().withMessage('Title is required'),
     body('description').optional().notEmpty().withMessage('Description is required'),
     body('auctionIds').optional().isArray().withMessage('Auction IDs must be an array'),
+    body('auctionIds.*').isMongoId().withMessage('Auction IDs must be valid IDs'),
     body('region').optional().notEmpty().withMessage('Region is required')
 ], async (req, res) => {
     updateStreamCounter.inc();
@@ -133,7 +135,7 @@ router.get('/', async (req, res) => {
 // Get Premium Stream Details
 router.get('/:id', async (req, res) => {
     const { id } = req.params;
-    const premiumStream = await PremiumStream.findById(id);
+    const premiumStream = await PremiumStream.findWithAuctions(id);
     res.status(200).json({ success: true, premiumStream });
 });
 
@@ -181,6 +183,7 @@ router.post('/create', requireRole(['admin', 'streamer']), [
     body('title').notEmpty().withMessage('Title is required'),
     body('description').notEmpty().withMessage('Description is required'),
     body('auctionIds').isArray().withMessage('Auction IDs must be an array'),
+    body('auctionIds.*').isMongoId().withMessage('Auction IDs must be valid IDs'),
     body('region').notEmpty().withMessage('Region is required')
 ], async (req, res, next) => {
     try {
@@ -229,6 +232,7 @@ router.put('/update/:id', requireRole(['admin', 'streamer']), [
     body('title').optional().notEmpty().withMessage('Title is required'),
     body('description').optional().notEmpty().withMessage('Description is required'),
     body('auctionIds').optional().isArray().withMessage('Auction IDs must be an array'),
+    body('auctionIds.*').isMongoId().withMessage('Auction IDs must be valid IDs'),
     body('region').optional().notEmpty().withMessage('Region is required')
 ], async (req, res, next) => {
     try {
@@ -0,0 +1,112 @@
+const SavedSearch = require('../models/savedSearch');
+const savedSearchService = require('../services/savedSearchService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Load one of the caller's saved searches
+const findOwnSearch = async (req, res) => {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+    if (!search) {
+        res.status(404).json({ error: 'Saved search not found' });
+        return null;
+    }
+    return search;
+};
+
+const sendValidationError = (res, error) =>
+    res.status(400).json({ errors: Object.values(error.errors).map(({ path, message }) => ({ param: path, msg: message })) });
+
+// Controller: Save a search
+exports.createSavedSearch = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, filters, notify } = req.body;
+        const search = await savedSearchService.createSavedSearch(req.user.id, { name, filters, notify });
+        return res.status(201).json({ message: 'Search saved', search });
+    } catch (error) {
+        logger.error('Error saving search:', error);
+        if (error instanceof savedSearchService.SavedSearchLimitError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: List the caller's saved searches
+exports.listSavedSearches = async (req, res) => {
+    try {
+        const searches = await SavedSearch.find({ user: req.user.id }).sort({ createdAt: -1 });
+        return res.status(200).json({ searches });
+    } catch (error) {
+        logger.error('Error listing saved searches:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Change a saved search
+exports.updateSavedSearch = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const search = await findOwnSearch(req, res);
+        if (!search) return;
+
+        const { name, filters, notify } = req.body;
+        const updated = await savedSearchService.updateSavedSearch(search, { name, filters, notify });
+        return res.status(200).json({ message: 'Saved search updated', search: updated });
+    } catch (error) {
+        logger.error('Error updating saved search:', error);
+        if (error.name === 'ValidationError') {
+            return sendValidationError(res, error);
+        }
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Delete a saved search
+exports.deleteSavedSearch = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { deletedCount } = await SavedSearch.deleteOne({ _id: req.params.id, user: req.user.id });
+        if (!deletedCount) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        return res.status(200).json({ message: 'Saved search deleted' });
+    } catch (error) {
+        logger.error('Error deleting saved search:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Run a saved search against the scheduled and live auctions
+exports.runSavedSearch = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const search = await findOwnSearch(req, res);
+        if (!search) return;
+
+        const auctions = await savedSearchService.runSavedSearch(search);
+        return res.status(200).json({ search, auctions });
+    } catch (error) {
+        logger.error('Error running saved search:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
@@ -222,7 +222,7 @@ exports.login = async (req, res) => {
  * @param {Object} res - Express response object
  */
 exports.updatePreferences = async (req, res) => {
-    const { dashboardPreferences, twitchIntegration } = req.body;
+    const { dashboardPreferences, twitchIntegration, notificationPreferences } = req.body;
 
     try {
         const user = await User.findById(req.user.id);
@@ -232,6 +232,11 @@ exports.updatePreferences = async (req, res) => {
 
         user.dashboardPreferences = dashboardPreferences;
 
+        // Auction alert channels and opt-outs; the schema rejects unknown channels and alert types
+        if (notificationPreferences) {
+            user.notificationPreferences = notificationPreferences;
+        }
+
         // Handle Twitch integration preferences
         if (twitchIntegration) {
             const twitchAuth = await TwitchOAuth.getAccessToken(req.user.id);
@@ -0,0 +1,64 @@
+const Auction = require('../models/auction');
+const WatchedAuction = require('../models/watchedAuction');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+// Auction fields shown on a watchlist
+const WATCHLIST_FIELDS = 'auctionType status adSlotDetails category region expectedViewers currency startingBid highestBid startTime expirationTime';
+
+// Controller: Add an auction to the caller's watchlist; watching it again changes nothing
+exports.watchAuction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await Auction.exists({ _id: req.body.auctionId }))) {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+        const watched = await WatchedAuction.findOneAndUpdate(
+            { user: req.user.id, auction: req.body.auctionId },
+            { $setOnInsert: { createdAt: new Date() } },
+            { upsert: true, new: true }
+        );
+        return res.status(201).json({ message: 'Auction added to watchlist', watched });
+    } catch (error) {
+        logger.error('Error watching auction:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: List the caller's watched auctions, most recently watched first
+exports.getWatchlist = async (req, res) => {
+    try {
+        const watched = await WatchedAuction.find({ user: req.user.id })
+            .sort({ createdAt: -1 })
+            .populate({ path: 'auction', select: WATCHLIST_FIELDS });
+        // Auctions deleted since they were watched drop out of the list
+        const auctions = watched.filter(entry => entry.auction).map(entry => ({ watchedAt: entry.createdAt, auction: entry.auction }));
+        return res.status(200).json({ auctions });
+    } catch (error) {
+        logger.error('Error fetching watchlist:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
+
+// Controller: Remove an auction from the caller's watchlist
+exports.unwatchAuction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { deletedCount } = await WatchedAuction.deleteOne({ user: req.user.id, auction: req.params.auctionId });
+        if (!deletedCount) {
+            return res.status(404).json({ error: 'Auction is not on your watchlist' });
+        }
+        return res.status(200).json({ message: 'Auction removed from watchlist' });
+    } catch (error) {
+        logger.error('Error unwatching auction:', error);
+        return res.status(500).json({ error: 'Internal Server Error' });
+    }
+};
@@ -8,6 +8,10 @@ const swaggerUi = require('swagger-ui-express');
 const winston = require('winston');
 const { v4: uuidv4 } = require('uuid');
 const { connectDB } = require('./config/db');
+const auctionScheduler = require('./services/auctionScheduler');
+const auctionAlerts = require('./services/auctionAlerts');
+const rateSnapshotService = require('./services/rateSnapshotService');
+const { startChatBidding } = require('./services/chatCommandRouter');
 const { initializeSentry } = require('./middlewares/sentry');
 const { initializeMetrics } = require('./middlewares/metrics');
 const { rateLimiterMiddleware } = require('./middlewares/rateLimiter');
@@ -158,6 +162,19 @@ app.use(errorHandler);
 // Connect to MongoDB
 connectDB();
 
+// Resume the lifecycle scheduler (and, through its sweep, Dutch auction price clocks) after a restart,
+// publish the exchange rate file if it changed since the last start, and join the chat bidding channels
+mongoose.connection.once('open', () => {
+    auctionScheduler.startAuctionScheduler().catch((error) => logger.error({ message: error.message }));
+    auctionAlerts.startAuctionAlerts();
+    if (process.env.EXCHANGE_RATES_FILE) {
+        rateSnapshotService.loadRatesFromFile(process.env.EXCHANGE_RATES_FILE).catch((error) => logger.error({ message: error.message }));
+    }
+    if (process.env.CHAT_BIDDING_TWITCH_CHANNELS || process.env.CHAT_BIDDING_YOUTUBE_CHATS) {
+        startChatBidding(require('./services/biddingEngine')).catch((error) => logger.error({ message: error.message }));
+    }
+});
+
 // Start Server
 const PORT = config.server.port || 3000;
 const server = app.listen(PORT, () => {
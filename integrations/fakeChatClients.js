@@ -0,0 +1,83 @@
+// In-memory stand-ins for the chat platforms, so the chat adapters and the command router
+// (services/chatCommandRouter.js) can run offline. Each fake records what was sent to it.
+
+const EventEmitter = require('events');
+
+/**
+ * Stands in for a tmi.js Client. Use receive() to post a chat message as a viewer.
+ */
+class FakeTmiClient extends EventEmitter {
+    constructor({ channels = [] } = {}) {
+        super();
+        this.channels = channels.map(channel => (channel.startsWith('#') ? channel : `#${channel}`));
+        this.sent = [];
+        this.connected = false;
+        this.nextMessageId = 1;
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    async say(channel, text) {
+        this.sent.push({ channel, text });
+    }
+
+    // Emit a message the way tmi.js does: (channel, tags, message, self)
+    receive(channel, { userId, username }, text) {
+        const tags = { id: String(this.nextMessageId++), 'user-id': String(userId), username, 'display-name': username };
+        this.emit('message', channel.startsWith('#') ? channel : `#${channel}`, tags, text, false);
+    }
+}
+
+/**
+ * Stands in for the live chat calls of integrations/youtubeAPI.js. Page tokens are offsets
+ * into each chat's message list. Use post() to add a viewer's message.
+ */
+class FakeYouTubeLiveChat {
+    constructor({ pollingIntervalMillis = 10 } = {}) {
+        this.pollingIntervalMillis = pollingIntervalMillis;
+        this.chats = new Map();
+        this.sent = [];
+        this.nextMessageId = 1;
+    }
+
+    chat(liveChatId) {
+        if (!this.chats.has(liveChatId)) {
+            this.chats.set(liveChatId, []);
+        }
+        return this.chats.get(liveChatId);
+    }
+
+    post(liveChatId, { channelId, displayName }, messageText) {
+        this.chat(liveChatId).push({
+            id: String(this.nextMessageId++),
+            snippet: { type: 'textMessageEvent', liveChatId, displayMessage: messageText, textMessageDetails: { messageText } },
+            authorDetails: { channelId, displayName },
+        });
+    }
+
+    async listLiveChatMessages(liveChatId, pageToken) {
+        const messages = this.chat(liveChatId);
+        const offset = Number(pageToken) || 0;
+        return {
+            items: messages.slice(offset),
+            nextPageToken: String(messages.length),
+            pollingIntervalMillis: this.pollingIntervalMillis,
+        };
+    }
+
+    async sendLiveChatMessage(liveChatId, messageText) {
+        this.sent.push({ liveChatId, text: messageText });
+        return { snippet: { liveChatId, textMessageDetails: { messageText } } };
+    }
+}
+
+module.exports = {
+    FakeTmiClient,
+    FakeYouTubeLiveChat,
+};
@@ -13,6 +13,7 @@ import Sentry from '@sentry/node';
 import rateLimit from 'express-rate-limit';
 import RedisStore from 'rate-limit-redis';
 import jwt from 'jsonwebtoken';
+import CreativeReview from '../models/creativeReview.js';
 import nodemailer from 'nodemailer';
 import React, { useState } from 'react';
 // Redis Failover Configuration
@@ -55,6 +56,11 @@ const adRenderAttempts = new Prometheus.Counter({
     help: 'Number of attempts to render ads in OBS',
     labelNames: ['streamer_id', 'ad_id']
 });
+const adRenderRefusals = new Prometheus.Counter({
+    name: 'ad_render_refusals',
+    help: 'Number of ads not rendered because the channel has not approved them',
+    labelNames: ['streamer_id', 'ad_id']
+});
 const adClicks = new Prometheus.Counter({
     name: 'ad_clicks',
     help: 'Number of ad clicks from viewers',
@@ -170,14 +176,33 @@ class WebSocketManager {
 
 // Ad Manager with Priority Scheduling and Rate Limiting
 class AdManager {
-    constructor(ws, logger) {
+    constructor(ws, logger, streamerId = process.env.STREAMER_ID) {
         this.ws = ws;
         this.logger = logger;
+        this.streamerId = streamerId; // Channel whose creative approvals apply
         this.lastAdTime = 0;
         this.adInterval = 60000; // 1 minute interval between ads
     }
 
-    renderAdOverlay(ad) {
+    async isApproved(ad) {
+        if (!this.streamerId || !mongoose.isValidObjectId(ad.id)) {
+            return false;
+        }
+        try {
+            return await CreativeReview.isApproved(ad.id, this.streamerId);
+        } catch (error) {
+            this.logger.error(`Failed to check approval of ad ${ad.id}`, error);
+            return false;
+        }
+    }
+
+    async renderAdOverlay(ad) {
+        // Creatives the channel has not approved are never rendered, whoever scheduled them
+        if (!(await this.isApproved(ad))) {
+            adRenderRefusals.labels({ streamer_id: this.streamerId || 'unknown', ad_id: ad.id }).inc();
+            this.logger.warn(`Refused to render ad ${ad.id}: not approved for streamer ${this.streamerId}`);
+            return false;
+        }
         const overlay = {
             sourceName: ad.id,
             sourceSettings: {
@@ -194,15 +219,15 @@ class AdManager {
         }));
         adRenderAttempts.labels({ streamer_id: 'default', ad_id: ad.id }).inc();
         this.logger.info(`Rendered ad overlay for ${ad.id}`);
+        return true;
     }
 
     scheduleAds(adList) {
         const sortedAds = adList.sort((a, b) => b.priority - a.priority); // Prioritize ads with higher priority
         sortedAds.forEach(ad => {
-            setTimeout(() => {
+            setTimeout(async () => {
                 const currentTime = Date.now();
-                if (currentTime - this.lastAdTime >= this.adInterval && this.shouldDisplayAd(ad)) {
-                    this.renderAdOverlay(ad);
+                if (currentTime - this.lastAdTime >= this.adInterval && this.shouldDisplayAd(ad) && await this.renderAdOverlay(ad)) {
                     this.trackAdClicks(ad);
                     this.lastAdTime = currentTime;
                 }
@@ -622,13 +647,32 @@ adEventEmitter.on('adScheduled', (ad) => {
 
 // Modify AdManager to use EventEmitter
 class AdManager {
-    constructor(ws, logger) {
+    constructor(ws, logger, streamerId = process.env.STREAMER_ID) {
         this.ws = ws;
         this.logger = logger;
+        this.streamerId = streamerId; // Channel whose creative approvals apply
         this.lastAdTime = 0;
         this.adInterval = 60000; // 1 minute interval between ads
     }
-    renderAdOverlay(ad) {
+    async isApproved(ad) {
+        if (!this.streamerId || !mongoose.isValidObjectId(ad.id)) {
+            return false;
+        }
+        try {
+            return await CreativeReview.isApproved(ad.id, this.streamerId);
+        } catch (error) {
+            this.logger.error(`Failed to check approval of ad ${ad.id}`, error);
+            return false;
+        }
+    }
+
+    async renderAdOverlay(ad) {
+        // Creatives the channel has not approved are never rendered, whoever scheduled them
+        if (!(await this.isApproved(ad))) {
+            adRenderRefusals.labels({ streamer_id: this.streamerId || 'unknown', ad_id: ad.id }).inc();
+            this.logger.warn(`Refused to render ad ${ad.id}: not approved for streamer ${this.streamerId}`);
+            return false;
+        }
         const overlay = {
             sourceName: ad.id,
             sourceSettings: {
@@ -645,15 +689,15 @@ class AdManager {
         }));
         adEventEmitter.emit('adRendered', ad);
         this.logger.info(`Rendered ad overlay for ${ad.id}`);
+        return true;
     }
 
     scheduleAds(adList) {
         const sortedAds = adList.sort((a, b) => b.priority - a.priority); // Prioritize ads with higher priority
         sortedAds.forEach(ad => {
-            setTimeout(() => {
+            setTimeout(async () => {
                 const currentTime = Date.now();
-                if (currentTime - this.lastAdTime >= this.adInterval && this.shouldDisplayAd(ad)) {
-                    this.renderAdOverlay(ad);
+                if (currentTime - this.lastAdTime >= this.adInterval && this.shouldDisplayAd(ad) && await this.renderAdOverlay(ad)) {
                     this.trackAdClicks(ad);
                     this.lastAdTime = currentTime;
                     adEventEmitter.emit('adScheduled', ad);
@@ -0,0 +1,53 @@
+const tmi = require('tmi.js');
+const logger = require('../utils/logger');
+
+// Twitch drops chat messages longer than this
+const TWITCH_MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Twitch chat for the chat command router (services/chatCommandRouter.js), through tmi.js.
+ * Pass a FakeTmiClient (integrations/fakeChatClients.js) as `client` to run offline.
+ */
+class TwitchChatAdapter {
+    /**
+     * @param {Object} options - { channels: { channelName: streamerId }, client, username, oauthToken }
+     */
+    constructor({ channels, client, username, oauthToken }) {
+        this.platform = 'twitch';
+        this.maxMessageLength = TWITCH_MAX_MESSAGE_LENGTH;
+        this.streamers = new Map(Object.entries(channels).map(([channel, streamerId]) => [channel.replace(/^#/, '').toLowerCase(), streamerId]));
+        this.client = client || new tmi.Client({
+            connection: { reconnect: true, secure: true },
+            identity: { username, password: oauthToken },
+            channels: [...this.streamers.keys()],
+        });
+    }
+
+    async start(onMessage) {
+        this.client.on('message', (channel, tags, text, self) => {
+            if (self) return;
+            const channelName = channel.replace(/^#/, '').toLowerCase();
+            onMessage({
+                platform: this.platform,
+                id: tags.id,
+                channel,
+                streamerId: this.streamers.get(channelName),
+                userId: tags['user-id'],
+                username: tags['display-name'] || tags.username,
+                text,
+            });
+        });
+        await this.client.connect();
+        logger.info(`Twitch chat bidding joined ${[...this.streamers.keys()].join(', ')}`);
+    }
+
+    say(channel, text) {
+        return this.client.say(channel, text);
+    }
+
+    stop() {
+        return this.client.disconnect();
+    }
+}
+
+module.exports = TwitchChatAdapter;
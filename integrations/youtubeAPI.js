@@ -113,6 +113,44 @@ async function getBlockchainVideoMetrics(videoId) {
     // Implementation here
 }
 
+// Messages posted to a live chat since pageToken. The response's nextPageToken and
+// pollingIntervalMillis say where and when to poll next.
+async function listLiveChatMessages(liveChatId, pageToken) {
+    try {
+        const accessToken = await getAccessToken();
+        const response = await circuitBreaker.fire(() => rateLimiter.fire(() => axios.get(`${YOUTUBE_API_BASE_URL}/liveChat/messages`, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            params: { liveChatId, pageToken, part: 'snippet,authorDetails' }
+        })));
+        prometheus.increment('api_requests_success');
+        return response.data;
+    } catch (error) {
+        Sentry.captureException(error);
+        logger.error('Failed to list live chat messages', error);
+        prometheus.increment('api_requests_failure');
+        throw error;
+    }
+}
+
+async function sendLiveChatMessage(liveChatId, messageText) {
+    try {
+        const accessToken = await getAccessToken();
+        const response = await circuitBreaker.fire(() => rateLimiter.fire(() => axios.post(`${YOUTUBE_API_BASE_URL}/liveChat/messages`, {
+            snippet: { liveChatId, type: 'textMessageEvent', textMessageDetails: { messageText } }
+        }, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            params: { part: 'snippet' }
+        })));
+        prometheus.increment('api_requests_success');
+        return response.data;
+    } catch (error) {
+        Sentry.captureException(error);
+        logger.error('Failed to send live chat message', error);
+        prometheus.increment('api_requests_failure');
+        throw error;
+    }
+}
+
 module.exports = {
     authenticate,
     getChannelData,
@@ -125,7 +163,9 @@ module.exports = {
     getAdvancedMetricsDashboard,
     createCustomYouTubeExtension,
     getRegionalEndpoint,
-    getBlockchainVideoMetrics
+    getBlockchainVideoMetrics,
+    listLiveChatMessages,
+    sendLiveChatMessage
 };
 async function getChannelData(channelId) {
     const cacheKey = `youtube_channel_data_${channelId}`;
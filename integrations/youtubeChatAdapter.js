@@ -0,0 +1,79 @@
+const youtubeAPI = require('./youtubeAPI');
+const logger = require('../utils/logger');
+
+const YOUTUBE_MAX_MESSAGE_LENGTH = 200;
+// Used when a poll fails, or YouTube does not say when to poll again
+const DEFAULT_POLLING_INTERVAL_MS = 5000;
+
+/**
+ * YouTube live chat for the chat command router (services/chatCommandRouter.js). YouTube has
+ * no push API for chat, so each live chat is polled as often as YouTube allows.
+ * Pass a FakeYouTubeLiveChat (integrations/fakeChatClients.js) as `api` to run offline.
+ */
+class YouTubeChatAdapter {
+    /**
+     * @param {Object} options - { liveChats: { liveChatId: streamerId }, api }
+     */
+    constructor({ liveChats, api = youtubeAPI }) {
+        this.platform = 'youtube';
+        this.maxMessageLength = YOUTUBE_MAX_MESSAGE_LENGTH;
+        this.streamers = new Map(Object.entries(liveChats));
+        this.api = api;
+        this.timers = new Map();
+        this.running = false;
+    }
+
+    async start(onMessage) {
+        this.running = true;
+        for (const liveChatId of this.streamers.keys()) {
+            // The first poll only finds where chat is now; commands typed before we joined are not replayed
+            await this.poll(liveChatId, null, onMessage, { skipBacklog: true });
+        }
+        logger.info(`YouTube chat bidding polling ${this.streamers.size} live chat(s)`);
+    }
+
+    async poll(liveChatId, pageToken, onMessage, { skipBacklog = false } = {}) {
+        let nextPageToken = pageToken;
+        let interval = DEFAULT_POLLING_INTERVAL_MS;
+        try {
+            const page = await this.api.listLiveChatMessages(liveChatId, pageToken);
+            nextPageToken = page.nextPageToken;
+            interval = page.pollingIntervalMillis || DEFAULT_POLLING_INTERVAL_MS;
+            const items = skipBacklog ? [] : page.items || [];
+            for (const item of items) {
+                if (item.snippet.type !== 'textMessageEvent') continue;
+                onMessage({
+                    platform: this.platform,
+                    id: item.id,
+                    channel: liveChatId,
+                    streamerId: this.streamers.get(liveChatId),
+                    userId: item.authorDetails.channelId,
+                    username: item.authorDetails.displayName,
+                    text: item.snippet.textMessageDetails
+                        ? item.snippet.textMessageDetails.messageText
+                        : item.snippet.displayMessage,
+                });
+            }
+        } catch (error) {
+            logger.error(`Error polling YouTube live chat ${liveChatId}:`, error);
+        }
+
+        if (this.running) {
+            this.timers.set(liveChatId, setTimeout(() => this.poll(liveChatId, nextPageToken, onMessage), interval));
+        }
+    }
+
+    say(liveChatId, text) {
+        return this.api.sendLiveChatMessage(liveChatId, text);
+    }
+
+    stop() {
+        this.running = false;
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+module.exports = YouTubeChatAdapter;
@@ -27,6 +27,8 @@ const auctionValidationLatency = new promClient.Histogram({
 
 const predefinedRegions = ['US', 'EU', 'APAC', 'MEA']; // Expandable for future markets
 const iso4217CurrencyCodes = ['USD', 'EUR', 'JPY', 'GBP', 'AUD', 'CAD', 'CHF', 'CNY', 'SEK', 'NZD']; // Extendable list
+const clearingRules = ['first_price', 'second_price'];
+const auctionTypes = ['english', 'sealed_bid', 'dutch'];
 
 const wss = new WebSocket.Server({ port: 8080 });
 
@@ -395,6 +397,28 @@ module.exports = {
             .optional()
             .isArray().withMessage('Media must be an array')
             .custom((value) => value.every(url => /^https?:\/\/[^\s$.?#].[^\s]*$/.test(url))).withMessage('Each media item must be a valid URL'),
+        check('clearingRule')
+            .optional()
+            .isIn(clearingRules).withMessage('Clearing rule must be first_price or second_price'),
+        check(['softClose.windowSeconds', 'softClose.extensionSeconds', 'softClose.maxExtensions'])
+            .optional()
+            .isInt({ min: 0 }).withMessage('Soft-close settings must be non-negative integers'),
+        check('auctionType')
+            .optional()
+            .isIn(auctionTypes).withMessage('Invalid auction type'),
+        check('sealedBid.commitDeadline')
+            .if(check('auctionType').equals('sealed_bid'))
+            .isISO8601().withMessage('Commit deadline must be a valid ISO date string'),
+        check('dutch.decrement')
+            .if(check('auctionType').equals('dutch'))
+            .isFloat({ gt: 0 }).withMessage('Dutch decrement must be a positive number'),
+        check('dutch.tickIntervalMs')
+            .if(check('auctionType').equals('dutch'))
+            .isInt({ min: 1000 }).withMessage('Dutch tick interval must be at least 1000ms'),
+        check('sealedBid.revealDeadline')
+            .if(check('auctionType').equals('sealed_bid'))
+            .isISO8601().withMessage('Reveal deadline must be a valid ISO date string')
+            .custom((value, { req }) => new Date(value) > new Date(req.body.sealedBid.commitDeadline)).withMessage('Reveal deadline must be after commit deadline'),
         check('region')
             .isIn(predefinedRegions).withMessage('Invalid region')
             .custom(async (value) => {
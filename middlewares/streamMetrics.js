@@ -1,6 +1,6 @@
 const WebSocket = require('ws');
 const mongoose = require('mongoose');
-const auctionService = require('./auctionService');
+const BiddingEngine = require('../services/biddingEngine');
 const authMiddleware = require('./authMiddleware');
 const aiMiddleware = require('./aiMiddleware');
 const winston = require('winston');
@@ -15,6 +15,7 @@ const quic = require('quic');
 const loadBalancer = require('load-balancer');
 const localizationMiddleware = require('./localizationMiddleware');
 const sustainabilityMiddleware = require('./sustainabilityMiddleware');
+const { RoomHub } = require('../utils/wsRooms');
 
 // Initialize Logger
 const logger = winston.createLogger({
@@ -48,6 +49,7 @@ redisSubscriber.subscribe('broadcast_channel');
 
 // WebSocket Server Initialization
 const wss = new WebSocket.Server({ port: 8080 });
+const rooms = new RoomHub().attach(wss);
 
 // Broadcast Function
 function broadcast(message) {
@@ -78,6 +80,22 @@ function rateLimiter(ws, user) {
     return false; // Not rate-limited
 }
 
+// Socket bids go through the bidding engine like HTTP bids (campaign, budget hold, pacing,
+// schedule and currency checks), always as the authenticated user. The engine publishes the
+// resulting auction updates to the auction's room itself.
+async function placeSocketBid(ws, user, data) {
+    const result = await BiddingEngine.evaluateBid({
+        auctionId: data.auctionId,
+        bidderId: user.id,
+        campaignId: data.campaignId,
+        amount: Number(data.bidAmount),
+        currency: data.currency,
+        timestamp: new Date().toISOString(),
+        idempotencyKey: data.idempotencyKey,
+    });
+    ws.send(JSON.stringify({ type: 'BID_RESULT', auctionId: data.auctionId, idempotencyKey: data.idempotencyKey, ...result }));
+}
+
 // WebSocket Connection Handler
 wss.on('connection', (ws, req) => {
     const user = authMiddleware.authenticate(req);
@@ -86,6 +104,7 @@ wss.on('connection', (ws, req) => {
         ws.close();
         return;
     }
+    ws.user = user;
 
     ws.on('message', async (message) => {
         try {
@@ -108,19 +127,11 @@ wss.on('connection', (ws, req) => {
                         break;
                     }
 
-                    const bidResult = await auctionService.placeBid(data.auctionId, data.bidAmount, user);
-                    if (bidResult.success) {
-                        broadcast({
-                            type: 'AUCTION_UPDATES',
-                            payload: {
-                                auctionId: data.auctionId,
-                                highestBid: bidResult.highestBid,
-                                status: 'Ongoing',
-                            },
-                        });
-                    } else {
-                        ws.send(JSON.stringify({ type: 'BID_TOO_LOW', message: bidResult.message }));
-                    }
+                    await placeSocketBid(ws, user, data);
+                    break;
+                case 'SUBSCRIBE':
+                case 'UNSUBSCRIBE':
+                    rooms.handleMessage(ws, parsedMessage);
                     break;
 
                 case 'SUBSCRIBE_METRICS':
@@ -340,6 +351,7 @@ if (isMainThread) {
             ws.close();
             return;
         }
+        ws.user = user;
 
         const worker = workerPool.shift();
         worker.postMessage({ ws, user });
@@ -370,19 +382,11 @@ if (isMainThread) {
                             break;
                         }
 
-                        const bidResult = await auctionService.placeBid(data.auctionId, data.bidAmount, user);
-                        if (bidResult.success) {
-                            broadcast({
-                                type: 'AUCTION_UPDATES',
-                                payload: {
-                                    auctionId: data.auctionId,
-                                    highestBid: bidResult.highestBid,
-                                    status: 'Ongoing',
-                                },
-                            });
-                        } else {
-                            ws.send(JSON.stringify({ type: 'BID_TOO_LOW', message: bidResult.message }));
-                        }
+                        await placeSocketBid(ws, user, data);
+                        break;
+                    case 'SUBSCRIBE':
+                    case 'UNSUBSCRIBE':
+                        rooms.handleMessage(ws, parsedMessage);
                         break;
 
                     case 'SUBSCRIBE_METRICS':
@@ -425,6 +429,7 @@ const server = https.createServer({
 });
 
 const secureWss = new WebSocket.Server({ server });
+rooms.attach(secureWss);
 
 secureWss.on('connection', (ws, req) => {
     const user = authMiddleware.authenticate(req);
@@ -433,6 +438,7 @@ secureWss.on('connection', (ws, req) => {
         ws.close();
         return;
     }
+    ws.user = user;
 
     ws.on('message', async (message) => {
         try {
@@ -455,19 +461,11 @@ secureWss.on('connection', (ws, req) => {
                         break;
                     }
 
-                    const bidResult = await auctionService.placeBid(data.auctionId, data.bidAmount, user);
-                    if (bidResult.success) {
-                        broadcast({
-                            type: 'AUCTION_UPDATES',
-                            payload: {
-                                auctionId: data.auctionId,
-                                highestBid: bidResult.highestBid,
-                                status: 'Ongoing',
-                            },
-                        });
-                    } else {
-                        ws.send(JSON.stringify({ type: 'BID_TOO_LOW', message: bidResult.message }));
-                    }
+                    await placeSocketBid(ws, user, data);
+                    break;
+                case 'SUBSCRIBE':
+                case 'UNSUBSCRIBE':
+                    rooms.handleMessage(ws, parsedMessage);
                     break;
 
                 case 'SUBSCRIBE_METRICS':
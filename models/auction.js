@@ -1,34 +1,187 @@
 const mongoose = require('mongoose');
 const blockchain = require('../blockchain');
 const aiModels = require('../aiModels');
-const WebSocket = require('ws');
 const auditLogger = require('../auditLogger');
 const promClient = require('prom-client');
 const kafka = require('kafka-node');
 const crypto = require('crypto');
 const redis = require('redis');
 const i18n = require('i18n');
+const BidEvent = require('./bidEvent');
+const { allocateGspSlots } = require('../utils/adMarketplaceUtils');
+const { roomKey, publishToRoom } = require('../utils/wsRooms');
+const {
+    AUCTION_STATES,
+    AuctionTransitionError,
+    assertTransition,
+    describeTransition,
+    meetsReserve
+} = require('../utils/auctionStateMachine');
 
 const { Schema } = mongoose;
 
+// How a bid's priority score was made up, with the weights version that produced it
+const scoreComponentSchema = new Schema({
+    name: { type: String, required: true },
+    raw: { type: Number, required: true },
+    weight: { type: Number, required: true },
+    contribution: { type: Number, required: true }
+}, { _id: false });
+
+const scoreBreakdownSchema = new Schema({
+    score: { type: Number, required: true },
+    weightsVersion: { type: Number, required: true },
+    region: { type: String },
+    components: [scoreComponentSchema]
+}, { _id: false });
+
 const bidSchema = new Schema({
     user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    campaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    // In the auction's currency, converted at its frozen rate
     amount: { type: Number, required: true },
+    originalAmount: { type: Number },
+    originalCurrency: { type: String },
+    exchangeRate: { type: Number },
+    isProxy: { type: Boolean, default: false },
+    // Score computed when the bid was placed; ranks multi-slot auctions
+    priorityScore: { type: Number },
+    // Only for the bidder who placed the bid, through the insights endpoint
+    scoreBreakdown: { type: scoreBreakdownSchema, select: false },
     timestamp: { type: Date, default: Date.now }
 });
 
+const proxyBidSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    campaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    maxAmount: { type: Number, required: true, min: 0 },
+    registeredAt: { type: Date, default: Date.now },
+    active: { type: Boolean, default: true }
+});
+
+const sealedBidCommitmentSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Campaign whose budget backs the bid once it is revealed
+    campaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    commitment: { type: String, required: true },
+    committedAt: { type: Date, default: Date.now },
+    amount: { type: Number, min: 0 },
+    salt: { type: String },
+    revealedAt: { type: Date },
+    status: { type: String, enum: ['committed', 'revealed', 'disqualified'], default: 'committed' },
+    disqualificationReason: { type: String }
+});
+
+// A won spot in a multi-slot ad break
+const slotAllocationSchema = new Schema({
+    position: { type: Number, required: true, min: 1 },
+    bidder: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    campaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    bid: { type: Number, required: true, min: 0 },
+    priorityScore: { type: Number },
+    price: { type: Number, required: true, min: 0 },
+    startOffsetSeconds: { type: Number, required: true, min: 0 },
+    durationSeconds: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+const leaseSchema = new Schema({
+    owner: { type: String },
+    expiresAt: { type: Date }
+}, { _id: false });
+
+const transitionSchema = new Schema({
+    from: { type: String, enum: Object.values(AUCTION_STATES) },
+    to: { type: String, enum: Object.values(AUCTION_STATES), required: true },
+    at: { type: Date, default: Date.now },
+    actor: { type: String },
+    reason: { type: String }
+}, { _id: false });
+
 const auctionSchema = new Schema({
+    auctionType: { type: String, enum: ['english', 'sealed_bid', 'dutch', 'multi_slot'], default: 'english' },
+    // Streamer running the auction; their bans (models/bidderBan.js) apply to it
+    streamer: { type: Schema.Types.ObjectId, ref: 'User' },
     adSlotDetails: {
         streamPlatform: { type: String, required: true },
         duration: { type: Number, required: true }
     },
+    // What advertisers filter on when browsing and in saved searches (models/savedSearch.js)
+    category: { type: String, trim: true, lowercase: true },
+    region: { type: String, uppercase: true },
+    // Average concurrent viewers the streamer expects during the ad slot
+    expectedViewers: { type: Number, min: 0 },
+    // Set once the auction has been matched against saved searches, so it is announced only once
+    savedSearchesMatchedAt: { type: Date },
+    // Amounts are held in this currency; bids in other accepted currencies are converted
+    currency: { type: String, uppercase: true, default: 'USD' },
+    acceptedCurrencies: [{ type: String, uppercase: true }],
+    // Rates frozen from the exchange rate table when the auction went live (services/rateSnapshotService.js)
+    rateSnapshot: {
+        table: { type: Schema.Types.ObjectId, ref: 'ExchangeRateTable' },
+        version: { type: Number },
+        // Units of the auction's currency per unit of each accepted currency
+        rates: { type: Map, of: Number },
+        frozenAt: { type: Date }
+    },
     startingBid: { type: Number, required: true, min: 0 },
     currentBid: { type: Number, min: 0 },
     minimumIncrement: { type: Number, required: true, min: 0 },
     reservePrice: { type: Number, required: true, min: 0 },
-    status: { type: String, enum: ['active', 'completed', 'canceled'], default: 'active' },
+    clearingRule: { type: String, enum: ['first_price', 'second_price'], default: 'first_price' },
+    highestBid: { type: Number, default: 0, min: 0 },
+    highestBidder: { type: Schema.Types.ObjectId, ref: 'User' },
+    // Campaign paying for the leading bid; it holds highestBid of its budget until settlement
+    highestBidCampaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    runnerUpBid: { type: Number, default: 0, min: 0 },
+    clearingPrice: { type: Number, min: 0 },
+    status: { type: String, enum: Object.values(AUCTION_STATES), default: AUCTION_STATES.DRAFT },
+    statusTimestamps: {
+        scheduledAt: { type: Date },
+        liveAt: { type: Date },
+        closingAt: { type: Date },
+        settledAt: { type: Date },
+        canceledAt: { type: Date },
+        failedReserveAt: { type: Date }
+    },
+    transitionLog: [transitionSchema],
+    startTime: { type: Date },
     bidHistory: [bidSchema],
+    // Proxy ceilings are secret; load them explicitly with select('+proxyBids')
+    proxyBids: { type: [proxyBidSchema], select: false },
+    // Held by the scheduler worker currently opening, closing or settling the auction
+    schedulerLease: { type: leaseSchema, select: false },
+    // Held, and renewed every tick, by the one process running the auction's Dutch price clock
+    dutchClockLease: { type: leaseSchema, select: false },
+    sealedBid: {
+        commitDeadline: { type: Date },
+        revealDeadline: { type: Date }
+    },
+    commitments: [sealedBidCommitmentSchema],
+    // Multi-slot auctions sell one ad break (adSlotDetails.duration) as slotCount back-to-back spots
+    adBreak: {
+        slotCount: { type: Number, min: 1 },
+        slotDurationSeconds: { type: Number, min: 1 }
+    },
+    slotAllocations: [slotAllocationSchema],
+    dutch: {
+        decrement: { type: Number, min: 0 },
+        tickIntervalMs: { type: Number, min: 1000 },
+        clockStartedAt: { type: Date }
+    },
     expirationTime: { type: Date, required: true },
+    softClose: {
+        windowSeconds: { type: Number, default: 30, min: 0 },
+        extensionSeconds: { type: Number, default: 30, min: 0 },
+        maxExtensions: { type: Number, default: 10, min: 0 }
+    },
+    extensionCount: { type: Number, default: 0, min: 0 },
+    // How long after placing a bid its bidder may still retract it
+    retractionWindowSeconds: { type: Number, default: 120, min: 0 },
+    // Set on auctions created from a recurring template (models/auctionTemplate.js)
+    template: { type: Schema.Types.ObjectId, ref: 'AuctionTemplate' },
+    occurrence: { type: Date },
+    // Last sequence number handed out to this auction's bid ledger (see models/bidEvent.js)
+    ledgerSequence: { type: Number, default: 0, min: 0 },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
 });
@@ -40,26 +193,325 @@ auctionSchema.pre('save', function(next) {
     if (this.isModified('minimumIncrement') && this.minimumIncrement <= 0) {
         return next(new Error('Minimum increment must be greater than 0.'));
     }
+    if (this.auctionType === 'multi_slot') {
+        const { slotCount, slotDurationSeconds } = this.adBreak || {};
+        if (!slotCount || !slotDurationSeconds) {
+            return next(new Error('Multi-slot auctions need adBreak.slotCount and adBreak.slotDurationSeconds.'));
+        }
+        if (slotCount * slotDurationSeconds > this.adSlotDetails.duration) {
+            return next(new Error('Ad break slots do not fit in the ad slot duration.'));
+        }
+    }
     next();
 });
 
-auctionSchema.methods.updateBid = function(user, amount) {
+auctionSchema.methods.updateBid = async function(user, amount) {
     if (amount < this.currentBid + this.minimumIncrement) {
         throw new Error('Bid increment is too low.');
     }
+    const snapshot = this.snapshotBidState();
     this.currentBid = amount;
+    this.highestBid = amount;
+    this.highestBidder = user;
     this.bidHistory.push({ user, amount });
-    this.updatedAt = Date.now();
-    return this.save();
+    const committed = await this.commitBid(snapshot);
+    if (!committed) {
+        const error = new Error('Outbid while submitting.');
+        error.code = 'OUTBID_WHILE_SUBMITTING';
+        throw error;
+    }
+    return committed;
+};
+
+// Each bidder's best bid, the one that competes for a slot in multi-slot auctions
+auctionSchema.methods.standingBids = function() {
+    const standing = new Map();
+    for (const bid of this.bidHistory) {
+        const current = standing.get(String(bid.user));
+        if (!current || bid.amount > current.amount) {
+            standing.set(String(bid.user), bid);
+        }
+    }
+    return [...standing.values()];
+};
+
+// Minimum amount the next bid has to reach. Multi-slot bidders compete for ranks rather
+// than the lead, so they only have to raise their own standing bid.
+auctionSchema.methods.minimumNextBid = function(bidderId) {
+    if (this.auctionType === 'multi_slot') {
+        const own = this.standingBids().find(bid => String(bid.user) === String(bidderId));
+        return own ? own.amount + this.minimumIncrement : this.startingBid;
+    }
+    return this.highestBidder ? this.highestBid + this.minimumIncrement : Math.max(this.startingBid, this.highestBid);
+};
+
+// Bid state as loaded, to be handed back to commitBid
+auctionSchema.methods.snapshotBidState = function() {
+    return {
+        currentBid: this.currentBid,
+        version: this.__v,
+        historyLength: this.bidHistory.length,
+        extensionCount: this.extensionCount
+    };
+};
+
+// Persist the bid changes made to this loaded document in one conditional update. It only
+// matches while the leading bid and version are still those in `snapshot`, so concurrent bids
+// cannot overwrite each other. Resolves to the updated auction, or null if another write got in first.
+// The same update reserves ledger sequence numbers, so bid events are ordered as they were committed.
+auctionSchema.methods.commitBid = async function(snapshot) {
+    const now = new Date();
+    const $set = { updatedAt: now };
+    for (const path of this.directModifiedPaths()) {
+        if (path.split('.')[0] !== 'bidHistory') {
+            $set[path] = this.get(path);
+        }
+    }
+    $set.currentBid = this.highestBid;
+
+    const newBids = this.bidHistory.slice(snapshot.historyLength).map(entry => entry.toObject());
+    const events = newBids.map(entry => ({
+        type: 'bid_placed',
+        bidder: entry.user,
+        campaign: entry.campaign,
+        amount: entry.amount,
+        originalAmount: entry.originalAmount,
+        originalCurrency: entry.originalCurrency,
+        exchangeRate: entry.exchangeRate,
+        isProxy: Boolean(entry.isProxy),
+        data: entry.priorityScore === undefined ? undefined : { priorityScore: entry.priorityScore, scoreBreakdown: entry.scoreBreakdown },
+        // Committed bids are dated by the server clock; retraction windows are measured from it
+        occurredAt: now
+    }));
+    if (this.extensionCount > snapshot.extensionCount) {
+        events.push({
+            type: 'auction_extended',
+            data: { expirationTime: this.expirationTime, extensionCount: this.extensionCount },
+            occurredAt: now
+        });
+    }
+
+    const committed = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            __v: snapshot.version,
+            currentBid: snapshot.currentBid === undefined ? null : snapshot.currentBid,
+            status: AUCTION_STATES.LIVE,
+            expirationTime: { $gt: now }
+        },
+        {
+            $set,
+            $push: { bidHistory: { $each: newBids } },
+            $inc: { __v: 1, ledgerSequence: events.length }
+        },
+        { new: true }
+    );
+    if (committed) {
+        await BidEvent.insertSequenced(this._id, committed.ledgerSequence - events.length + 1, events);
+    }
+    return committed;
+};
+
+// Price the current leader would pay if the auction closed now.
+// Second-price auctions charge the runner-up's bid plus one increment,
+// floored at the reserve and never more than the winner actually bid.
+auctionSchema.methods.calculateClearingPrice = function() {
+    if (this.clearingRule !== 'second_price') {
+        return this.highestBid;
+    }
+    const basePrice = this.runnerUpBid > 0 ? this.runnerUpBid + this.minimumIncrement : this.startingBid;
+    return Math.min(this.highestBid, Math.max(basePrice, this.reservePrice));
+};
+
+// Anti-sniping soft close: a bid landing inside the closing window pushes
+// expirationTime out so other bidders get a chance to respond.
+// Returns true when the auction was extended; the caller persists it.
+auctionSchema.methods.applySoftClose = function(bidTime = new Date()) {
+    const { windowSeconds, extensionSeconds, maxExtensions } = this.softClose;
+    const msRemaining = this.expirationTime - bidTime;
+    if (msRemaining < 0 || msRemaining > windowSeconds * 1000 || this.extensionCount >= maxExtensions) {
+        return false;
+    }
+    this.expirationTime = new Date(this.expirationTime.getTime() + extensionSeconds * 1000);
+    this.extensionCount += 1;
+    return true;
+};
+
+// Move the auction to another lifecycle state. Throws AuctionTransitionError (409)
+// when the move is illegal; the caller persists the document.
+auctionSchema.methods.transitionTo = function(to, options = {}) {
+    assertTransition(this, to, options);
+    const { entry, timestampField, at } = describeTransition(this, to, options);
+    this.status = to;
+    this.set(timestampField, at);
+    this.transitionLog.push(entry);
+    this.updatedAt = at;
+    if (to === AUCTION_STATES.SETTLED || to === AUCTION_STATES.FAILED_RESERVE) {
+        // Appended to the bid ledger once the settlement is saved
+        this.$locals.settlementEvent = settlementEvent(this, at);
+    }
+    return this;
+};
+
+// Ledger entry recording how an auction settled
+function settlementEvent(auction, at) {
+    return {
+        type: 'auction_settled',
+        bidder: auction.status === AUCTION_STATES.SETTLED ? auction.highestBidder : undefined,
+        amount: auction.status === AUCTION_STATES.SETTLED ? auction.clearingPrice : undefined,
+        data: {
+            status: auction.status,
+            highestBid: auction.highestBid,
+            runnerUpBid: auction.runnerUpBid,
+            slots: auction.auctionType === 'multi_slot' ? auction.slotAllocations.map(slot => slot.toObject()) : undefined
+        },
+        occurredAt: at
+    };
+}
+
+auctionSchema.statics.settlementEvent = settlementEvent;
+
+auctionSchema.post('save', async function(doc) {
+    if (doc.$locals.settlementEvent) {
+        const event = doc.$locals.settlementEvent;
+        delete doc.$locals.settlementEvent;
+        await BidEvent.append(doc._id, event);
+        await settleBudgetHolds(doc);
+    }
+});
+
+// Winners' budget holds become spend at the price they pay; every other hold is released
+async function settleBudgetHolds(auction) {
+    const Campaign = mongoose.model('Campaign');
+    const charges = new Map();
+    if (auction.status === AUCTION_STATES.SETTLED) {
+        if (auction.auctionType === 'multi_slot') {
+            auction.slotAllocations
+                .filter(slot => slot.campaign)
+                .forEach(slot => charges.set(String(slot.campaign), slot.price));
+        } else if (auction.highestBidCampaign) {
+            charges.set(String(auction.highestBidCampaign), auction.clearingPrice);
+        }
+    }
+
+    const holders = await Campaign.find({ 'budgetHolds.auction': auction._id }).select('_id');
+    const campaignIds = new Set([...charges.keys(), ...holders.map(campaign => String(campaign._id))]);
+    for (const campaignId of campaignIds) {
+        if (charges.has(campaignId)) {
+            await Campaign.commitHold(campaignId, auction._id, charges.get(campaignId));
+        } else {
+            await Campaign.releaseHold(campaignId, auction._id);
+        }
+    }
+}
+
+// Standing bids in the shape GSP allocation ranks
+const gspBids = (auction) => auction.standingBids().map(bid => ({
+    bidderId: bid.user,
+    campaignId: bid.campaign,
+    amount: bid.amount,
+    priorityScore: bid.priorityScore,
+    timestamp: bid.timestamp
+}));
+
+// Fill a multi-slot ad break from the standing bids, by GSP rank
+auctionSchema.methods.allocateSlots = function() {
+    const allocations = allocateGspSlots({
+        bids: gspBids(this),
+        slotCount: this.adBreak.slotCount,
+        slotDurationSeconds: this.adBreak.slotDurationSeconds,
+        reservePrice: this.reservePrice
+    });
+    this.slotAllocations = allocations.map(({ bidderId, campaignId, ...slot }) => ({ ...slot, bidder: bidderId, campaign: campaignId }));
+    return this.slotAllocations;
+};
+
+// Bidders who would win if the auction closed now, reserve aside: the leader, or everyone
+// holding a slot of a multi-slot ad break
+auctionSchema.methods.winningBidders = function() {
+    if (this.auctionType !== 'multi_slot') {
+        return this.highestBidder ? [String(this.highestBidder)] : [];
+    }
+    return allocateGspSlots({
+        bids: gspBids(this),
+        slotCount: this.adBreak.slotCount,
+        slotDurationSeconds: this.adBreak.slotDurationSeconds
+    }).map(slot => String(slot.bidderId));
+};
+
+// When the ad break being sold starts: it runs as soon as bidding closes
+auctionSchema.methods.slotStartsAt = function() {
+    return this.expirationTime;
+};
+
+// Settle a closing auction, or fail it when the reserve was not met
+auctionSchema.methods.settle = function(options = {}) {
+    if (this.auctionType === 'multi_slot' && this.status === AUCTION_STATES.CLOSING) {
+        this.allocateSlots();
+    }
+    return this.transitionTo(meetsReserve(this) ? AUCTION_STATES.SETTLED : AUCTION_STATES.FAILED_RESERVE, options);
+};
+
+// Close a live auction and settle it in one step
+auctionSchema.methods.closeAndSettle = function(options = {}) {
+    this.transitionTo(AUCTION_STATES.CLOSING, options);
+    return this.settle(options);
+};
+
+// Atomic transition for callers that race each other (schedulers, replicas).
+// Only succeeds if the status is still what the guard was checked against.
+auctionSchema.statics.transitionById = async function(auctionId, to, options = {}) {
+    const auction = await this.findById(auctionId);
+    if (!auction) {
+        throw new Error('Auction not found.');
+    }
+    assertTransition(auction, to, options);
+    const { entry, timestampField, at } = describeTransition(auction, to, options);
+    const updated = await this.findOneAndUpdate(
+        { _id: auctionId, status: auction.status },
+        { $set: { status: to, [timestampField]: at, updatedAt: at }, $push: { transitionLog: entry } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new AuctionTransitionError('Auction status changed concurrently.', { auctionId, from: auction.status, to });
+    }
+    return updated;
 };
 
 auctionSchema.methods.checkExpiration = function() {
-    if (new Date() > this.expirationTime) {
-        this.status = 'completed';
+    if (new Date() > this.expirationTime && this.status === AUCTION_STATES.LIVE) {
+        this.closeAndSettle({ actor: 'system', reason: 'expired' });
         return this.save();
     }
 };
 
+// Take (or renew) a lease on an auction, the scheduler lease unless another is named.
+// Returns false while another worker holds an unexpired lease.
+auctionSchema.statics.acquireLease = async function(auctionId, owner, ttlMs, lease = 'schedulerLease') {
+    const now = new Date();
+    const leased = await this.findOneAndUpdate(
+        {
+            _id: auctionId,
+            $or: [{ [`${lease}.expiresAt`]: null }, { [`${lease}.expiresAt`]: { $lte: now } }, { [`${lease}.owner`]: owner }]
+        },
+        { $set: { [lease]: { owner, expiresAt: new Date(now.getTime() + ttlMs) } } },
+        { projection: { _id: 1 } }
+    );
+    return Boolean(leased);
+};
+
+auctionSchema.statics.releaseLease = function(auctionId, owner, lease = 'schedulerLease') {
+    return this.updateOne({ _id: auctionId, [`${lease}.owner`]: owner }, { $unset: { [lease]: 1 } });
+};
+
+// Indexes for faster query performance; the scheduler finds due auctions through these
+auctionSchema.index({ status: 1, expirationTime: 1 });
+auctionSchema.index({ status: 1, startTime: 1 });
+auctionSchema.index({ streamer: 1, status: 1 });
+auctionSchema.index({ status: 1, category: 1, region: 1 });
+// One auction per template occurrence, however many scheduler replicas generate it
+auctionSchema.index({ template: 1, occurrence: 1 }, { unique: true, partialFilterExpression: { template: { $exists: true } } });
+
 const Auction = mongoose.model('Auction', auctionSchema);
 
 module.exports = Auction;
@@ -77,34 +529,14 @@ auctionSchema.methods.getBidRecommendation = async function() {
     return recommendation;
 };
 
-// Real-Time Auction Monitoring with WebSocket
-const wss = new WebSocket.Server({ port: 8080 });
-
-wss.on('connection', ws => {
-    ws.on('message', message => {
-        console.log('received: %s', message);
-    });
-
-    ws.send('something');
-});
-
+// Real-Time Auction Monitoring: only clients subscribed to this auction's room, or to the
+// stream room of the channel it runs on, get the update
 auctionSchema.methods.notifyBidUpdate = function() {
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({ auctionId: this._id, currentBid: this.currentBid }));
-        }
-    });
-};
-
-// Advanced Validation and Automation
-auctionSchema.methods.automateExpiration = function() {
-    setInterval(async () => {
-        if (new Date() > this.expirationTime && this.status === 'active') {
-            this.status = 'completed';
-            await this.save();
-            this.notifyBidUpdate();
-        }
-    }, 60000); // Check every minute
+    const update = { type: 'BID_UPDATE', auctionId: this._id, currentBid: this.currentBid };
+    publishToRoom(roomKey('auction', this._id), update);
+    if (this.streamer) {
+        publishToRoom(roomKey('stream', this.streamer), update);
+    }
 };
 
 // Audit Logging
@@ -119,8 +551,6 @@ auctionSchema.post('update', function(doc) {
 auctionSchema.post('remove', function(doc) {
     auditLogger.log('Auction removed', doc);
 });
-// Indexes for faster query performance
-auctionSchema.index({ status: 1, expirationTime: 1 });
 
 // Multi-platform auction handling
 auctionSchema.methods.isMultiPlatform = function() {
@@ -145,7 +575,7 @@ auctionSchema.methods.finalizeAuctionOnChain = async function() {
     if (!result.success) {
         throw new Error('Auction finalization failed on blockchain.');
     }
-    this.status = 'completed';
+    this.closeAndSettle({ actor: 'system', reason: 'finalized_on_chain' });
     return this.save();
 };
 
@@ -211,25 +641,6 @@ function encryptData(data) {
     return encrypted;
 }
 
-// Access control for WebSocket connections
-wss.on('connection', (ws, req) => {
-    const token = req.url.split('token=')[1];
-    if (!isValidToken(token)) {
-        ws.close();
-        return;
-    }
-
-    ws.on('message', message => {
-        console.log('received: %s', message);
-    });
-
-    ws.send('something');
-});
-
-function isValidToken(token) {
-    // Implement token validation logic
-    return true; // Placeholder
-}
 
 // Performance Optimization with Redis caching
 const redisClient = redis.createClient();
@@ -241,7 +652,7 @@ auctionSchema.statics.getActiveAuctions = async function() {
         return JSON.parse(cachedData);
     }
 
-    const activeAuctions = await this.find({ status: 'active' }).exec();
+    const activeAuctions = await this.find({ status: AUCTION_STATES.LIVE }).exec();
     await redisClient.setAsync(cacheKey, JSON.stringify(activeAuctions), 'EX', 60); // Cache for 60 seconds
     return activeAuctions;
 };
@@ -288,7 +699,7 @@ auctionSchema.methods.updateAdditionalMetrics = function() {
     const averageIncrement = totalIncrements / this.bidHistory.length;
     averageBidIncrementGauge.set(averageIncrement);
 
-    const conversionRate = this.status === 'completed' ? 1 : 0;
+    const conversionRate = this.status === AUCTION_STATES.SETTLED ? 1 : 0;
     auctionConversionRateGauge.set(conversionRate);
 
     const engagementTime = (new Date() - this.createdAt) / 1000; // in seconds
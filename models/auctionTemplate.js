@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { rrulestr } = require('rrule');
+
+const { Schema } = mongoose;
+
+// Occurrences generated per template in one pass, so a rule like FREQ=MINUTELY cannot flood the scheduler
+const MAX_OCCURRENCES_PER_PASS = 50;
+
+// Occurrences inherit DTSTART's seconds and milliseconds, so it is kept on a whole minute
+// (otherwise a 19:00 rule produces e.g. 19:00:40.123 and skipping needs that exact time)
+const startOfMinute = (date) => {
+    if (date == null) return date;
+    const truncated = new Date(date);
+    truncated.setUTCSeconds(0, 0);
+    return truncated;
+};
+
+// Settings for a streamer's regular slot. The scheduler creates one auction per occurrence of
+// the recurrence rule, `createAheadHours` before it starts (see services/auctionTemplateService.js).
+const auctionTemplateSchema = new Schema({
+    streamer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    // Copied onto every auction created from the template. Sealed-bid and Dutch auctions need
+    // per-auction deadlines and clocks, so they are still created by hand.
+    auction: {
+        auctionType: { type: String, enum: ['english', 'multi_slot'], default: 'english' },
+        adSlotDetails: {
+            streamPlatform: { type: String, required: true },
+            duration: { type: Number, required: true }
+        },
+        category: { type: String, trim: true, lowercase: true },
+        region: { type: String, uppercase: true },
+        expectedViewers: { type: Number, min: 0 },
+        currency: { type: String, uppercase: true },
+        acceptedCurrencies: [{ type: String, uppercase: true }],
+        startingBid: { type: Number, required: true, min: 0 },
+        minimumIncrement: { type: Number, required: true, min: 0 },
+        reservePrice: { type: Number, required: true, min: 0 },
+        clearingRule: { type: String, enum: ['first_price', 'second_price'], default: 'first_price' },
+        adBreak: {
+            slotCount: { type: Number, min: 1 },
+            slotDurationSeconds: { type: Number, min: 1 }
+        },
+        softClose: {
+            windowSeconds: { type: Number, min: 0 },
+            extensionSeconds: { type: Number, min: 0 },
+            maxExtensions: { type: Number, min: 0 }
+        },
+        retractionWindowSeconds: { type: Number, min: 0 }
+    },
+    // How long each auction takes bids, from its occurrence
+    durationMinutes: { type: Number, required: true, min: 1 },
+    recurrence: {
+        // RFC 5545 RRULE text, e.g. "FREQ=WEEKLY;BYDAY=TU;BYHOUR=19;BYMINUTE=0"
+        rule: { type: String, required: true },
+        // First occurrence, when the rule has no DTSTART of its own
+        startsAt: { type: Date, default: () => startOfMinute(Date.now()), set: startOfMinute },
+        timezone: { type: String, default: 'UTC' }
+    },
+    createAheadHours: { type: Number, default: 7 * 24, min: 1 },
+    status: { type: String, enum: ['active', 'paused'], default: 'active' },
+    // Occurrences the streamer skipped; no auction is created for them
+    skippedOccurrences: [{ type: Date }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+auctionTemplateSchema.pre('validate', function(next) {
+    try {
+        this.recurrenceRule();
+    } catch (error) {
+        this.invalidate('recurrence.rule', `Invalid recurrence rule: ${error.message}`);
+    }
+    if (this.auction.auctionType === 'multi_slot') {
+        const { slotCount, slotDurationSeconds } = this.auction.adBreak || {};
+        if (!slotCount || !slotDurationSeconds) {
+            this.invalidate('auction.adBreak', 'Multi-slot templates need adBreak.slotCount and adBreak.slotDurationSeconds.');
+        }
+    }
+    next();
+});
+
+auctionTemplateSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// --- Instance Methods ---
+
+auctionTemplateSchema.methods.recurrenceRule = function() {
+    return rrulestr(this.recurrence.rule, {
+        dtstart: startOfMinute(this.recurrence.startsAt),
+        tzid: this.recurrence.timezone
+    });
+};
+
+auctionTemplateSchema.methods.isSkipped = function(occurrence) {
+    return this.skippedOccurrences.some(skipped => skipped.getTime() === occurrence.getTime());
+};
+
+// Occurrences in [from, to] that were not skipped, earliest first
+auctionTemplateSchema.methods.occurrencesBetween = function(from, to) {
+    const occurrences = [];
+    this.recurrenceRule().between(from, to, true, (date) => {
+        if (!this.isSkipped(date)) occurrences.push(date);
+        return occurrences.length < MAX_OCCURRENCES_PER_PASS;
+    });
+    return occurrences;
+};
+
+// Whether `occurrence` is one the rule produces
+auctionTemplateSchema.methods.hasOccurrence = function(occurrence) {
+    return this.recurrenceRule().between(occurrence, occurrence, true).length > 0;
+};
+
+// Fields for an auction at `occurrence`
+auctionTemplateSchema.methods.auctionFor = function(occurrence) {
+    const settings = this.toObject().auction;
+    if (settings.auctionType !== 'multi_slot') delete settings.adBreak;
+    return {
+        ...settings,
+        streamer: this.streamer,
+        highestBid: settings.startingBid,
+        startTime: occurrence,
+        expirationTime: new Date(occurrence.getTime() + this.durationMinutes * 60 * 1000),
+        template: this._id,
+        occurrence
+    };
+};
+
+// --- Indexes ---
+auctionTemplateSchema.index({ status: 1 });
+auctionTemplateSchema.index({ streamer: 1, createdAt: -1 });
+
+const AuctionTemplate = mongoose.model('AuctionTemplate', auctionTemplateSchema);
+
+module.exports = AuctionTemplate;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const BID_EVENT_TYPES = ['bid_placed', 'bid_retracted', 'bid_rejected', 'auction_extended', 'auction_settled'];
+
+// One entry in an auction's append-only bid ledger. Events are ordered by `sequence`,
+// which is allocated on the auction document, and are never updated or removed.
+const bidEventSchema = new Schema({
+    auction: { type: Schema.Types.ObjectId, ref: 'Auction', required: true },
+    sequence: { type: Number, required: true, min: 1 },
+    type: { type: String, enum: BID_EVENT_TYPES, required: true },
+    bidder: { type: Schema.Types.ObjectId, ref: 'User' },
+    // Campaign whose budget backs the bid
+    campaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    amount: { type: Number, min: 0 },
+    // Amount and currency as bid, and the auction's frozen rate the amount was converted at
+    originalAmount: { type: Number, min: 0 },
+    originalCurrency: { type: String },
+    exchangeRate: { type: Number },
+    isProxy: { type: Boolean, default: false },
+    // Sequence of the bid_placed event a retraction refers to
+    relatedSequence: { type: Number },
+    reason: { type: String },
+    // Type-specific details, e.g. the new expirationTime of an extension or the settlement outcome
+    data: { type: Schema.Types.Mixed },
+    occurredAt: { type: Date, default: Date.now }
+});
+
+// --- Indexes ---
+bidEventSchema.index({ auction: 1, sequence: 1 }, { unique: true });
+bidEventSchema.index({ bidder: 1, occurredAt: -1 });
+
+// --- Append-only ---
+const rejectMutation = function(next) {
+    next(new Error('Bid events are append-only.'));
+};
+bidEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+bidEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+// --- Static Methods ---
+
+// Append events that were already given sequence numbers (see Auction#commitBid)
+bidEventSchema.statics.insertSequenced = function(auctionId, firstSequence, events) {
+    if (!events.length) return Promise.resolve([]);
+    return this.insertMany(events.map((event, index) => ({ ...event, auction: auctionId, sequence: firstSequence + index })));
+};
+
+// Allocate sequence numbers on the auction and append the events in order
+bidEventSchema.statics.append = async function(auctionId, events) {
+    const list = Array.isArray(events) ? events : [events];
+    if (!list.length) return [];
+    const auction = await mongoose.model('Auction').findOneAndUpdate(
+        { _id: auctionId },
+        { $inc: { ledgerSequence: list.length } },
+        { new: true, projection: { ledgerSequence: 1 } }
+    );
+    if (!auction) {
+        throw new Error(`Auction not found for bid events: ${auctionId}`);
+    }
+    return this.insertSequenced(auctionId, auction.ledgerSequence - list.length + 1, list);
+};
+
+bidEventSchema.statics.forAuction = function(auctionId) {
+    return this.find({ auction: auctionId }).sort({ sequence: 1 }).lean();
+};
+
+const BidEvent = mongoose.model('BidEvent', bidEventSchema);
+
+module.exports = BidEvent;
+module.exports.BID_EVENT_TYPES = BID_EVENT_TYPES;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// A streamer's ban on a bidder. With `auction` set it covers that auction only,
+// without it every auction the streamer runs.
+const bidderBanSchema = new Schema({
+    streamer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    auction: { type: Schema.Types.ObjectId, ref: 'Auction', default: null },
+    // User ID, or the platform user ID for bids placed from chat
+    bidder: { type: String, required: true },
+    reason: { type: String },
+    bannedBy: { type: String },
+    // Unset for a permanent ban
+    expiresAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// --- Indexes ---
+bidderBanSchema.index({ streamer: 1, bidder: 1, auction: 1 }, { unique: true });
+bidderBanSchema.index({ auction: 1, bidder: 1 });
+
+// --- Static Methods ---
+
+// Whether `bidderId` may not bid on `auction`, through an auction or a streamer-wide ban
+bidderBanSchema.statics.isBanned = async function(auction, bidderId, now = new Date()) {
+    const scopes = [{ auction: auction._id }];
+    if (auction.streamer) {
+        scopes.push({ streamer: auction.streamer, auction: null });
+    }
+    const ban = await this.exists({
+        bidder: String(bidderId),
+        $and: [
+            { $or: scopes },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+        ]
+    });
+    return Boolean(ban);
+};
+
+const BidderBan = mongoose.model('BidderBan', bidderBanSchema);
+
+module.exports = BidderBan;
@@ -7,10 +7,52 @@ const nodemailer = require('nodemailer');
 const { WebClient } = require('@slack/web-api');
 const i18n = require('i18n');
 const Prometheus = require('prom-client');
+const { CLOCK_PATTERN, isValidTimeZone, clockMinutes, isWithinSchedule } = require('../utils/campaignSchedule');
 
 const { Schema } = mongoose;
 const eventEmitter = new EventEmitter();
 
+// Conditional hold updates retried after another hold on the same auction got in first
+const MAX_HOLD_ATTEMPTS = 3;
+
+// Share of the budget a paced campaign should have spent once `elapsed` (0-1) of its run is over.
+// 'none' spends freely; its status is still reported against the even curve.
+const PACING_CURVES = {
+    none: elapsed => elapsed,
+    even: elapsed => elapsed,
+    front_loaded: elapsed => 1 - (1 - elapsed) ** 2
+};
+const PACING_MODES = Object.keys(PACING_CURVES);
+// Spend within this share of the budget either side of the curve is on track
+const PACING_TOLERANCE = parseFloat(process.env.CAMPAIGN_PACING_TOLERANCE) || 0.05;
+
+// Budget reserved for an auction the campaign is currently leading
+const budgetHoldSchema = new Schema({
+    auction: { type: Schema.Types.ObjectId, ref: 'Auction', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    heldAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One block of the weekly delivery schedule (utils/campaignSchedule.js)
+const scheduleWindowSchema = new Schema({
+    days: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        validate: {
+            validator: days => days.length > 0,
+            message: 'A schedule window needs at least one day.'
+        }
+    },
+    start: { type: String, required: true, match: CLOCK_PATTERN },
+    end: { type: String, required: true, match: CLOCK_PATTERN }
+}, { _id: false });
+
+scheduleWindowSchema.pre('validate', function(next) {
+    if (this.start && this.end && clockMinutes(this.start) >= clockMinutes(this.end)) {
+        this.invalidate('end', 'A schedule window must end after it starts; split overnight windows at midnight.');
+    }
+    next();
+});
+
 const campaignSchema = new Schema({
     name: {
         type: String,
@@ -52,6 +94,19 @@ const campaignSchema = new Schema({
             return this.budget;
         }
     },
+    // Sum of budgetHolds; remainingBudget - heldBudget is what new bids can use
+    heldBudget: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    budgetHolds: [budgetHoldSchema],
+    // How spend is spread between startDate and endDate; see pacingStatus()
+    pacing: {
+        type: String,
+        enum: PACING_MODES,
+        default: 'none'
+    },
     status: {
         type: String,
         enum: ['active', 'paused', 'completed', 'cancelled'],
@@ -65,6 +120,19 @@ const campaignSchema = new Schema({
         type: Date,
         required: true
     },
+    // Hours of the week the campaign delivers and auto-bids, in the advertiser's timezone;
+    // no windows means around the clock
+    schedule: {
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimeZone,
+                message: 'Schedule timezone must be an IANA timezone such as Europe/Berlin.'
+            }
+        },
+        windows: [scheduleWindowSchema]
+    },
     targetAudience: {
         demographics: {
             age: [Number],
@@ -151,11 +219,139 @@ campaignSchema.statics.calculateTotalSpending = function(campaignId) {
     ]);
 };
 
+// Load a campaign the user may manage; admins may manage any campaign
+campaignSchema.statics.findOwned = function(campaignId, user) {
+    return this.findOne(user.role === 'admin' ? { _id: campaignId } : { _id: campaignId, advertiser: user.id });
+};
+
+// Whether the weekly schedule lets the campaign deliver at `date`
+campaignSchema.methods.isScheduledAt = function(date) {
+    return isWithinSchedule(this.schedule, date);
+};
+
+// --- Auction Budget Holds ---
+
+// Budget the campaign can commit to `auctionId`: unspent budget not held for other auctions
+campaignSchema.methods.availableBudget = function(auctionId) {
+    const hold = this.budgetHolds.find(h => String(h.auction) === String(auctionId));
+    return this.remainingBudget - this.heldBudget + (hold ? hold.amount : 0);
+};
+
+// --- Budget Pacing ---
+
+/**
+ * Compare what the campaign has spent or holds with where its pacing curve says it should be
+ * @param {Date} now - Time to measure at.
+ * @returns {Object} - { mode, elapsed, spent, target, allowance, status ('ahead', 'on_track'
+ *   or 'behind'), throttled }. Paced campaigns are throttled once spend reaches the allowance.
+ */
+campaignSchema.methods.pacingStatus = function(now = new Date()) {
+    const elapsed = Math.min(1, Math.max(0, (now - this.startDate) / (this.endDate - this.startDate)));
+    const spent = this.budget - this.remainingBudget + this.heldBudget;
+    const target = this.budget * PACING_CURVES[this.pacing || 'none'](elapsed);
+    const tolerance = this.budget * PACING_TOLERANCE;
+    const paced = Boolean(this.pacing) && this.pacing !== 'none';
+    const allowance = paced ? Math.min(this.budget, target + tolerance) : this.budget;
+
+    let status = 'on_track';
+    if (spent > target + tolerance) status = 'ahead';
+    else if (spent < target - tolerance) status = 'behind';
+
+    return { mode: this.pacing || 'none', elapsed, spent, target, allowance, status, throttled: paced && spent >= allowance };
+};
+
+// Budget the campaign can commit to `auctionId` right now without running ahead of its pacing curve
+campaignSchema.methods.pacedBudget = function(auctionId, now = new Date()) {
+    const available = this.availableBudget(auctionId);
+    if (!this.pacing || this.pacing === 'none') {
+        return available;
+    }
+    const hold = this.budgetHolds.find(h => String(h.auction) === String(auctionId));
+    const { allowance, spent } = this.pacingStatus(now);
+    return Math.max(0, Math.min(available, allowance - spent + (hold ? hold.amount : 0)));
+};
+
+/**
+ * Set the campaign's hold on an auction to `amount`, if its budget covers it. The update only
+ * matches while the hold is as read and enough budget is unheld, so concurrent bids on other
+ * auctions cannot overspend the campaign.
+ * Paced campaigns also may not hold more than their pacing curve allows yet.
+ * @returns {Object} - { held, previousAmount, available, paced (true when pacing refused it) }
+ */
+campaignSchema.statics.holdBudget = async function(campaignId, auctionId, amount) {
+    for (let attempt = 0; attempt < MAX_HOLD_ATTEMPTS; attempt++) {
+        const campaign = await this.findById(campaignId)
+            .select('status budget remainingBudget heldBudget budgetHolds pacing startDate endDate');
+        if (!campaign || campaign.status !== 'active') {
+            return { held: false, available: 0 };
+        }
+        const available = campaign.availableBudget(auctionId);
+        if (amount > available) {
+            return { held: false, available };
+        }
+        // Pacing is checked as read; a concurrent hold can overshoot it a little, never the budget
+        const paced = campaign.pacedBudget(auctionId);
+        if (amount > paced) {
+            return { held: false, available: paced, paced: true };
+        }
+
+        const existing = campaign.budgetHolds.find(h => String(h.auction) === String(auctionId));
+        const previousAmount = existing ? existing.amount : 0;
+        const delta = amount - previousAmount;
+        const { modifiedCount } = await this.updateOne(
+            {
+                _id: campaignId,
+                budgetHolds: existing
+                    ? { $elemMatch: { auction: auctionId, amount: previousAmount } }
+                    : { $not: { $elemMatch: { auction: auctionId } } },
+                $expr: { $gte: [{ $subtract: ['$remainingBudget', '$heldBudget'] }, delta] }
+            },
+            existing
+                ? { $set: { 'budgetHolds.$.amount': amount, 'budgetHolds.$.heldAt': new Date() }, $inc: { heldBudget: delta } }
+                : { $push: { budgetHolds: { auction: auctionId, amount } }, $inc: { heldBudget: amount } }
+        );
+        if (modifiedCount) {
+            return { held: true, previousAmount, available };
+        }
+    }
+    throw new Error(`Budget hold for auction ${auctionId} on campaign ${campaignId} kept changing.`);
+};
+
+// Remove the hold on an auction and charge `spend` against the remaining budget
+async function clearHold(Campaign, campaignId, auctionId, spend) {
+    for (let attempt = 0; attempt < MAX_HOLD_ATTEMPTS; attempt++) {
+        const campaign = await Campaign.findById(campaignId).select('budgetHolds');
+        const hold = campaign && campaign.budgetHolds.find(h => String(h.auction) === String(auctionId));
+        if (!hold) {
+            // Nothing held (e.g. the hold failed after a retraction); a win is still charged
+            return spend ? Campaign.updateOne({ _id: campaignId }, { $inc: { remainingBudget: -spend } }) : null;
+        }
+        const { modifiedCount } = await Campaign.updateOne(
+            { _id: campaignId, budgetHolds: { $elemMatch: { auction: auctionId, amount: hold.amount } } },
+            { $pull: { budgetHolds: { auction: auctionId } }, $inc: { heldBudget: -hold.amount, remainingBudget: -spend } }
+        );
+        if (modifiedCount) return hold;
+    }
+    throw new Error(`Budget hold for auction ${auctionId} on campaign ${campaignId} kept changing.`);
+}
+
+// Give the held budget back, e.g. once the campaign has been outbid
+campaignSchema.statics.releaseHold = function(campaignId, auctionId) {
+    return clearHold(this, campaignId, auctionId, 0);
+};
+
+// Turn the hold on a won auction into spend at the price actually paid
+campaignSchema.statics.commitHold = function(campaignId, auctionId, spend) {
+    return clearHold(this, campaignId, auctionId, spend);
+};
+
 campaignSchema.index({ advertiser: 1, status: 1 });
 campaignSchema.index({ 'targetAudience.location': 1 });
 campaignSchema.index({ startDate: 1, endDate: 1 });
+campaignSchema.index({ 'budgetHolds.auction': 1 });
 
 module.exports = mongoose.model('Campaign', campaignSchema);
+module.exports.PACING_MODES = PACING_MODES;
 // AI-driven prediction system
 campaignSchema.methods.predictPerformance = async function() {
     // Load historical data and create a TensorFlow model for prediction
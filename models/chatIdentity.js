@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const CHAT_PLATFORMS = ['twitch', 'youtube'];
+
+// A chat account linked to a QuikHit user. Linking proves both sides: the user creates a
+// code while signed in and types it in chat with !link (see services/chatIdentityService.js).
+const chatIdentitySchema = new Schema({
+    platform: { type: String, enum: CHAT_PLATFORMS, required: true },
+    platformUserId: { type: String, required: true },
+    platformUsername: { type: String },
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Campaign that pays for !bid commands that do not name one
+    defaultCampaign: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+    linkedAt: { type: Date, default: Date.now }
+});
+
+// --- Indexes ---
+chatIdentitySchema.index({ platform: 1, platformUserId: 1 }, { unique: true });
+chatIdentitySchema.index({ user: 1 });
+
+const ChatIdentity = mongoose.model('ChatIdentity', chatIdentitySchema);
+
+module.exports = ChatIdentity;
+module.exports.CHAT_PLATFORMS = CHAT_PLATFORMS;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// How viewers are spread over a campaign's creatives (services/creativeExperimentService.js):
+// evenly, by arm weight, or shifted towards the best click-through rate as results come in
+const ROTATION_MODES = ['even', 'weighted', 'ctr_bandit'];
+// Tracked per arm by analytics/adPerformance.js
+const ARM_COUNTERS = ['impressions', 'clicks', 'conversions'];
+
+// One creative (Ad) in the rotation, with what it has done so far
+const experimentArmSchema = new Schema({
+    ad: { type: Schema.Types.ObjectId, ref: 'Ad', required: true },
+    // Relative share of viewers in 'weighted' mode
+    weight: { type: Number, default: 1, min: 0 },
+    // Stopped arms get no more viewers, e.g. once a winner has been declared
+    active: { type: Boolean, default: true },
+    impressions: { type: Number, default: 0, min: 0 },
+    clicks: { type: Number, default: 0, min: 0 },
+    conversions: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// Creative rotation and A/B experiment for a campaign. A campaign runs at most one at a time.
+const creativeExperimentSchema = new Schema({
+    campaign: { type: Schema.Types.ObjectId, ref: 'Campaign', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    mode: { type: String, enum: ROTATION_MODES, default: 'even' },
+    arms: {
+        type: [experimentArmSchema],
+        validate: {
+            validator: arms => arms.length >= 2 && new Set(arms.map(arm => String(arm.ad))).size === arms.length,
+            message: 'Experiments need at least two different creatives.'
+        }
+    },
+    status: { type: String, enum: ['running', 'concluded'], default: 'running' },
+    winner: { type: Schema.Types.ObjectId, ref: 'Ad' },
+    concludedAt: { type: Date },
+    concludedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+creativeExperimentSchema.pre('validate', function(next) {
+    if (this.mode === 'weighted' && !this.arms.some(arm => arm.active && arm.weight > 0)) {
+        this.invalidate('arms', 'Weighted rotation needs at least one active arm with a weight above 0.');
+    }
+    next();
+});
+
+// Count an impression, click or conversion of a creative served by a running experiment
+creativeExperimentSchema.statics.recordArmEvent = function(experimentId, adId, counter) {
+    if (!ARM_COUNTERS.includes(counter)) {
+        throw new Error(`Unknown experiment counter: ${counter}`);
+    }
+    return this.updateOne(
+        { _id: experimentId, status: 'running', 'arms.ad': adId },
+        { $inc: { [`arms.$.${counter}`]: 1 } }
+    );
+};
+
+// --- Indexes ---
+creativeExperimentSchema.index({ campaign: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+creativeExperimentSchema.index({ campaign: 1, createdAt: -1 });
+
+const CreativeExperiment = mongoose.model('CreativeExperiment', creativeExperimentSchema);
+
+module.exports = CreativeExperiment;
+module.exports.ROTATION_MODES = ROTATION_MODES;
+module.exports.ARM_COUNTERS = ARM_COUNTERS;
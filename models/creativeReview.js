@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Review states of a creative on one streamer's channel. Only approved creatives are shown there.
+const CREATIVE_STATES = ['submitted', 'in_review', 'approved', 'rejected', 'changes_requested'];
+
+// Moderators take submitted creatives into review or decide on them directly; editing the ad
+// sends it back to submitted whatever was decided (services/creativeModerationService.js)
+const CREATIVE_TRANSITIONS = Object.freeze({
+    submitted: ['in_review', 'approved', 'rejected', 'changes_requested'],
+    in_review: ['approved', 'rejected', 'changes_requested', 'submitted'],
+    approved: ['submitted'],
+    rejected: ['submitted'],
+    changes_requested: ['submitted']
+});
+
+const reviewEventSchema = new Schema({
+    from: { type: String, enum: CREATIVE_STATES },
+    to: { type: String, enum: CREATIVE_STATES, required: true },
+    // Moderator or streamer; empty for submissions and automatic approvals
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String, trim: true, maxlength: 1000 },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A creative's approval for one streamer's channel
+const creativeReviewSchema = new Schema({
+    ad: { type: Schema.Types.ObjectId, ref: 'Ad', required: true },
+    advertiser: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    streamer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: CREATIVE_STATES, default: 'submitted' },
+    // Streamer rule that approved the creative without a moderator, if any
+    autoApprovedBy: { type: String },
+    // Latest decision's moderator and notes, e.g. the changes an advertiser is asked to make
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String, trim: true, maxlength: 1000 },
+    submittedAt: { type: Date, default: Date.now },
+    history: [reviewEventSchema]
+}, { timestamps: true });
+
+/**
+ * Move a review to `to` if that is legal from the status it was read in. The update only
+ * matches while the review is still in that status, so two moderators deciding at once
+ * cannot both win.
+ * @returns {Object|null} - Updated review, or null when the move is illegal or lost a race.
+ */
+creativeReviewSchema.statics.transition = function(review, to, { by, notes, autoApprovedBy } = {}) {
+    if (!CREATIVE_TRANSITIONS[review.status].includes(to)) {
+        return Promise.resolve(null);
+    }
+    const set = { status: to, decidedBy: by || null, notes: notes || null, autoApprovedBy: autoApprovedBy || null };
+    if (to === 'submitted') set.submittedAt = new Date();
+    return this.findOneAndUpdate(
+        { _id: review._id, status: review.status },
+        { $set: set, $push: { history: { from: review.status, to, by, notes } } },
+        { new: true }
+    );
+};
+
+// Whether an ad may be shown on a streamer's channel
+creativeReviewSchema.statics.isApproved = async function(adId, streamerId) {
+    return Boolean(await this.exists({ ad: adId, streamer: streamerId, status: 'approved' }));
+};
+
+// --- Indexes ---
+creativeReviewSchema.index({ ad: 1, streamer: 1 }, { unique: true });
+creativeReviewSchema.index({ status: 1, submittedAt: 1 });
+creativeReviewSchema.index({ streamer: 1, status: 1, submittedAt: 1 });
+
+const CreativeReview = mongoose.model('CreativeReview', creativeReviewSchema);
+
+module.exports = CreativeReview;
+module.exports.CREATIVE_STATES = CREATIVE_STATES;
+module.exports.CREATIVE_TRANSITIONS = CREATIVE_TRANSITIONS;
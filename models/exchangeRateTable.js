@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Conditional version allocation retried after another publish got in first
+const MAX_PUBLISH_ATTEMPTS = 3;
+
+// One version of the currency rate table. Auctions freeze the rates they need from the
+// version current when they go live (see services/rateSnapshotService.js), so tables are
+// never edited: new rates are published as a new version.
+const exchangeRateTableSchema = new Schema({
+    version: { type: Number, required: true, min: 1 },
+    baseCurrency: { type: String, required: true, uppercase: true },
+    // Units of baseCurrency per one unit of each currency
+    rates: {
+        type: Map,
+        of: { type: Number, min: 0 },
+        required: true,
+        validate: {
+            validator: rates => rates.size > 0 && [...rates.values()].every(rate => rate > 0),
+            message: 'Rate tables need at least one positive rate.'
+        }
+    },
+    source: { type: String, enum: ['file', 'admin'], required: true },
+    // File the table was loaded from, or the admin who published it
+    sourceRef: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// --- Indexes ---
+exchangeRateTableSchema.index({ version: 1 }, { unique: true });
+
+// --- Immutable ---
+const rejectMutation = function(next) {
+    next(new Error('Exchange rate tables cannot be changed; publish a new version instead.'));
+};
+exchangeRateTableSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+exchangeRateTableSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+// --- Instance Methods ---
+
+// Units of `to` one unit of `from` is worth, or null if either currency has no rate
+exchangeRateTableSchema.methods.rateBetween = function(from, to) {
+    const rateOf = currency => (currency === this.baseCurrency ? 1 : this.rates.get(currency));
+    const fromRate = rateOf(from);
+    const toRate = rateOf(to);
+    return fromRate && toRate ? fromRate / toRate : null;
+};
+
+// --- Static Methods ---
+
+exchangeRateTableSchema.statics.current = function() {
+    return this.findOne().sort({ version: -1 });
+};
+
+// Publish the next version; the unique index settles concurrent publishes
+exchangeRateTableSchema.statics.publish = async function({ baseCurrency, rates, source, sourceRef }) {
+    for (let attempt = 0; attempt < MAX_PUBLISH_ATTEMPTS; attempt++) {
+        const latest = await this.findOne().sort({ version: -1 }).select('version');
+        try {
+            return await this.create({
+                version: latest ? latest.version + 1 : 1,
+                baseCurrency,
+                rates,
+                source,
+                sourceRef
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+    throw new Error('Exchange rate tables kept changing while publishing.');
+};
+
+const ExchangeRateTable = mongoose.model('ExchangeRateTable', exchangeRateTableSchema);
+
+module.exports = ExchangeRateTable;
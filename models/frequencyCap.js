@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Levels a cap can be set at; an impression counts towards its ad, campaign and advertiser
+const FREQUENCY_CAP_SCOPES = ['ad', 'campaign', 'advertiser'];
+// Counting windows, in seconds. Windows are fixed (clock hours and UTC days), not sliding.
+const FREQUENCY_CAP_PERIODS = Object.freeze({ hour: 60 * 60, day: 24 * 60 * 60 });
+
+const capLimitSchema = new Schema({
+    period: { type: String, enum: Object.keys(FREQUENCY_CAP_PERIODS), required: true },
+    maxImpressions: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// Impressions one viewer may see of an ad, campaign or advertiser per period
+// (enforced by services/frequencyCapService.js when an ad is selected)
+const frequencyCapSchema = new Schema({
+    scope: { type: String, enum: FREQUENCY_CAP_SCOPES, required: true },
+    // Ad, Campaign or User (advertiser) the cap applies to
+    target: { type: Schema.Types.ObjectId, required: true },
+    limits: {
+        type: [capLimitSchema],
+        validate: {
+            validator: limits => limits.length > 0 && new Set(limits.map(limit => limit.period)).size === limits.length,
+            message: 'Caps need at least one limit and at most one per period.'
+        }
+    },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// --- Indexes ---
+frequencyCapSchema.index({ scope: 1, target: 1 }, { unique: true });
+
+const FrequencyCap = mongoose.model('FrequencyCap', frequencyCapSchema);
+
+module.exports = FrequencyCap;
+module.exports.FREQUENCY_CAP_SCOPES = FREQUENCY_CAP_SCOPES;
+module.exports.FREQUENCY_CAP_PERIODS = FREQUENCY_CAP_PERIODS;
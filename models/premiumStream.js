@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const { Schema } = mongoose;
+
+const premiumStreamSchema = new Schema({
+    title: { type: String, required: true, trim: true },
+    description: { type: String, required: true },
+    // Auctions selling this stream's inventory: single slots or whole multi-slot ad breaks
+    auctionIds: [{ type: Schema.Types.ObjectId, ref: 'Auction' }],
+    region: { type: String, required: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+    timestamps: true
+});
+
+premiumStreamSchema.plugin(mongoosePaginate);
+
+// --- Indexes ---
+premiumStreamSchema.index({ auctionIds: 1 });
+premiumStreamSchema.index({ createdBy: 1, createdAt: -1 });
+
+// --- Static Methods ---
+
+// Load a stream with its auctions; multi-slot auctions include their break layout and slot winners
+premiumStreamSchema.statics.findWithAuctions = function(id) {
+    return this.findById(id).populate({
+        path: 'auctionIds',
+        select: 'auctionType status adSlotDetails adBreak slotAllocations highestBid expirationTime'
+    });
+};
+
+module.exports = mongoose.model('PremiumStream', premiumStreamSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { AUCTION_STATES } = require('../utils/auctionStateMachine');
+
+const { Schema } = mongoose;
+
+// A user's saved auction filters. Empty lists and unset bounds match everything.
+const savedSearchSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    filters: {
+        platforms: [{ type: String, trim: true, lowercase: true }],
+        categories: [{ type: String, trim: true, lowercase: true }],
+        regions: [{ type: String, trim: true, uppercase: true }],
+        // Expected viewers (auction.expectedViewers)
+        minViewers: { type: Number, min: 0 },
+        maxViewers: { type: Number, min: 0 },
+        // Starting bid, in the auction's currency
+        minPrice: { type: Number, min: 0 },
+        maxPrice: { type: Number, min: 0 }
+    },
+    // Whether newly scheduled auctions matching the search are announced to the user
+    notify: { type: Boolean, default: true },
+    lastMatchedAt: { type: Date }
+}, { timestamps: true });
+
+// --- Validation ---
+savedSearchSchema.pre('validate', function(next) {
+    const { minViewers, maxViewers, minPrice, maxPrice } = this.filters;
+    if (minViewers != null && maxViewers != null && minViewers > maxViewers) {
+        this.invalidate('filters.maxViewers', 'maxViewers must not be below minViewers.');
+    }
+    if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+        this.invalidate('filters.maxPrice', 'maxPrice must not be below minPrice.');
+    }
+    next();
+});
+
+// --- Instance Methods ---
+
+// Case-insensitive exact match; platform names are not normalized on auctions
+const sameText = text => new RegExp(`^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+const inRange = (value, min, max) => (min == null || value >= min) && (max == null || value <= max);
+const viewerRangeSet = filters => filters.minViewers != null || filters.maxViewers != null;
+
+// Whether an auction passes the search's filters. Auctions that do not state their expected
+// viewers only match searches without a viewer range.
+savedSearchSchema.methods.matches = function(auction) {
+    const { platforms, categories, regions, minViewers, maxViewers, minPrice, maxPrice } = this.filters;
+    const platform = String(auction.adSlotDetails.streamPlatform).toLowerCase();
+    return (!platforms.length || platforms.includes(platform))
+        && (!categories.length || categories.includes(auction.category))
+        && (!regions.length || regions.includes(auction.region))
+        && (!viewerRangeSet(this.filters) || (auction.expectedViewers != null && inRange(auction.expectedViewers, minViewers, maxViewers)))
+        && inRange(auction.startingBid, minPrice, maxPrice);
+};
+
+// Query for the scheduled and live auctions the search matches
+savedSearchSchema.methods.auctionQuery = function() {
+    const { platforms, categories, regions, minViewers, maxViewers, minPrice, maxPrice } = this.filters;
+    const range = (min, max) => ({ ...(min != null && { $gte: min }), ...(max != null && { $lte: max }) });
+    const query = { status: { $in: [AUCTION_STATES.SCHEDULED, AUCTION_STATES.LIVE] } };
+    if (platforms.length) query['adSlotDetails.streamPlatform'] = { $in: platforms.map(sameText) };
+    if (categories.length) query.category = { $in: categories };
+    if (regions.length) query.region = { $in: regions };
+    if (viewerRangeSet(this.filters)) query.expectedViewers = range(minViewers, maxViewers);
+    if (minPrice != null || maxPrice != null) query.startingBid = range(minPrice, maxPrice);
+    return query;
+};
+
+// --- Indexes ---
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ notify: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Conditional version allocation retried after another publish for the same region got in first
+const MAX_PUBLISH_ATTEMPTS = 3;
+
+// One version of the priority score weights for a region. Versions are never edited, so a
+// score stored with its version can always be recomputed against the weights it used.
+const scoringWeightsSchema = new Schema({
+    region: { type: String, required: true, default: 'default' },
+    version: { type: Number, required: true, min: 1 },
+    weights: {
+        bidAmount: { type: Number, required: true },
+        historicalBehavior: { type: Number, required: true },
+        engagementScore: { type: Number, required: true },
+        sustainability: { type: Number, required: true },
+        activityScore: { type: Number, required: true }
+    },
+    effectiveFrom: { type: Date, default: Date.now },
+    createdBy: { type: String },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// --- Indexes ---
+scoringWeightsSchema.index({ region: 1, version: 1 }, { unique: true });
+scoringWeightsSchema.index({ region: 1, effectiveFrom: -1 });
+
+// --- Immutable ---
+const rejectMutation = function(next) {
+    next(new Error('Scoring weight versions cannot be changed; publish a new version instead.'));
+};
+scoringWeightsSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+scoringWeightsSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+// --- Static Methods ---
+
+// Weights in effect for a region right now
+scoringWeightsSchema.statics.current = function(region = 'default', now = new Date()) {
+    return this.findOne({ region, effectiveFrom: { $lte: now } }).sort({ version: -1 });
+};
+
+scoringWeightsSchema.statics.byVersion = function(region, version) {
+    return this.findOne({ region, version });
+};
+
+// Publish the next version for a region; the unique index settles concurrent publishes
+scoringWeightsSchema.statics.publish = async function(region, weights, { createdBy, note, effectiveFrom } = {}) {
+    for (let attempt = 0; attempt < MAX_PUBLISH_ATTEMPTS; attempt++) {
+        const latest = await this.findOne({ region }).sort({ version: -1 }).select('version');
+        try {
+            return await this.create({
+                region,
+                version: latest ? latest.version + 1 : 1,
+                weights,
+                effectiveFrom,
+                createdBy,
+                note
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+    throw new Error(`Scoring weights for region ${region} kept changing while publishing.`);
+};
+
+const ScoringWeights = mongoose.model('ScoringWeights', scoringWeightsSchema);
+
+module.exports = ScoringWeights;
@@ -23,6 +23,41 @@ const auditLogSchema = new mongoose.Schema({
 });
 const AuditLog = mongoose.model('AuditLog', auditLogSchema);
 
+// Auction alerts a user can receive (services/auctionAlerts.js) and opt out of one by one
+const AUCTION_ALERT_TYPES = ['outbid', 'ending_soon', 'won', 'lost', 'reserve_not_met', 'saved_search'];
+
+const notificationPreferencesSchema = new mongoose.Schema({
+    // Every listed channel gets each alert the user has not opted out of
+    channels: {
+        type: [{ type: String, enum: ['email', 'sms', 'push'] }],
+        default: ['email']
+    },
+    optOuts: {
+        type: [{ type: String, enum: AUCTION_ALERT_TYPES }],
+        default: []
+    },
+    phone: { type: String, trim: true },
+    pushTokens: { type: [String], default: [] }
+}, { _id: false });
+
+// How a streamer's channel approves creatives (services/creativeModerationService.js). Without
+// auto-approval every creative waits for the streamer or a moderator.
+const creativeModerationSchema = new mongoose.Schema({
+    autoApprove: { type: Boolean, default: false },
+    // Advertisers whose creatives are approved straight away
+    trustedAdvertisers: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        default: []
+    },
+    // Also approve advertisers with an earlier creative approved on this channel
+    approveReturningAdvertisers: { type: Boolean, default: false },
+    // Creatives mentioning any of these always go to manual review
+    blockedTerms: {
+        type: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+        default: []
+    }
+}, { _id: false });
+
 // Define User Schema
 const userSchema = new mongoose.Schema({
     name: {
@@ -89,6 +124,14 @@ const userSchema = new mongoose.Schema({
     sessionVersion: {
         type: Number,
         default: 0
+    },
+    notificationPreferences: {
+        type: notificationPreferencesSchema,
+        default: () => ({})
+    },
+    creativeModeration: {
+        type: creativeModerationSchema,
+        default: () => ({})
     }
 }, { timestamps: true });
 
@@ -256,6 +299,7 @@ userEvents.on('error', (err) => {
 // Export the User Model
 const User = mongoose.model('User', userSchema);
 module.exports = User;
+module.exports.AUCTION_ALERT_TYPES = AUCTION_ALERT_TYPES;
 
 // Internationalization (i18n) Setup
 i18n.configure({
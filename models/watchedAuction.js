@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// An auction on a user's watchlist. Watchers hear when it is about to end (services/auctionAlerts.js)
+// whether or not they have bid.
+const watchedAuctionSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    auction: { type: Schema.Types.ObjectId, ref: 'Auction', required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// --- Indexes ---
+watchedAuctionSchema.index({ user: 1, auction: 1 }, { unique: true });
+watchedAuctionSchema.index({ auction: 1 });
+
+const WatchedAuction = mongoose.model('WatchedAuction', watchedAuctionSchema);
+
+module.exports = WatchedAuction;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const rateLimiter = require('../middleware/rateLimiter');
 const authMiddleware = require('../middleware/authMiddleware');
 const ABAC = require('../services/abac');
@@ -8,6 +8,18 @@ const Blockchain = require('../services/Blockchain');
 const AdController = require('../controllers/adController');
 const TwitchAPI = require('../integrations/twitchIntegration');
 const AIAdOptimizer = require('../services/AIAdOptimizer'); // AI service for ad recommendations
+const frequencyCapService = require('../services/frequencyCapService');
+const budgetPacingService = require('../services/budgetPacingService');
+const campaignScheduleService = require('../services/campaignScheduleService');
+const creativeExperimentService = require('../services/creativeExperimentService');
+const creativeModerationService = require('../services/creativeModerationService');
+const CreativeExperiment = require('../models/creativeExperiment');
+const { FREQUENCY_CAP_SCOPES, FREQUENCY_CAP_PERIODS } = require('../models/frequencyCap');
+const Campaign = require('../models/campaign');
+const User = require('../models/user');
+const { CREATIVE_STATES } = require('../models/creativeReview');
+const { PACING_MODES } = Campaign;
+const { CLOCK_PATTERN, isValidTimeZone } = require('../utils/campaignSchedule');
 const logger = require('../services/logger');
 const { addCorrelationId } = require('../middleware/correlationId'); // Request tracing
 const WebSocket = require('ws');
@@ -41,7 +53,7 @@ router.post('/create', [
     body('content').isString().notEmpty(),
     body('targetAudience').isArray(),
     body('budget').isFloat({ min: 1 }),
-    body('streamerId').isString().notEmpty()
+    body('streamerId').isMongoId()
 ], authMiddleware, ABAC.enforce({ action: 'createAd' }), async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -58,8 +70,18 @@ router.post('/create', [
         // Record AI-assessed ad performance score
         adPerformance.set(ad.performanceScore);
 
-        res.status(201).json({ message: 'Ad created successfully', ad });
-        logger.info(`Ad created: ${ad.id}`);
+        // The ad only goes live on the channel once it is approved there (section 20)
+        const review = await creativeModerationService.submitCreative(ad, {
+            streamerId: req.body.streamerId,
+            advertiserId: ad.advertiser || req.user.id
+        });
+
+        res.status(201).json({
+            message: review.status === 'approved' ? 'Ad created successfully' : 'Ad created and submitted for review',
+            ad,
+            moderation: { reviewId: review._id, status: review.status }
+        });
+        logger.info(`Ad created: ${ad.id} (${review.status})`);
     } catch (error) {
         adErrors.inc();
         logger.error('Error creating ad', error);
@@ -88,7 +110,15 @@ router.put('/update/:id', [
 
         Blockchain.logEvent('AD_UPDATED', { adId: req.params.id, timestamp: new Date() });
 
-        res.status(200).json({ message: 'Ad updated successfully', updatedAd, performanceScore });
+        // Edited creatives need approval again on every channel they were submitted to
+        const reviews = await creativeModerationService.resubmitCreative(updatedAd);
+
+        res.status(200).json({
+            message: 'Ad updated successfully',
+            updatedAd,
+            performanceScore,
+            moderation: reviews.map(review => ({ reviewId: review._id, streamerId: review.streamer, status: review.status }))
+        });
         logger.info(`Ad updated: ${req.params.id}`);
     } catch (error) {
         adErrors.inc();
@@ -130,9 +160,14 @@ router.get('/streamer/:streamerId', authMiddleware, ABAC.enforce({ action: 'view
 
 // 5. Real-time ad overlay for Twitch with fraud detection
 router.post('/overlay', [
-    body('adId').isString().notEmpty(),
-    body('streamerId').isString().notEmpty()
+    body('adId').isMongoId(),
+    body('streamerId').isMongoId()
 ], authMiddleware, ABAC.enforce({ action: 'overlayAd' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
     try {
         // Fraud detection
         const isValid = await AdController.verifyAd(req.body.adId);
@@ -141,6 +176,12 @@ router.post('/overlay', [
             return res.status(400).json({ message: 'Ad verification failed' });
         }
 
+        // Only creatives approved for the streamer's channel are shown there
+        if (!(await creativeModerationService.isApproved(req.body.adId, req.body.streamerId))) {
+            adErrors.inc();
+            return res.status(403).json({ message: 'Ad is not approved for this channel' });
+        }
+
         const overlayStatus = await TwitchAPI.displayAdOverlay(req.body.streamerId, req.body.adId);
 
         res.status(200).json({ message: 'Ad overlay triggered', overlayStatus });
@@ -179,11 +220,20 @@ router.post('/bid', [
 
 // 7. Extend real-time ad overlays to multiple platforms
 router.post('/overlay/multi', [
-    body('adId').isString().notEmpty(),
-    body('streamerId').isString().notEmpty(),
+    body('adId').isMongoId(),
+    body('streamerId').isMongoId(),
     body('platforms').isArray().notEmpty() // List of platforms (e.g., Twitch, YouTube, Facebook Live)
 ], authMiddleware, ABAC.enforce({ action: 'overlayAdMulti' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
     try {
+        if (!(await creativeModerationService.isApproved(req.body.adId, req.body.streamerId))) {
+            adErrors.inc();
+            return res.status(403).json({ message: 'Ad is not approved for this channel' });
+        }
         const overlayStatus = await AdController.displayAdOverlayMulti(req.body);
         res.status(200).json({ message: 'Ad overlay triggered on multiple platforms', overlayStatus });
         logger.info(`Ad overlay triggered on multiple platforms for streamer: ${req.body.streamerId}`);
@@ -229,7 +279,10 @@ router.get('/sustainability/:advertiserId', authMiddleware, ABAC.enforce({ actio
 router.post('/campaigns/create', [
     body('campaignName').isString().notEmpty(),
     body('ads').isArray().notEmpty(), // Array of ad details
-    body('totalBudget').isFloat({ min: 1 }).notEmpty()
+    body('totalBudget').isFloat({ min: 1 }).notEmpty(),
+    // Optional weekly delivery schedule; windows are checked in full by the Campaign model
+    body('schedule.timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be an IANA timezone'),
+    body('schedule.windows').optional().isArray({ max: 50 })
 ], authMiddleware, ABAC.enforce({ action: 'createCampaign' }), async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -330,4 +383,398 @@ router.get('/analytics/:advertiserId', authMiddleware, ABAC.enforce({ action: 'v
         logger.error('Error fetching analytics', error);
         res.status(500).send('Internal server error');
     }
-});
\ No newline at end of file
+});
+
+// 16. Per-viewer frequency caps for an ad, campaign or advertiser
+const frequencyCapTarget = [
+    param('scope').isIn(FREQUENCY_CAP_SCOPES),
+    param('targetId').isMongoId()
+];
+
+router.put('/frequency-caps/:scope/:targetId', [
+    ...frequencyCapTarget,
+    body('limits').isArray({ max: Object.keys(FREQUENCY_CAP_PERIODS).length }),
+    body('limits.*.period').isIn(Object.keys(FREQUENCY_CAP_PERIODS)),
+    body('limits.*.maxImpressions').isInt({ min: 1 }).toInt()
+], authMiddleware, ABAC.enforce({ action: 'manageFrequencyCaps' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const cap = await frequencyCapService.setCaps(req.params.scope, req.params.targetId, req.body.limits, req.user);
+        res.status(200).json({ message: cap ? 'Frequency caps updated' : 'Frequency caps removed', cap });
+        logger.info(`Frequency caps set on ${req.params.scope} ${req.params.targetId}`);
+    } catch (error) {
+        adErrors.inc();
+        if (error instanceof frequencyCapService.FrequencyCapOwnershipError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error setting frequency caps', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+router.get('/frequency-caps/:scope/:targetId', frequencyCapTarget, authMiddleware, ABAC.enforce({ action: 'manageFrequencyCaps' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const cap = await frequencyCapService.getCaps(req.params.scope, req.params.targetId, req.user);
+        res.status(200).json({ limits: cap ? cap.limits : [] });
+    } catch (error) {
+        adErrors.inc();
+        if (error instanceof frequencyCapService.FrequencyCapOwnershipError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        logger.error('Error fetching frequency caps', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// 17. Budget pacing: whether each campaign is ahead of, on or behind its target spend curve
+router.get('/campaigns/pacing', authMiddleware, ABAC.enforce({ action: 'viewCampaignPacing' }), async (req, res) => {
+    try {
+        const campaigns = await budgetPacingService.advertiserPacing(req.user.id);
+        res.status(200).json({ campaigns });
+    } catch (error) {
+        adErrors.inc();
+        logger.error('Error fetching campaign pacing', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+router.get('/campaigns/:id/pacing', [
+    param('id').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'viewCampaignPacing' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const campaign = await budgetPacingService.findCampaign(req.params.id, req.user);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        res.status(200).json({ pacing: budgetPacingService.pacingReport(campaign, new Date()) });
+    } catch (error) {
+        adErrors.inc();
+        logger.error('Error fetching campaign pacing', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+router.put('/campaigns/:id/pacing', [
+    param('id').isMongoId(),
+    body('mode').isIn(PACING_MODES)
+], authMiddleware, ABAC.enforce({ action: 'manageCampaignPacing' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const campaign = await budgetPacingService.findCampaign(req.params.id, req.user);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        const pacing = await budgetPacingService.setPacingMode(campaign, req.body.mode);
+        res.status(200).json({ message: 'Campaign pacing updated', pacing });
+        logger.info(`Campaign pacing set to ${req.body.mode}: ${req.params.id}`);
+    } catch (error) {
+        adErrors.inc();
+        logger.error('Error setting campaign pacing', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// 18. Dayparting: weekly delivery schedule in the advertiser's timezone, and the auctions whose
+// ad slot fits it
+router.put('/campaigns/:id/schedule', [
+    param('id').isMongoId(),
+    body('timezone').optional().isString().custom(isValidTimeZone).withMessage('Timezone must be an IANA timezone'),
+    body('windows').isArray({ max: 50 }),
+    body('windows.*.days').isArray({ min: 1, max: 7 }),
+    body('windows.*.days.*').isInt({ min: 0, max: 6 }).toInt(),
+    body('windows.*.start').matches(CLOCK_PATTERN),
+    body('windows.*.end').matches(CLOCK_PATTERN)
+], authMiddleware, ABAC.enforce({ action: 'manageCampaignSchedule' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const campaign = await Campaign.findOwned(req.params.id, req.user);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        const updated = await campaignScheduleService.setSchedule(campaign, req.body);
+        res.status(200).json({ message: 'Campaign schedule updated', schedule: updated.schedule });
+    } catch (error) {
+        adErrors.inc();
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error setting campaign schedule', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+router.get('/campaigns/:id/recommended-auctions', [
+    param('id').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'viewCampaignRecommendations' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const campaign = await Campaign.findOwned(req.params.id, req.user);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        const auctions = await campaignScheduleService.recommendedAuctions(campaign);
+        res.status(200).json({ auctions });
+    } catch (error) {
+        adErrors.inc();
+        logger.error('Error recommending auctions for campaign', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+// 19. Creative rotation and A/B experiments within a campaign
+const sendExperimentError = (res, error, action) => {
+    adErrors.inc();
+    if (error instanceof creativeExperimentService.ExperimentConflictError || error instanceof creativeExperimentService.ExperimentCreativesError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error ${action} creative experiment`, error);
+    res.status(500).send('Internal server error');
+};
+
+router.post('/campaigns/:id/experiments', [
+    param('id').isMongoId(),
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+    body('mode').isIn(CreativeExperiment.ROTATION_MODES),
+    body('arms').isArray({ min: 2, max: 10 }),
+    body('arms.*.adId').isMongoId(),
+    body('arms.*.weight').optional().isFloat({ min: 0 }).toFloat()
+], authMiddleware, ABAC.enforce({ action: 'manageCreativeExperiments' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const campaign = await Campaign.findOwned(req.params.id, req.user);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        const experiment = await creativeExperimentService.createExperiment(campaign, req.body, req.user);
+        res.status(201).json({ message: 'Creative experiment started', experiment });
+    } catch (error) {
+        sendExperimentError(res, error, 'creating');
+    }
+});
+
+router.get('/campaigns/:id/experiments', [
+    param('id').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'manageCreativeExperiments' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const campaign = await Campaign.findOwned(req.params.id, req.user);
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+        const experiments = await CreativeExperiment.find({ campaign: campaign._id }).sort({ createdAt: -1 });
+        res.status(200).json({ experiments });
+    } catch (error) {
+        sendExperimentError(res, error, 'listing');
+    }
+});
+
+router.get('/experiments/:id/results', [
+    param('id').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'manageCreativeExperiments' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const experiment = await creativeExperimentService.findOwnedExperiment(req.params.id, req.user);
+        if (!experiment) {
+            return res.status(404).json({ error: 'Experiment not found' });
+        }
+        res.status(200).json({ results: creativeExperimentService.experimentResults(experiment) });
+    } catch (error) {
+        sendExperimentError(res, error, 'fetching results of');
+    }
+});
+
+// Declare a winner: the losing arms stop and their ads are paused
+router.post('/experiments/:id/winner', [
+    param('id').isMongoId(),
+    body('adId').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'manageCreativeExperiments' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const experiment = await creativeExperimentService.findOwnedExperiment(req.params.id, req.user);
+        if (!experiment) {
+            return res.status(404).json({ error: 'Experiment not found' });
+        }
+        if (!experiment.arms.some(arm => String(arm.ad) === req.body.adId)) {
+            return res.status(400).json({ error: 'The winner must be one of the experiment\'s arms' });
+        }
+        const concluded = await creativeExperimentService.declareWinner(experiment, req.body.adId, req.user);
+        res.status(200).json({ message: 'Winner declared', results: creativeExperimentService.experimentResults(concluded) });
+        logger.info(`Winner ${req.body.adId} declared for experiment ${req.params.id}`);
+    } catch (error) {
+        sendExperimentError(res, error, 'concluding');
+    }
+});
+
+// 20. Creative moderation: a creative is shown on a streamer's channel only once approved there,
+// by the streamer, an admin moderator or the streamer's auto-approve rules
+const sendModerationError = (res, error, action) => {
+    adErrors.inc();
+    if (error instanceof creativeModerationService.CreativeReviewConflictError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error ${action}`, error);
+    res.status(500).send('Internal server error');
+};
+
+// Pending creatives: every channel's for admins, their own channel's for streamers
+router.get('/moderation/queue', [
+    query('status').optional().isIn(CREATIVE_STATES),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], authMiddleware, ABAC.enforce({ action: 'moderateCreatives' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const reviews = await creativeModerationService.moderationQueue(req.user, req.query);
+        res.status(200).json({ reviews });
+    } catch (error) {
+        sendModerationError(res, error, 'fetching the moderation queue');
+    }
+});
+
+router.post('/moderation/reviews/:id/claim', [
+    param('id').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'moderateCreatives' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const review = await creativeModerationService.findModeratedReview(req.params.id, req.user);
+        if (!review) {
+            return res.status(404).json({ error: 'Creative review not found' });
+        }
+        const claimed = await creativeModerationService.claimReview(review, req.user);
+        res.status(200).json({ message: 'Creative taken into review', review: claimed });
+    } catch (error) {
+        sendModerationError(res, error, 'claiming creative review');
+    }
+});
+
+// Rejections and change requests need notes, so the advertiser knows what to fix
+router.post('/moderation/reviews/:id/decision', [
+    param('id').isMongoId(),
+    body('decision').isIn(creativeModerationService.REVIEW_DECISIONS),
+    body('notes').if(body('decision').not().equals('approved')).isString().trim().notEmpty(),
+    body('notes').optional().isString().trim().isLength({ max: 1000 })
+], authMiddleware, ABAC.enforce({ action: 'moderateCreatives' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const review = await creativeModerationService.findModeratedReview(req.params.id, req.user);
+        if (!review) {
+            return res.status(404).json({ error: 'Creative review not found' });
+        }
+        const decided = await creativeModerationService.decideReview(review, req.body.decision, req.user, req.body.notes);
+        res.status(200).json({ message: 'Creative review decided', review: decided });
+    } catch (error) {
+        sendModerationError(res, error, 'deciding creative review');
+    }
+});
+
+// Review status of an ad on each channel, for its advertiser
+router.get('/moderation/ads/:id', [
+    param('id').isMongoId()
+], authMiddleware, ABAC.enforce({ action: 'viewAds' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const reviews = await creativeModerationService.reviewsForAd(req.params.id, req.user);
+        if (!reviews) {
+            return res.status(404).json({ error: 'Ad not found' });
+        }
+        res.status(200).json({ reviews });
+    } catch (error) {
+        sendModerationError(res, error, 'fetching creative reviews');
+    }
+});
+
+// A streamer's auto-approve rules; without auto-approval every creative needs manual approval
+router.get('/moderation/settings', authMiddleware, ABAC.enforce({ action: 'manageModerationSettings' }), async (req, res) => {
+    try {
+        const streamer = await User.findById(req.user.id).select('creativeModeration');
+        if (!streamer) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(200).json({ settings: streamer.creativeModeration });
+    } catch (error) {
+        sendModerationError(res, error, 'fetching creative moderation settings');
+    }
+});
+
+router.put('/moderation/settings', [
+    body('autoApprove').optional().isBoolean().toBoolean(),
+    body('trustedAdvertisers').optional().isArray({ max: 500 }),
+    body('trustedAdvertisers.*').isMongoId(),
+    body('approveReturningAdvertisers').optional().isBoolean().toBoolean(),
+    body('blockedTerms').optional().isArray({ max: 200 }),
+    body('blockedTerms.*').isString().trim().notEmpty().isLength({ max: 50 })
+], authMiddleware, ABAC.enforce({ action: 'manageModerationSettings' }), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        adErrors.inc();
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const settings = await creativeModerationService.updateModerationSettings(req.user.id, req.body);
+        if (!settings) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(200).json({ message: 'Creative moderation settings updated', settings });
+        logger.info(`Creative moderation settings updated for streamer ${req.user.id}`);
+    } catch (error) {
+        sendModerationError(res, error, 'updating creative moderation settings');
+    }
+});
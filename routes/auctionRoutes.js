@@ -1,12 +1,17 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { body, param, query } = require('express-validator');
+const { body, header, param, query } = require('express-validator');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('./swagger.json');
 const Prometheus = require('prom-client');
 const winston = require('winston');
 const Sentry = require('@sentry/node');
 const { requireRole, aiMiddleware, mfaMiddleware } = require('./middlewares');
+const auctionController = require('../controllers/auctionController');
+const auctionTemplateController = require('../controllers/auctionTemplateController');
+const chatIdentityController = require('../controllers/chatIdentityController');
+const savedSearchController = require('../controllers/savedSearchController');
+const watchlistController = require('../controllers/watchlistController');
 
 const router = express.Router();
 
@@ -159,14 +164,11 @@ router.use((err, req, res, next) => {
 });
 
 module.exports = router;
-// AI-Driven Analytics
+// Bid Insights (score breakdowns, only for the caller's own bids)
 router.get('/auctions/:id/insights', [
-    param('id').isUUID(),
-    aiMiddleware
-], (req, res) => {
-    // AI-driven analytics logic
-    res.send('Auction insights');
-});
+    param('id').isMongoId(),
+    query('weightsVersion').optional().isInt({ min: 1 }).toInt()
+], auctionController.getBidInsights);
 
 // Enhanced Fraud Detection
 router.post('/fraud-detection', aiMiddleware, (req, res) => {
@@ -389,4 +391,202 @@ router.post('/auctions/:id/chat', [
 ], (req, res) => {
     // Interactive chat logic
     res.send('Chat started');
-});
\ No newline at end of file
+});
+
+// Sealed-Bid Commit Phase
+router.post('/auctions/:id/commit', [
+    param('id').isMongoId(),
+    body('commitment').isHexadecimal().isLength({ min: 64, max: 64 }),
+    body('campaignId').isMongoId()
+], auctionController.commitSealedBid);
+
+// Sealed-Bid Reveal Phase
+router.post('/auctions/:id/reveal', [
+    param('id').isMongoId(),
+    body('amount').isFloat({ gt: 0 }),
+    body('salt').isString().isLength({ min: 16 })
+], auctionController.revealSealedBid);
+
+// Dutch Auction Buy-Now Acceptance
+router.post('/auctions/:id/accept', [
+    param('id').isMongoId(),
+    body('campaignId').isMongoId()
+], auctionController.acceptDutchPrice);
+
+// Idempotent Bid Placement
+router.post('/auctions/:id/bids', [
+    param('id').isMongoId(),
+    header('Idempotency-Key').isString().isLength({ min: 8, max: 128 }),
+    body('campaignId').isMongoId(),
+    body('amount').isFloat({ gt: 0 }),
+    body('currency').optional().isString()
+], auctionController.placeBid);
+
+// Bid Retraction (own bids, within the auction's retraction window)
+router.post('/auctions/:id/retractions', [
+    param('id').isMongoId(),
+    body('sequence').optional().isInt({ min: 1 }).toInt(),
+    body('reason').optional().isString().isLength({ max: 500 })
+], auctionController.retractBid);
+
+// Bidder Bans (auction or streamer-wide)
+router.post('/auctions/:id/bans', [
+    param('id').isMongoId(),
+    body('bidderId').isString().notEmpty(),
+    body('scope').optional().isIn(['auction', 'streamer']),
+    body('reason').optional().isString().isLength({ max: 500 }),
+    body('expiresAt').optional().isISO8601().toDate()
+], auctionController.banBidder);
+
+router.delete('/auctions/:id/bans/:bidderId', [
+    param('id').isMongoId(),
+    param('bidderId').isString().notEmpty(),
+    query('scope').optional().isIn(['auction', 'streamer'])
+], auctionController.unbanBidder);
+
+// Proxy (Maximum) Bidding
+router.post('/auctions/:id/proxy-bid', [
+    param('id').isMongoId(),
+    body('campaignId').isMongoId(),
+    body('maxAmount').isFloat({ gt: 0 })
+], auctionController.registerProxyBid);
+
+router.delete('/auctions/:id/proxy-bid', [
+    param('id').isMongoId()
+], auctionController.cancelProxyBid);
+
+// Auction Lifecycle Transitions (closing and settlement go through finalize)
+router.post('/auctions/:id/status', [
+    param('id').isMongoId(),
+    body('status').isIn(['scheduled', 'live', 'canceled']),
+    body('reason').optional().isString().isLength({ max: 500 })
+], auctionController.transitionAuction);
+
+// Auction Finalization (closes and settles the auction; streamer or admin only)
+router.post('/auctions/:id/finalize', [
+    param('id').isMongoId()
+], auctionController.finalizeAuction);
+
+// Bid Ledger Replay (support disputes)
+router.get('/auctions/:id/replay', [
+    param('id').isMongoId(),
+    requireRole('admin')
+], auctionController.replayAuction);
+
+// Priority Score Weights (versioned; published versions never change)
+router.post('/scoring-weights', [
+    requireRole('admin'),
+    body('region').optional().isString().trim().notEmpty(),
+    body(['weights.bidAmount', 'weights.historicalBehavior', 'weights.engagementScore', 'weights.sustainability', 'weights.activityScore']).isFloat(),
+    body('effectiveFrom').optional().isISO8601().toDate(),
+    body('note').optional().isString().isLength({ max: 500 })
+], auctionController.publishScoringWeights);
+
+// Recurring Auction Templates
+const templateSettingsValidators = (optional) => {
+    const field = (path) => (optional ? body(path).optional() : body(path));
+    return [
+        field('name').isString().trim().notEmpty(),
+        field('auction.auctionType').optional().isIn(['english', 'multi_slot']),
+        field('auction.adSlotDetails.streamPlatform').isString(),
+        field('auction.adSlotDetails.duration').isInt({ gt: 0 }),
+        field('auction.startingBid').isFloat({ min: 0 }),
+        field('auction.minimumIncrement').isFloat({ gt: 0 }),
+        field('auction.reservePrice').isFloat({ min: 0 }),
+        field('auction.clearingRule').optional().isIn(['first_price', 'second_price']),
+        body('auction.category').optional().isString().trim().notEmpty(),
+        body('auction.region').optional().isString().trim().notEmpty(),
+        body('auction.expectedViewers').optional().isInt({ min: 0 }),
+        field('durationMinutes').isInt({ min: 1 }),
+        field('recurrence.rule').isString().notEmpty(),
+        body('recurrence.startsAt').optional().isISO8601().toDate(),
+        body('recurrence.timezone').optional().isString(),
+        body('createAheadHours').optional().isInt({ min: 1, max: 90 * 24 })
+    ];
+};
+
+router.post('/auction-templates', templateSettingsValidators(false), auctionTemplateController.createTemplate);
+
+router.get('/auction-templates', auctionTemplateController.listTemplates);
+
+router.patch('/auction-templates/:id', [
+    param('id').isMongoId(),
+    ...templateSettingsValidators(true)
+], auctionTemplateController.updateTemplate);
+
+router.post('/auction-templates/:id/status', [
+    param('id').isMongoId(),
+    body('status').isIn(['active', 'paused'])
+], auctionTemplateController.setTemplateStatus);
+
+router.post('/auction-templates/:id/skips', [
+    param('id').isMongoId(),
+    body('occurrence').isISO8601().toDate()
+], auctionTemplateController.skipOccurrence);
+
+// Exchange Rates (versioned; auctions freeze their rates when they go live)
+router.post('/exchange-rates', [
+    requireRole('admin'),
+    body('baseCurrency').isString().isLength({ min: 3, max: 3 }).toUpperCase(),
+    body('rates').isObject(),
+    body('rates.*').isFloat({ gt: 0 }).toFloat()
+], auctionController.publishExchangeRates);
+
+router.get('/auctions/:id/rates', [
+    param('id').isMongoId()
+], auctionController.getAuctionRates);
+
+// Chat Identities (chat accounts that bid through chat commands)
+router.post('/chat-identities/link-codes', [
+    body('platform').isIn(['twitch', 'youtube'])
+], chatIdentityController.createLinkCode);
+
+router.get('/chat-identities', chatIdentityController.listIdentities);
+
+router.patch('/chat-identities/:id', [
+    param('id').isMongoId(),
+    body('defaultCampaign').isMongoId()
+], chatIdentityController.setDefaultCampaign);
+
+router.delete('/chat-identities/:id', [
+    param('id').isMongoId()
+], chatIdentityController.unlinkIdentity);
+
+// Watchlist
+router.post('/watchlist', [
+    body('auctionId').isMongoId()
+], watchlistController.watchAuction);
+
+router.get('/watchlist', watchlistController.getWatchlist);
+
+router.delete('/watchlist/:auctionId', [
+    param('auctionId').isMongoId()
+], watchlistController.unwatchAuction);
+
+// Saved Searches (matching newly scheduled auctions are announced to their owner)
+const savedSearchValidators = (optional) => [
+    (optional ? body('name').optional() : body('name')).isString().trim().notEmpty(),
+    body('filters').optional().isObject(),
+    body(['filters.platforms', 'filters.categories', 'filters.regions']).optional().isArray({ max: 20 }),
+    body(['filters.platforms.*', 'filters.categories.*', 'filters.regions.*']).isString().trim().notEmpty(),
+    body(['filters.minViewers', 'filters.maxViewers']).optional().isInt({ min: 0 }).toInt(),
+    body(['filters.minPrice', 'filters.maxPrice']).optional().isFloat({ min: 0 }).toFloat(),
+    body('notify').optional().isBoolean().toBoolean()
+];
+
+router.post('/saved-searches', savedSearchValidators(false), savedSearchController.createSavedSearch);
+
+router.get('/saved-searches', savedSearchController.listSavedSearches);
+
+router.patch('/saved-searches/:id', [
+    param('id').isMongoId(),
+    ...savedSearchValidators(true)
+], savedSearchController.updateSavedSearch);
+
+router.delete('/saved-searches/:id', [
+    param('id').isMongoId()
+], savedSearchController.deleteSavedSearch);
+
+router.get('/saved-searches/:id/auctions', [
+    param('id').isMongoId()
+], savedSearchController.runSavedSearch);
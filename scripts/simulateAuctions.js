@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Offline auction simulator and back-tester. Replays recorded or synthetic bid streams through
+// the bidding rules in-process (fake Redis, Kafka and blockchain; no Mongo, ports or network) and
+// reports revenue, fill rate, lead and winner changes, soft-close extensions and rule latency.
+//
+// Usage:
+//   node scripts/simulateAuctions.js --synthetic [--auctions 50] [--bidders 40] [--seed 1] [options]
+//   node scripts/simulateAuctions.js --input traffic.json [options]
+//   node scripts/simulateAuctions.js --recording export.json [options]
+//
+// Options:
+//   --config a.json     Configuration to run: { name, weights, auction: { clearingRule, minimumIncrement, reservePrice, softClose } }
+//   --compare b.json    Second configuration, run on the same input and reported side by side
+//   --json              Print the full reports as JSON
+//
+// --input takes simulation input as described in scripts/simulator/traffic.js; --recording takes
+// { auctions, events } exported from the auctions and bidevents collections.
+
+const fs = require('fs');
+const path = require('path');
+const { installFakeAdapters } = require('./simulator/fakeAdapters');
+
+installFakeAdapters();
+
+const { generateSyntheticTraffic, fromRecording } = require('./simulator/traffic');
+const { runSimulation, compareReports } = require('./simulator/simulation');
+
+const FLAGS = ['synthetic', 'json', 'help'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (FLAGS.includes(name)) {
+            args[name] = true;
+        } else if (argv[i].startsWith('--') && i + 1 < argv.length) {
+            args[name] = argv[++i];
+        } else {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+// Configurations are named after their file unless they name themselves
+function readConfig(file) {
+    return { name: path.basename(file, '.json'), ...readJson(file) };
+}
+
+function loadInput(args) {
+    if (args.synthetic) {
+        return generateSyntheticTraffic({
+            auctions: parseInt(args.auctions, 10) || undefined,
+            bidders: parseInt(args.bidders, 10) || undefined,
+            seed: parseInt(args.seed, 10) || undefined,
+        });
+    }
+    if (args.recording) return fromRecording(readJson(args.recording));
+    if (args.input) return readJson(args.input);
+    throw new Error('One of --synthetic, --input or --recording is required.');
+}
+
+const formatNumber = value => (Number.isInteger(value) ? String(value) : value.toFixed(3));
+
+function printReports(reports, comparison) {
+    const rows = [
+        ['auctions', r => r.totals.auctions],
+        ['settled', r => r.totals.settled],
+        ['bids', r => r.totals.bids],
+        ['accepted', r => r.totals.accepted],
+        ['revenue', r => r.totals.revenue],
+        ['fill rate', r => r.totals.fillRate],
+        ['lead changes', r => r.totals.leadChanges],
+        ['extensions', r => r.totals.extensions],
+        ['latency p50 ms', r => r.totals.latencyMs.p50],
+        ['latency p95 ms', r => r.totals.latencyMs.p95],
+        ['latency p99 ms', r => r.totals.latencyMs.p99],
+        ['latency max ms', r => r.totals.latencyMs.max],
+    ];
+    const table = [['', ...reports.map(report => report.config.name)]]
+        .concat(rows.map(([label, value]) => [label, ...reports.map(report => formatNumber(value(report)))]));
+    const widths = table[0].map((_, column) => Math.max(...table.map(row => row[column].length)));
+    for (const row of table) {
+        console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  '));
+    }
+
+    for (const report of reports) {
+        const rejections = Object.entries(report.totals.rejections).map(([code, count]) => `${code}=${count}`).join(', ');
+        console.log(`\n${report.config.name} rejections: ${rejections || 'none'}`);
+    }
+
+    if (comparison) {
+        console.log(`\n${comparison.candidate} vs ${comparison.baseline}:`);
+        console.log(`  revenue ${comparison.revenueDelta >= 0 ? '+' : ''}${formatNumber(comparison.revenueDelta)}, fill rate ${comparison.fillRateDelta >= 0 ? '+' : ''}${formatNumber(comparison.fillRateDelta)}`);
+        console.log(`  ${comparison.winnerChanges.length} of ${reports[0].totals.auctions} auctions have a different winner`);
+        for (const change of comparison.winnerChanges.slice(0, 20)) {
+            console.log(`    ${change.id}: ${change.baseline.join(',') || '(none)'} -> ${change.candidate.join(',') || '(none)'}`);
+        }
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('\n').slice(1, 18).map(line => line.replace(/^\/\/ ?/, '')).join('\n'));
+        return;
+    }
+
+    const input = loadInput(args);
+    const reports = [runSimulation(input, args.config ? readConfig(args.config) : {})];
+    if (args.compare) {
+        reports.push(runSimulation(input, readConfig(args.compare)));
+    }
+    const comparison = reports.length === 2 ? compareReports(reports[0], reports[1]) : null;
+
+    if (args.json) {
+        console.log(JSON.stringify({ reports, comparison }, null, 2));
+    } else {
+        printReports(reports, comparison);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Simulation failed: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,143 @@
+// In-process stand-ins for Redis, Kafka, the blockchain and the AI/audit services, so the
+// simulator can load the real models and bid rules without opening a port or touching the
+// network. Install them before anything under models/, services/ or utils/ is required.
+
+const Module = require('module');
+const path = require('path');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+// Shared by every fake Redis client, like one Redis server
+const redisBus = new EventEmitter();
+const redisStore = new Map();
+
+// node-redis v3 takes a trailing callback; callers that await get a promise instead
+function reply(args, value) {
+    const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    if (callback) {
+        process.nextTick(() => callback(null, value));
+    }
+    return Promise.resolve(value);
+}
+
+class FakeRedis extends EventEmitter {
+    constructor() {
+        super();
+        this.channels = new Set();
+        this.onBus = (channel, message) => {
+            if (this.channels.has(channel)) this.emit('message', channel, message);
+        };
+        redisBus.on('publish', this.onBus);
+    }
+
+    duplicate() {
+        return new FakeRedis();
+    }
+
+    get(key, ...rest) {
+        return reply(rest, redisStore.has(key) ? redisStore.get(key) : null);
+    }
+
+    set(key, value, ...rest) {
+        if (rest.includes('NX') && redisStore.has(key)) return reply(rest, null);
+        redisStore.set(key, String(value));
+        return reply(rest, 'OK');
+    }
+
+    incr(key, ...rest) {
+        const value = (parseInt(redisStore.get(key), 10) || 0) + 1;
+        redisStore.set(key, String(value));
+        return reply(rest, value);
+    }
+
+    // Keys never expire within a simulation run
+    expire(key, seconds, ...rest) {
+        return reply(rest, redisStore.has(key) ? 1 : 0);
+    }
+
+    del(key, ...rest) {
+        return reply(rest, redisStore.delete(key) ? 1 : 0);
+    }
+
+    publish(channel, message, ...rest) {
+        redisBus.emit('publish', channel, message);
+        return reply(rest, 0);
+    }
+
+    subscribe(channel, ...rest) {
+        this.channels.add(channel);
+        return reply(rest, 'OK');
+    }
+
+    quit(...rest) {
+        redisBus.removeListener('publish', this.onBus);
+        return reply(rest, 'OK');
+    }
+}
+
+let transactionCount = 0;
+
+// Every bid is valid and every write "lands" with a made-up transaction ID
+const fakeBlockchain = {
+    validateBid: async () => true,
+    recordBid: async () => `sim-tx-${++transactionCount}`,
+    registerAuction: async () => ({ blockchainId: `sim-auction-${++transactionCount}` }),
+};
+
+// Accepts any call or construction and does nothing, for clients nothing in the simulation reads from
+function inert() {
+    return new Proxy(function() {}, {
+        get: (target, prop) => (prop === 'then' ? undefined : inert()),
+        apply: () => inert(),
+        construct: () => inert(),
+    });
+}
+
+const quietLogger = {
+    info: () => {},
+    debug: () => {},
+    warn: () => {},
+    error: (...args) => console.error(...args),
+};
+
+const PACKAGE_FAKES = {
+    redis: { createClient: () => new FakeRedis() },
+    ioredis: FakeRedis,
+    'kafka-node': inert(),
+    kafkajs: inert(),
+};
+
+// Matched on the required file's name, wherever it is required from
+const FILE_FAKES = {
+    blockchain: fakeBlockchain,
+    blockchainMiddleware: fakeBlockchain,
+    aiModels: inert(),
+    auditLogger: inert(),
+    logger: quietLogger,
+};
+
+/**
+ * Route requires of networked dependencies to their fakes for the rest of the process.
+ * Mongo is never connected: the simulator keeps auctions as in-memory documents, and with
+ * command buffering off a stray query fails straight away instead of waiting for a connection.
+ */
+function installFakeAdapters() {
+    mongoose.set('bufferCommands', false);
+
+    const load = Module._load;
+    Module._load = function(request, parent, isMain) {
+        if (Object.prototype.hasOwnProperty.call(PACKAGE_FAKES, request)) {
+            return PACKAGE_FAKES[request];
+        }
+        const name = path.basename(request, '.js');
+        if (request.startsWith('.') && Object.prototype.hasOwnProperty.call(FILE_FAKES, name)) {
+            return FILE_FAKES[name];
+        }
+        return load.call(this, request, parent, isMain);
+    };
+}
+
+module.exports = {
+    FakeRedis,
+    installFakeAdapters,
+};
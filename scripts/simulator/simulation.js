@@ -0,0 +1,246 @@
+// Replays a bid stream through the bidding engine's rules (utils/bidRules.js) and the Auction
+// model's own pricing, soft-close and settlement logic, entirely in memory. Load only after
+// fakeAdapters.installFakeAdapters(), which keeps the models off the network.
+
+const mongoose = require('mongoose');
+const Auction = require('../../models/auction');
+const bidRules = require('../../utils/bidRules');
+const { AUCTION_STATES } = require('../../utils/auctionStateMachine');
+
+// Amount-only ranking, used when a configuration has no weights of its own
+const DEFAULT_WEIGHTS = Object.freeze({ bidAmount: 1, historicalBehavior: 0, engagementScore: 0, sustainability: 0, activityScore: 0 });
+
+const SIMULATION_EPOCH = Date.UTC(2024, 0, 1);
+
+/**
+ * A configuration under test. Auction settings override those of every simulated auction.
+ * @param {Object} config - { name, weights, auction: { clearingRule, minimumIncrement, reservePrice, softClose } }
+ */
+function normalizeConfig(config = {}) {
+    return {
+        name: config.name || 'recorded settings',
+        weights: { ...DEFAULT_WEIGHTS, ...config.weights },
+        auction: config.auction || {},
+    };
+}
+
+// Bidders are keyed by whatever ID the input uses; the models need ObjectIds
+function bidderDirectory() {
+    const ids = new Map();
+    const keys = new Map();
+    return {
+        idFor(key) {
+            if (!ids.has(key)) {
+                const id = new mongoose.Types.ObjectId();
+                ids.set(key, id);
+                keys.set(String(id), key);
+            }
+            return ids.get(key);
+        },
+        keyFor(id) {
+            return id ? keys.get(String(id)) : null;
+        },
+    };
+}
+
+function buildAuction(spec, config, startedAt) {
+    const overrides = config.auction;
+    const auction = new Auction({
+        auctionType: spec.auctionType,
+        adSlotDetails: spec.adSlotDetails || { streamPlatform: 'simulation', duration: spec.durationSeconds },
+        adBreak: spec.adBreak,
+        startingBid: spec.startingBid,
+        minimumIncrement: overrides.minimumIncrement !== undefined ? overrides.minimumIncrement : spec.minimumIncrement,
+        reservePrice: overrides.reservePrice !== undefined ? overrides.reservePrice : spec.reservePrice,
+        clearingRule: overrides.clearingRule || spec.clearingRule,
+        softClose: { ...spec.softClose, ...overrides.softClose },
+        highestBid: spec.startingBid,
+        startTime: startedAt,
+        expirationTime: new Date(startedAt.getTime() + spec.durationSeconds * 1000),
+        status: AUCTION_STATES.LIVE,
+    });
+    auction.proxyBids = [];
+    return auction;
+}
+
+// Score the bids a step placed and store the scores on their history entries, as the engine does
+function scorePlaced(auction, placed, historyLength, signalsByBidder, weights) {
+    const entries = auction.bidHistory.slice(historyLength);
+    placed.forEach((bid, index) => {
+        const signals = signalsByBidder.get(String(bid.bidderId)) || {};
+        entries[index].priorityScore = bidRules.weighPriorityScore({ ...signals, bidAmount: bid.amount }, weights).score;
+    });
+}
+
+/**
+ * Apply one input bid the way BiddingEngine.placeBid / registerProxyBid would.
+ * @returns {String|null} - Rejection code, or null when the bid was accepted.
+ */
+function applyBid(auction, input, bidderId, at) {
+    if (at >= auction.expirationTime) {
+        return 'AUCTION_NOT_LIVE';
+    }
+
+    if (input.maxAmount !== undefined) {
+        if (auction.auctionType === 'multi_slot') return 'PROXY_NOT_SUPPORTED';
+        const isLeader = String(auction.highestBidder) === String(bidderId);
+        if (input.maxAmount < (isLeader ? auction.highestBid : auction.minimumNextBid())) return 'PROXY_TOO_LOW';
+
+        const existing = auction.proxyBids.find(p => String(p.user) === String(bidderId));
+        if (existing) {
+            Object.assign(existing, { maxAmount: input.maxAmount, registeredAt: at, active: true });
+        } else {
+            auction.proxyBids.push({ user: bidderId, maxAmount: input.maxAmount, registeredAt: at });
+        }
+        return bidRules.applyProxyBids(auction, at);
+    }
+
+    const minimum = auction.minimumNextBid(bidderId);
+    if (input.amount < minimum) return 'BID_TOO_LOW';
+
+    const bid = { auctionId: auction._id, bidderId, amount: input.amount, timestamp: at.toISOString() };
+    bidRules.recordBid(bid, auction);
+    bidRules.updateHighestBid(bid, auction);
+    return [bid, ...bidRules.applyProxyBids(auction, at)];
+}
+
+function closeAuction(auction) {
+    const now = auction.expirationTime;
+    auction.transitionTo(AUCTION_STATES.CLOSING, { actor: 'simulator', reason: 'expired', now });
+    auction.settle({ actor: 'simulator', reason: 'expired', now });
+
+    if (auction.status !== AUCTION_STATES.SETTLED) {
+        return { revenue: 0, slotsFilled: 0, winners: [] };
+    }
+    if (auction.auctionType === 'multi_slot') {
+        return {
+            revenue: auction.slotAllocations.reduce((sum, slot) => sum + slot.price, 0),
+            slotsFilled: auction.slotAllocations.length,
+            winners: auction.slotAllocations.map(slot => slot.bidder),
+        };
+    }
+    return { revenue: auction.clearingPrice, slotsFilled: 1, winners: [auction.highestBidder] };
+}
+
+function simulateAuction(spec, config, bidders, latencies) {
+    const startedAt = new Date(SIMULATION_EPOCH);
+    const auction = buildAuction(spec, config, startedAt);
+    const signalsByBidder = new Map();
+    const rejections = {};
+    let accepted = 0;
+    let leadChanges = 0;
+
+    const inputs = [...spec.bids].sort((a, b) => a.atMs - b.atMs);
+    for (const input of inputs) {
+        const bidderId = bidders.idFor(input.bidderId);
+        const at = new Date(startedAt.getTime() + input.atMs);
+        signalsByBidder.set(String(bidderId), input.signals);
+
+        const started = process.hrtime.bigint();
+        const leaderBefore = String(auction.highestBidder);
+        const historyLength = auction.bidHistory.length;
+        const result = applyBid(auction, input, bidderId, at);
+        if (typeof result === 'string') {
+            rejections[result] = (rejections[result] || 0) + 1;
+        } else {
+            scorePlaced(auction, result, historyLength, signalsByBidder, config.weights);
+            accepted++;
+            if (String(auction.highestBidder) !== leaderBefore) leadChanges++;
+        }
+        latencies.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+
+    const outcome = closeAuction(auction);
+    return {
+        id: spec.id,
+        auctionType: spec.auctionType,
+        status: auction.status,
+        bids: inputs.length,
+        accepted,
+        rejections,
+        leadChanges,
+        extensions: auction.extensionCount,
+        revenue: outcome.revenue,
+        slotsOffered: spec.auctionType === 'multi_slot' ? auction.adBreak.slotCount : 1,
+        slotsFilled: outcome.slotsFilled,
+        winners: outcome.winners.map(id => bidders.keyFor(id)),
+    };
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Run every auction in `input` under one configuration
+ * @param {Object} input - Simulation input (see traffic.js).
+ * @param {Object} config - Configuration under test.
+ * @returns {Object} - Report with totals and per-auction outcomes.
+ */
+function runSimulation(input, config) {
+    const normalized = normalizeConfig(config);
+    const bidders = bidderDirectory();
+    const latencies = [];
+    const auctions = input.auctions.map(spec => simulateAuction(spec, normalized, bidders, latencies));
+
+    const sum = field => auctions.reduce((total, auction) => total + auction[field], 0);
+    const rejections = {};
+    for (const auction of auctions) {
+        for (const [code, count] of Object.entries(auction.rejections)) {
+            rejections[code] = (rejections[code] || 0) + count;
+        }
+    }
+    const sorted = [...latencies].sort((a, b) => a - b);
+
+    return {
+        config: normalized,
+        totals: {
+            auctions: auctions.length,
+            settled: auctions.filter(auction => auction.status === AUCTION_STATES.SETTLED).length,
+            bids: sum('bids'),
+            accepted: sum('accepted'),
+            rejections,
+            revenue: sum('revenue'),
+            fillRate: sum('slotsOffered') ? sum('slotsFilled') / sum('slotsOffered') : 0,
+            leadChanges: sum('leadChanges'),
+            extensions: sum('extensions'),
+            // Time spent in the bid rules per input bid; no I/O is simulated
+            latencyMs: {
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                p99: percentile(sorted, 99),
+                max: sorted.length ? sorted[sorted.length - 1] : 0,
+            },
+        },
+        auctions,
+    };
+}
+
+/**
+ * Compare two reports produced from the same input
+ * @returns {Object} - Metric deltas and the auctions whose winners differ.
+ */
+function compareReports(baseline, candidate) {
+    const byId = new Map(candidate.auctions.map(auction => [auction.id, auction]));
+    const winnerChanges = baseline.auctions
+        .map(auction => ({ id: auction.id, baseline: auction.winners, candidate: byId.get(auction.id).winners }))
+        .filter(({ baseline: a, candidate: b }) => a.join(',') !== b.join(','));
+
+    const delta = field => candidate.totals[field] - baseline.totals[field];
+    return {
+        baseline: baseline.config.name,
+        candidate: candidate.config.name,
+        revenueDelta: delta('revenue'),
+        fillRateDelta: delta('fillRate'),
+        leadChangesDelta: delta('leadChanges'),
+        extensionsDelta: delta('extensions'),
+        winnerChanges,
+    };
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    runSimulation,
+    compareReports,
+};
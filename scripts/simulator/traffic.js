@@ -0,0 +1,163 @@
+// Bid streams for the simulator: generated from a seed, or converted from a recording of
+// real auctions and their bid ledger.
+//
+// Simulation input:
+//   { auctions: [{ id, auctionType, startingBid, minimumIncrement, reservePrice, clearingRule,
+//                  durationSeconds, softClose, adBreak, adSlotDetails,
+//                  bids: [{ atMs, bidderId, amount, maxAmount?, signals? }] }] }
+// `atMs` is measured from the auction's start. A bid with `maxAmount` registers a proxy ceiling.
+// `signals` are the raw priority score components other than the amount (see utils/bidRules.js).
+
+const SNIPE_WINDOW_MS = 20 * 1000;
+
+// Small seeded PRNG (mulberry32), so a seed always produces the same traffic
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate auctions with competing bidders, proxy ceilings and last-second sniping
+ * @param {Object} options - { auctions, bidders, seed }
+ * @returns {Object} - Simulation input.
+ */
+function generateSyntheticTraffic({ auctions = 50, bidders = 40, seed = 1 } = {}) {
+    const random = seededRandom(seed);
+    const between = (min, max) => min + random() * (max - min);
+    const roundTo = (value, step) => Math.round(value / step) * step;
+
+    const population = Array.from({ length: bidders }, (_, index) => ({
+        bidderId: `bidder-${index + 1}`,
+        // Bidders value inventory differently and some prefer to leave it to a proxy
+        appetite: between(0.8, 3),
+        usesProxy: random() < 0.2,
+        sniper: random() < 0.25,
+        signals: {
+            historicalWinRate: roundTo(random(), 0.01),
+            engagement: roundTo(random(), 0.01),
+            sustainability: roundTo(random(), 0.01),
+            auctionActivity: roundTo(random(), 0.01),
+        },
+    }));
+
+    return {
+        auctions: Array.from({ length: auctions }, (_, index) => {
+            const multiSlot = random() < 0.2;
+            const startingBid = roundTo(between(50, 200), 5);
+            const durationSeconds = 300;
+            const participants = population.filter(() => random() < 0.3);
+
+            const bids = [];
+            let askingPrice = startingBid;
+            const attempts = Math.floor(between(5, 40));
+            for (let attempt = 0; attempt < attempts && participants.length; attempt++) {
+                const bidder = participants[Math.floor(random() * participants.length)];
+                const valuation = startingBid * bidder.appetite;
+                if (askingPrice > valuation) continue;
+
+                const atMs = bidder.sniper && random() < 0.6
+                    ? durationSeconds * 1000 - between(0, SNIPE_WINDOW_MS)
+                    : between(0, durationSeconds * 1000);
+                const amount = roundTo(Math.min(valuation, askingPrice + between(5, 30)), 5);
+                bids.push(bidder.usesProxy && !multiSlot
+                    ? { atMs, bidderId: bidder.bidderId, maxAmount: roundTo(valuation, 5), signals: bidder.signals }
+                    : { atMs, bidderId: bidder.bidderId, amount, signals: bidder.signals });
+                askingPrice = Math.max(askingPrice, amount);
+            }
+
+            return {
+                id: `synthetic-${index + 1}`,
+                auctionType: multiSlot ? 'multi_slot' : 'english',
+                adSlotDetails: { streamPlatform: 'twitch', duration: 90 },
+                adBreak: multiSlot ? { slotCount: 3, slotDurationSeconds: 30 } : undefined,
+                startingBid,
+                minimumIncrement: 5,
+                reservePrice: roundTo(startingBid * 1.5, 5),
+                clearingRule: random() < 0.5 ? 'second_price' : 'first_price',
+                durationSeconds,
+                softClose: { windowSeconds: 30, extensionSeconds: 30, maxExtensions: 10 },
+                bids: bids.sort((a, b) => a.atMs - b.atMs),
+            };
+        }),
+    };
+}
+
+// Unwrap MongoDB extended JSON ({ $oid }, { $date }, { $numberLong }, ...) as written by mongoexport
+function plain(value) {
+    if (Array.isArray(value)) return value.map(plain);
+    if (!value || typeof value !== 'object') return value;
+    if (value.$oid) return value.$oid;
+    if (value.$date !== undefined) return new Date(typeof value.$date === 'object' ? Number(plain(value.$date)) : value.$date);
+    for (const key of ['$numberInt', '$numberLong', '$numberDouble', '$numberDecimal']) {
+        if (value[key] !== undefined) return Number(value[key]);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, plain(inner)]));
+}
+
+// Rejections that say nothing about the bidder, so the bid may well succeed under another configuration
+const REPLAYABLE_REJECTIONS = ['BID_TOO_LOW', 'OUTBID_WHILE_SUBMITTING', 'AUCTION_NOT_LIVE'];
+
+/**
+ * Convert exported auctions and their bid ledger into simulation input. Every bid attempt is
+ * replayed as a plain bid at its recorded time and amount, including automatic proxy bids:
+ * proxy ceilings are secret and not part of the ledger.
+ * @param {Object} recording - { auctions: [Auction], events: [BidEvent] }, e.g. from mongoexport --jsonArray.
+ * @returns {Object} - Simulation input.
+ */
+function fromRecording(recording) {
+    const auctions = plain(recording.auctions || []);
+    const events = plain(recording.events || []);
+
+    return {
+        // Sealed-bid and Dutch auctions are not driven by open bids
+        auctions: auctions.filter(auction => ['english', 'multi_slot'].includes(auction.auctionType || 'english')).map(auction => {
+            const startedAt = new Date((auction.statusTimestamps && auction.statusTimestamps.liveAt) || auction.startTime || auction.createdAt);
+            const softClose = auction.softClose || {};
+            // Run the auction for its original length, without the extensions it happened to get
+            const extendedMs = (auction.extensionCount || 0) * (softClose.extensionSeconds || 0) * 1000;
+            const durationSeconds = Math.max(1, Math.round((new Date(auction.expirationTime) - startedAt - extendedMs) / 1000));
+
+            const bids = events
+                .filter(event => String(event.auction) === String(auction._id))
+                .filter(event => event.type === 'bid_placed' || (event.type === 'bid_rejected' && REPLAYABLE_REJECTIONS.includes(event.reason)))
+                .sort((a, b) => a.sequence - b.sequence)
+                .map(event => {
+                    const breakdown = event.data && event.data.scoreBreakdown;
+                    const signals = breakdown
+                        ? Object.fromEntries(breakdown.components.filter(c => c.name !== 'bidAmount').map(c => [c.name, c.raw]))
+                        : undefined;
+                    return {
+                        atMs: new Date(event.occurredAt) - startedAt,
+                        bidderId: String(event.bidder),
+                        amount: event.amount,
+                        signals,
+                    };
+                });
+
+            return {
+                id: String(auction._id),
+                auctionType: auction.auctionType || 'english',
+                adSlotDetails: auction.adSlotDetails,
+                adBreak: auction.adBreak,
+                startingBid: auction.startingBid,
+                minimumIncrement: auction.minimumIncrement,
+                reservePrice: auction.reservePrice,
+                clearingRule: auction.clearingRule,
+                durationSeconds,
+                softClose,
+                bids,
+            };
+        }),
+    };
+}
+
+module.exports = {
+    generateSyntheticTraffic,
+    fromRecording,
+};
@@ -360,6 +360,43 @@ class NotificationService {
             }
         }
     }
+
+    // Addresses a user's alerts go to, one per preferred channel (and per device for push)
+    recipientsFor(user) {
+        const preferences = user.notificationPreferences || {};
+        return (preferences.channels || ['email']).flatMap(channel => {
+            switch (channel) {
+                case 'email':
+                    return user.email ? [{ channel, to: user.email }] : [];
+                case 'sms':
+                    return preferences.phone ? [{ channel, to: preferences.phone }] : [];
+                case 'push':
+                    return (preferences.pushTokens || []).map(token => ({ channel, to: token }));
+                default:
+                    return [];
+            }
+        });
+    }
+
+    /**
+     * Send an alert over each of the user's preferred channels, unless they opted out of its type
+     * @param {Object} user - User document with notificationPreferences.
+     * @param {Object} alert - { type, subject, message }
+     * @returns {Number} - Channels the alert was delivered on.
+     */
+    async notifyUser(user, { type, subject, message }) {
+        const preferences = user.notificationPreferences || {};
+        if ((preferences.optOuts || []).includes(type)) {
+            return 0;
+        }
+        const results = await Promise.allSettled(this.recipientsFor(user).map(recipient =>
+            this.sendNotification({ ...recipient, type, subject, message })
+        ));
+        results.filter(result => result.status === 'rejected').forEach(result => {
+            logger.error('Failed to deliver alert', { error: result.reason, type, userId: user._id });
+        });
+        return results.filter(result => result.status === 'fulfilled').length;
+    }
 }
 
 // Kafka consumer to process notifications
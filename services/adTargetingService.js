@@ -12,6 +12,11 @@ const { fetchAdCreatives } = require('./ad');
 const { serveAdToViewer } = require('./adController');
 const { encryptData, anonymizeData } = require('./utils/security');
 const { verifyAdCompliance } = require('./blockchainUtils');
+const frequencyCapService = require('./frequencyCapService');
+const budgetPacingService = require('./budgetPacingService');
+const campaignScheduleService = require('./campaignScheduleService');
+const creativeExperimentService = require('./creativeExperimentService');
+const creativeModerationService = require('./creativeModerationService');
 
 const client = redis.createClient();
 Sentry.init({ dsn: process.env.SENTRY_DSN });
@@ -33,6 +38,12 @@ const adClickThroughRate = new promClient.Gauge({
     help: 'Real-time click-through rate for targeted ads',
 });
 
+const adServingSkips = new promClient.Counter({
+    name: 'ad_serving_skips_total',
+    help: 'Ranked ads passed over at selection time, by reason',
+    labelNames: ['reason'],
+});
+
 const adTargetingService = {
     async fetchAudienceData(streamId) {
         try {
@@ -63,9 +74,34 @@ const adTargetingService = {
         }
     },
 
+    // Rank the pool by relevance. Ads of campaigns outside their weekly schedule, or that have
+    // spent what their budget pacing allows so far, are left out.
     async rankAds(viewerData, adPool) {
         try {
-            const rankedAds = adPool.map(ad => ({
+            const now = new Date();
+            const campaignOf = ad => ad.campaign && String(ad.campaign._id || ad.campaign);
+            const campaignIds = adPool.map(campaignOf);
+            const offSchedule = await campaignScheduleService.offScheduleCampaigns(campaignIds, now);
+            const throttled = await budgetPacingService.throttledCampaigns(campaignIds, now);
+            const skip = (ad, reason, details = {}) => {
+                adServingSkips.inc({ reason });
+                logActivity('Ad skipped', { adId: ad.id, reason, ...details });
+            };
+
+            const eligibleAds = adPool.filter(ad => {
+                if (offSchedule.has(campaignOf(ad))) {
+                    skip(ad, 'schedule');
+                    return false;
+                }
+                const pacing = throttled.get(campaignOf(ad));
+                if (pacing) {
+                    skip(ad, 'pacing', { spent: pacing.spent, allowance: pacing.allowance });
+                    return false;
+                }
+                return true;
+            });
+
+            const rankedAds = eligibleAds.map(ad => ({
                 ...ad,
                 relevanceScore: ad.baseScore + Math.random() * 10,
             })).sort((a, b) => b.relevanceScore - a.relevanceScore);
@@ -78,18 +114,47 @@ const adTargetingService = {
         }
     },
 
-    async serveAd(viewerId, rankedAds) {
+    // Serve the highest-ranked eligible ad on a streamer's channel. Campaigns running a creative
+    // experiment show the creative the viewer is assigned to. Creatives the channel has not
+    // approved, ads the viewer has hit a frequency cap on, and ads failing compliance are skipped
+    // in favour of the next one; every skip is logged with its reason.
+    async serveAd(viewerId, rankedAds, streamerId) {
         try {
-            const topAd = rankedAds[0];
-            const compliance = await verifyAdCompliance(topAd.id);
+            const now = new Date();
+            const candidates = await creativeExperimentService.assignCreatives(viewerId, rankedAds);
+            const approved = await creativeModerationService.approvedAds(candidates.map(ad => ad.id), streamerId);
+            const capped = await frequencyCapService.cappedAds(viewerId, candidates, now);
+            const skipped = [];
+            const skip = (ad, reason, details = {}) => {
+                skipped.push({ adId: ad.id, reason, ...details });
+                adServingSkips.inc({ reason });
+                logActivity('Ad skipped', { viewerId, adId: ad.id, reason, ...details });
+            };
+
+            for (const ad of candidates) {
+                if (!approved.has(String(ad.id))) {
+                    skip(ad, 'not_approved', { streamerId });
+                    continue;
+                }
+                const cap = capped.get(String(ad.id));
+                if (cap) {
+                    skip(ad, 'frequency_cap', { scope: cap.scope, period: cap.period, maxImpressions: cap.maxImpressions });
+                    continue;
+                }
+                if (!(await verifyAdCompliance(ad.id))) {
+                    skip(ad, 'non_compliant');
+                    continue;
+                }
 
-            if (!compliance) {
-                throw new Error('Ad does not comply with targeting and campaign requirements');
+                await serveAdToViewer(viewerId, ad);
+                await frequencyCapService.recordImpression(viewerId, ad, now);
+                logActivity('Ad served', { viewerId, adId: ad.id, experimentId: ad.experimentId, skipped: skipped.length });
+                // Impressions, clicks and conversions reported with the experiment ID count towards its arm
+                return { success: true, adId: ad.id, experimentId: ad.experimentId, skipped };
             }
 
-            await serveAdToViewer(viewerId, topAd);
-            logActivity('Ad served', { viewerId, adId: topAd.id });
-            return { success: true, adId: topAd.id };
+            logActivity('No eligible ad to serve', { viewerId, candidates: candidates.length });
+            return { success: false, reason: 'NO_ELIGIBLE_AD', skipped };
         } catch (error) {
             Sentry.captureException(error);
             throw new Error('Error serving ad');
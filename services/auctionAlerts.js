@@ -0,0 +1,225 @@
+const Bull = require('bull');
+const Auction = require('../models/auction');
+const BidEvent = require('../models/bidEvent');
+const User = require('../models/user');
+const WatchedAuction = require('../models/watchedAuction');
+const NotificationService = require('./NotificationService');
+const savedSearchService = require('./savedSearchService');
+const logger = require('../utils/logger');
+const { AUCTION_STATES } = require('../utils/auctionStateMachine');
+const { reduceBidEvents } = require('../utils/bidLedger');
+
+// Outbids within this window of the first one are collapsed into a single alert
+const OUTBID_COLLAPSE_MS = parseInt(process.env.AUCTION_OUTBID_ALERT_DELAY_MS, 10) || 60 * 1000;
+// How long before expiration bidders hear that an auction is ending
+const ENDING_SOON_MS = parseInt(process.env.AUCTION_ENDING_SOON_ALERT_MS, 10) || 5 * 60 * 1000;
+// Ending-soon alerts running this much early (queue lag, clock skew) are still sent
+const ENDING_SOON_SLACK_MS = 60 * 1000;
+// Auction types whose bidders are known while they are live
+const LIVE_BIDDING_TYPES = ['english', 'multi_slot'];
+
+// Alerts are delivered off the bid path, so a slow mail or SMS provider never delays a bid
+const alertQueue = new Bull('auctionAlerts', {
+    redis: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+    },
+    defaultJobOptions: {
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+        removeOnFail: true,
+    },
+});
+
+let notificationService = null;
+const notifier = () => {
+    notificationService = notificationService || new NotificationService();
+    return notificationService;
+};
+
+const formatAmount = (amount, currency) => `${Number(amount).toFixed(2)} ${currency || 'USD'}`;
+
+const describeAuction = auction =>
+    `${auction.adSlotDetails.duration}s ${auction.adSlotDetails.streamPlatform} ad auction ${auction._id}`;
+
+// Bidders with a standing (not retracted) bid, from the ledger
+async function biddersOf(auctionId) {
+    const state = reduceBidEvents(await BidEvent.find({ auction: auctionId }).sort({ sequence: 1 }));
+    return [...new Set(state.bids.filter(bid => bid.bidder).map(bid => String(bid.bidder)))];
+}
+
+// Bidders plus users watching the auction
+async function interestedUsers(auctionId) {
+    const watchers = await WatchedAuction.distinct('user', { auction: auctionId });
+    return [...new Set([...(await biddersOf(auctionId)), ...watchers.map(String)])];
+}
+
+// Send one alert per user; a failure for one user does not stop the others
+async function notifyUsers(userIds, alertFor) {
+    const users = await User.find({ _id: { $in: userIds } });
+    let delivered = 0;
+    for (const user of users) {
+        try {
+            delivered += await notifier().notifyUser(user, alertFor(String(user._id)));
+        } catch (error) {
+            logger.error(`Error alerting user ${user._id}:`, error);
+        }
+    }
+    return delivered;
+}
+
+/**
+ * Queue outbid alerts. An alert waits OUTBID_COLLAPSE_MS before it is sent, and its job ID
+ * is the same for every outbid of that user on that auction, so a bidding war produces one
+ * alert per window rather than one per bid.
+ * @param {Object} auction - Auction the bidders were outbid on.
+ * @param {Array} userIds - Bidders who stopped winning.
+ */
+function queueOutbidAlerts(auction, userIds) {
+    return Promise.all(userIds.map(userId => alertQueue.add('outbid', { auctionId: String(auction._id), userId: String(userId) }, {
+        jobId: `outbid:${auction._id}:${userId}`,
+        delay: OUTBID_COLLAPSE_MS,
+    })));
+}
+
+/**
+ * Queue the ending-soon alert for a live auction. Job IDs include the expiration time, so
+ * scheduling the same auction again never queues the alert twice.
+ * @param {Object} auction - Live auction.
+ */
+function queueEndingSoonAlert(auction) {
+    if (!LIVE_BIDDING_TYPES.includes(auction.auctionType)) {
+        return null;
+    }
+    const expiresAt = new Date(auction.expirationTime).getTime();
+    return alertQueue.add('ending-soon', { auctionId: String(auction._id) }, {
+        jobId: `ending-soon:${auction._id}:${expiresAt}`,
+        delay: Math.max(0, expiresAt - ENDING_SOON_MS - Date.now()),
+    });
+}
+
+// Queue won, lost or reserve-not-met alerts for an auction that just closed
+function queueOutcomeAlerts(auction) {
+    return alertQueue.add('outcome', { auctionId: String(auction._id) }, { jobId: `outcome:${auction._id}` });
+}
+
+// Queue the saved-search announcement of a newly scheduled auction
+function queueSavedSearchAlerts(auction) {
+    if (auction.savedSearchesMatchedAt) {
+        return null;
+    }
+    return alertQueue.add('saved-search', { auctionId: String(auction._id) }, { jobId: `saved-search:${auction._id}` });
+}
+
+async function sendOutbidAlert({ auctionId, userId }) {
+    const auction = await Auction.findById(auctionId);
+    // Bidders who won their place back while the alert waited are not told they lost it
+    if (!auction || auction.status !== AUCTION_STATES.LIVE || auction.winningBidders().includes(userId)) {
+        return { skipped: true };
+    }
+    const delivered = await notifyUsers([userId], () => ({
+        type: 'outbid',
+        subject: 'You have been outbid',
+        message: `You have been outbid on the ${describeAuction(auction)}. The high bid is now ${formatAmount(auction.highestBid, auction.currency)}.`,
+    }));
+    return { delivered };
+}
+
+async function sendEndingSoonAlert({ auctionId }) {
+    const auction = await Auction.findById(auctionId);
+    if (!auction || auction.status !== AUCTION_STATES.LIVE) {
+        return { skipped: true };
+    }
+    // Soft close pushed the expiration out; alert closer to the new one instead
+    if (auction.expirationTime - Date.now() > ENDING_SOON_MS + ENDING_SOON_SLACK_MS) {
+        await queueEndingSoonAlert(auction);
+        return { rescheduled: auction.expirationTime };
+    }
+
+    const winning = auction.winningBidders();
+    const delivered = await notifyUsers(await interestedUsers(auctionId), userId => ({
+        type: 'ending_soon',
+        subject: 'Auction ending soon',
+        message: `The ${describeAuction(auction)} ends at ${auction.expirationTime.toISOString()}. `
+            + (winning.includes(userId)
+                ? 'You are currently winning.'
+                : `The high bid is ${formatAmount(auction.highestBid, auction.currency)}.`),
+    }));
+    return { delivered };
+}
+
+async function sendOutcomeAlerts({ auctionId }) {
+    const auction = await Auction.findById(auctionId);
+    if (!auction || ![AUCTION_STATES.SETTLED, AUCTION_STATES.FAILED_RESERVE].includes(auction.status)) {
+        return { skipped: true };
+    }
+    const bidders = await biddersOf(auctionId);
+
+    if (auction.status === AUCTION_STATES.FAILED_RESERVE) {
+        const delivered = await notifyUsers(bidders, () => ({
+            type: 'reserve_not_met',
+            subject: 'Auction ended without a sale',
+            message: `The ${describeAuction(auction)} ended below its reserve price, so no bid won. No money is owed.`,
+        }));
+        return { delivered };
+    }
+
+    // Multi-slot winners pay their own slot's price; everyone else pays the clearing price
+    const prices = new Map(auction.auctionType === 'multi_slot'
+        ? auction.slotAllocations.map(slot => [String(slot.bidder), slot.price])
+        : [[String(auction.highestBidder), auction.clearingPrice]]);
+    const delivered = await notifyUsers(bidders, userId => (prices.has(userId)
+        ? {
+            type: 'won',
+            subject: 'You won the auction',
+            message: `You won the ${describeAuction(auction)} for ${formatAmount(prices.get(userId), auction.currency)}.`,
+        }
+        : {
+            type: 'lost',
+            subject: 'Auction lost',
+            message: `The ${describeAuction(auction)} has ended and your bid did not win.`,
+        }));
+    return { delivered };
+}
+
+async function sendSavedSearchAlerts({ auctionId }) {
+    // Auctions are announced once. The job ID keeps a second job out while this one is queued
+    // or retrying; the marker, set only after delivery, stops later scheduling from queuing it again.
+    const auction = await Auction.findOne({ _id: auctionId, savedSearchesMatchedAt: null });
+    if (!auction) {
+        return { skipped: true };
+    }
+
+    const matches = await savedSearchService.matchingSearches(auction);
+    const startsAt = auction.startTime ? auction.startTime.toISOString() : 'now';
+    const delivered = await notifyUsers([...matches.keys()], userId => ({
+        type: 'saved_search',
+        subject: 'New auction matches your saved search',
+        message: `A new ${describeAuction(auction)} matches your saved search ${matches.get(userId).map(search => `"${search.name}"`).join(', ')}. `
+            + `Bidding opens ${startsAt} from ${formatAmount(auction.startingBid, auction.currency)}.`,
+    }));
+    await Auction.updateOne({ _id: auction._id, savedSearchesMatchedAt: null }, { $set: { savedSearchesMatchedAt: new Date() } });
+    return { delivered };
+}
+
+function startAuctionAlerts() {
+    alertQueue.process('outbid', job => sendOutbidAlert(job.data));
+    alertQueue.process('ending-soon', job => sendEndingSoonAlert(job.data));
+    alertQueue.process('outcome', job => sendOutcomeAlerts(job.data));
+    alertQueue.process('saved-search', job => sendSavedSearchAlerts(job.data));
+
+    alertQueue.on('failed', (job, error) => {
+        logger.error(`Auction alert job ${job.id} failed:`, error);
+    });
+    logger.info('Auction alerts started');
+}
+
+module.exports = {
+    alertQueue,
+    queueOutbidAlerts,
+    queueEndingSoonAlert,
+    queueOutcomeAlerts,
+    queueSavedSearchAlerts,
+    startAuctionAlerts,
+};
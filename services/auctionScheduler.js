@@ -0,0 +1,218 @@
+const os = require('os');
+const Bull = require('bull');
+const Auction = require('../models/auction');
+const auctionService = require('./auctionService');
+const auctionAlerts = require('./auctionAlerts');
+const auctionTemplateService = require('./auctionTemplateService');
+const rateSnapshotService = require('./rateSnapshotService');
+const logger = require('../utils/logger');
+const { AUCTION_STATES, AuctionTransitionError } = require('../utils/auctionStateMachine');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.AUCTION_SWEEP_INTERVAL_MS, 10) || 30000;
+const LEASE_TTL_MS = parseInt(process.env.AUCTION_LEASE_TTL_MS, 10) || 60000;
+const SWEEP_BATCH_SIZE = 500;
+const TEMPLATE_INTERVAL_MS = parseInt(process.env.AUCTION_TEMPLATE_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+// Identifies this worker on the auction leases it holds
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Lifecycle jobs get their own queue: Bull fails named jobs picked up by a worker
+// without a matching handler, so they cannot share the ad controller's auctionQueue.
+const lifecycleQueue = new Bull('auctionLifecycle', {
+    redis: {
+        host: process.env.REDIS_HOST || '127.0.0.1',
+        port: process.env.REDIS_PORT || 6379,
+    },
+    defaultJobOptions: {
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+        // Failed jobs keep their ID otherwise, which would stop the sweep from queuing the step again
+        removeOnFail: true,
+    },
+});
+
+/**
+ * Queue a lifecycle job. Job IDs include the due time, so repeated sweeps and
+ * replicas never queue the same step twice, while a soft-close extension gets a new job.
+ * @param {String} name - Job name (open, close, settle).
+ * @param {String} auctionId - ID of the auction.
+ * @param {Date} dueAt - When the job should run; past dates run immediately.
+ */
+function enqueue(name, auctionId, dueAt) {
+    const runAt = dueAt ? new Date(dueAt).getTime() : 0;
+    return lifecycleQueue.add(name, { auctionId: auctionId.toString() }, {
+        jobId: `${name}:${auctionId}:${runAt}`,
+        delay: Math.max(0, runAt - Date.now()),
+    });
+}
+
+// Sealed-bid auctions close when their reveal window does, everything else at expiration
+function closesAt(auction) {
+    return auction.auctionType === 'sealed_bid' && auction.sealedBid && auction.sealedBid.revealDeadline
+        ? auction.sealedBid.revealDeadline
+        : auction.expirationTime;
+}
+
+/**
+ * Queue the next lifecycle step for an auction that was just scheduled or opened, and
+ * announce it to matching saved searches the first time it is seen
+ * @param {Object} auction - Auction document.
+ */
+async function scheduleAuction(auction) {
+    if ([AUCTION_STATES.SCHEDULED, AUCTION_STATES.LIVE].includes(auction.status)) {
+        await auctionAlerts.queueSavedSearchAlerts(auction);
+    }
+    if (auction.status === AUCTION_STATES.SCHEDULED) {
+        await enqueue('open', auction._id, auction.startTime);
+    } else if (auction.status === AUCTION_STATES.LIVE) {
+        await enqueue('close', auction._id, closesAt(auction));
+        await auctionAlerts.queueEndingSoonAlert(auction);
+    }
+}
+
+/**
+ * Run a job handler while holding the auction's lease. Illegal transitions mean
+ * another path already moved the auction on, so they are skipped rather than retried.
+ */
+async function withLease(auctionId, handler) {
+    const acquired = await Auction.acquireLease(auctionId, workerId, LEASE_TTL_MS);
+    if (!acquired) {
+        logger.info(`Auction ${auctionId} is leased by another worker, skipping`);
+        return { skipped: true, reason: 'leased' };
+    }
+
+    try {
+        return await handler();
+    } catch (error) {
+        if (error instanceof AuctionTransitionError) {
+            logger.warn(`Skipping lifecycle job for auction ${auctionId}: ${error.message}`);
+            return { skipped: true, reason: error.message };
+        }
+        throw error;
+    } finally {
+        await Auction.releaseLease(auctionId, workerId);
+    }
+}
+
+async function openAuction(auctionId) {
+    const auction = await Auction.transitionById(auctionId, AUCTION_STATES.LIVE, { actor: 'scheduler', reason: 'start_time_reached' });
+    await rateSnapshotService.freezeRates(auction);
+    if (auction.auctionType === 'dutch') {
+        await auctionService.startDutchAuction(auction._id);
+    }
+    await scheduleAuction(auction);
+    logger.info(`Scheduler opened auction ${auctionId}`);
+    return { status: auction.status };
+}
+
+async function closeAuction(auctionId) {
+    const auction = await Auction.findById(auctionId);
+    if (!auction || auction.status !== AUCTION_STATES.LIVE) {
+        return { skipped: true, reason: 'not_live' };
+    }
+
+    // Soft close may have pushed the deadline out since this job was queued
+    const dueAt = closesAt(auction);
+    if (dueAt > new Date()) {
+        await enqueue('close', auction._id, dueAt);
+        return { rescheduled: dueAt };
+    }
+
+    const closed = auction.auctionType === 'sealed_bid'
+        ? await auctionService.settleSealedBidAuction(auctionId)
+        : await auctionService.closeAuction(auctionId, { actor: 'scheduler', reason: 'expired' });
+    logger.info(`Scheduler closed auction ${auctionId} as ${closed.status}`);
+    return { status: closed.status };
+}
+
+async function settleAuction(auctionId) {
+    const settled = await auctionService.closeAuction(auctionId, { actor: 'scheduler', reason: 'recovered_closing' });
+    logger.info(`Scheduler settled auction ${auctionId} as ${settled.status}`);
+    return { status: settled.status };
+}
+
+/**
+ * Find auctions whose next lifecycle step is due and queue it. This is also how auctions
+ * missed while no scheduler was running get picked up again.
+ * @param {Date} now - Reference time.
+ * @returns {Object} - Number of open, close and settle jobs queued.
+ */
+async function sweepDueAuctions(now = new Date()) {
+    try {
+        const [toOpen, toClose, toSettle] = await Promise.all([
+            Auction.find({
+                status: AUCTION_STATES.SCHEDULED,
+                $or: [{ startTime: { $lte: now } }, { startTime: null }],
+            }).select('_id startTime').limit(SWEEP_BATCH_SIZE),
+            Auction.find({
+                status: AUCTION_STATES.LIVE,
+                $or: [
+                    { expirationTime: { $lte: now } },
+                    { auctionType: 'sealed_bid', 'sealedBid.revealDeadline': { $lte: now } },
+                ],
+            }).select('_id auctionType expirationTime sealedBid').limit(SWEEP_BATCH_SIZE),
+            Auction.find({ status: AUCTION_STATES.CLOSING }).select('_id closingAt').limit(SWEEP_BATCH_SIZE),
+        ]);
+
+        await Promise.all([
+            ...toOpen.map(auction => enqueue('open', auction._id, auction.startTime)),
+            ...toClose.map(auction => enqueue('close', auction._id, closesAt(auction))),
+            ...toSettle.map(auction => enqueue('settle', auction._id)),
+        ]);
+
+        // Pick up Dutch price clocks whose process stopped renewing their lease
+        await auctionService.resumeDutchAuctions();
+
+        const counts = { opened: toOpen.length, closed: toClose.length, settled: toSettle.length };
+        if (counts.opened || counts.closed || counts.settled) {
+            logger.info(`Auction sweep queued ${counts.opened} open, ${counts.closed} close, ${counts.settled} settle jobs`);
+        }
+        return counts;
+    } catch (error) {
+        logger.error('Error sweeping due auctions:', error);
+        throw new Error('Failed to sweep due auctions.');
+    }
+}
+
+/**
+ * Create the upcoming auctions of recurring templates and queue their opening
+ * @param {Date} now - Reference time.
+ * @returns {Object} - Number of auctions created.
+ */
+async function generateTemplateAuctions(now = new Date()) {
+    const created = await auctionTemplateService.generateTemplateAuctions(now);
+    await Promise.all(created.map(auction => scheduleAuction(auction)));
+    return { created: created.length };
+}
+
+/**
+ * Register the lifecycle job handlers and the repeating sweep, then recover anything
+ * that became due while no scheduler was running. Safe to call on every replica.
+ */
+async function startAuctionScheduler() {
+    lifecycleQueue.process('open', job => withLease(job.data.auctionId, () => openAuction(job.data.auctionId)));
+    lifecycleQueue.process('close', job => withLease(job.data.auctionId, () => closeAuction(job.data.auctionId)));
+    lifecycleQueue.process('settle', job => withLease(job.data.auctionId, () => settleAuction(job.data.auctionId)));
+    lifecycleQueue.process('sweep', () => sweepDueAuctions());
+    lifecycleQueue.process('templates', () => generateTemplateAuctions());
+
+    lifecycleQueue.on('failed', (job, error) => {
+        logger.error(`Auction lifecycle job ${job.id} failed:`, error);
+    });
+
+    // Repeatable jobs are keyed by name and interval, so replicas share a single sweep
+    await lifecycleQueue.add('sweep', {}, { repeat: { every: SWEEP_INTERVAL_MS } });
+    await lifecycleQueue.add('templates', {}, { repeat: { every: TEMPLATE_INTERVAL_MS } });
+    await sweepDueAuctions();
+    await generateTemplateAuctions();
+    logger.info(`Auction scheduler started on ${workerId}`);
+}
+
+module.exports = {
+    lifecycleQueue,
+    scheduleAuction,
+    sweepDueAuctions,
+    generateTemplateAuctions,
+    startAuctionScheduler,
+};
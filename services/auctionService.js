@@ -1,16 +1,31 @@
+const os = require('os');
 const Auction = require('../models/auction');
-const Bid = require('../models/bid');
+const Campaign = require('../models/campaign');
+const BidEvent = require('../models/bidEvent');
+const BidderBan = require('../models/bidderBan');
 const PremiumStream = require('../models/premiumStream');
 const WebSocket = require('ws');
 const redisClient = require('../utils/redisClient');
 const aiMiddleware = require('../middleware/aiMiddleware');
 const blockchainMiddleware = require('../middleware/blockchainMiddleware');
 const logger = require('../utils/logger');
+const auctionAlerts = require('./auctionAlerts');
+const { roomKey, publishToRoom } = require('../utils/wsRooms');
+const { runSealedBidAuction, hashSealedBid, runDutchAuction, getDutchAuctionPrice } = require('../utils/adMarketplaceUtils');
+const { AUCTION_STATES, AuctionTransitionError, describeTransition } = require('../utils/auctionStateMachine');
+const { reduceBidEvents, retractBids } = require('../utils/bidLedger');
 const { EventEmitter } = require('events');
 
 // Initialize EventEmitter for auction lifecycle events
 const auctionEvents = new EventEmitter();
 
+// Dutch auction clocks running in this process, keyed by auction ID
+const dutchClocks = new Map();
+// Identifies this process on the Dutch clock leases it holds
+const workerId = `${os.hostname()}:${process.pid}`;
+// A clock whose process stops renewing its lease is picked up again after this long (at least three ticks)
+const DUTCH_CLOCK_LEASE_MS = parseInt(process.env.DUTCH_CLOCK_LEASE_MS, 10) || 30000;
+
 /**
  * Create a new auction with AI-driven predictions and blockchain-based tracking
  * @param {Object} auctionData - Details for the new auction (start time, end time, ad details).
@@ -42,87 +57,27 @@ async function createAuction(auctionData) {
     }
 }
 
-/**
- * Place a bid on an auction with fraud detection and AI-based dynamic prioritization
- * @param {String} auctionId - ID of the auction.
- * @param {Number} bidAmount - Amount of the bid.
- * @param {Object} bidder - Bidder details (userId, role).
- * @returns {Object} - Updated auction with new highest bid or error if bid fails.
- */
-async function placeBid(auctionId, bidAmount, bidder) {
-    try {
-        const auction = await Auction.findById(auctionId);
-        if (!auction) {
-            throw new Error('Auction not found.');
-        }
-
-        // Check if auction is active
-        const now = new Date();
-        if (now < auction.startTime || now > auction.endTime) {
-            throw new Error('Auction is not active.');
-        }
-
-        // Validate bid amount
-        if (bidAmount <= auction.highestBid) {
-            return { success: false, message: 'Bid amount is too low.' };
-        }
-
-        // Run AI-powered fraud detection on the bid
-        const fraudRisk = await aiMiddleware.assessBidFraudRisk({ auctionId, bidderId: bidder.userId, bidAmount });
-        if (fraudRisk.score > 80) {
-            logger.warn(`High fraud risk detected for bid: ${bidAmount}, User: ${bidder.userId}`);
-            return { success: false, message: 'Bid flagged as fraudulent.' };
-        }
-
-        // Add bid to the database
-        const bid = new Bid({
-            auctionId,
-            bidderId: bidder.userId,
-            amount: bidAmount,
-            timestamp: now,
-        });
-        await bid.save();
-
-        // Update auction with highest bid and use AI for dynamic prioritization
-        auction.highestBid = bidAmount;
-        auction.highestBidder = bidder.userId;
-        auction.priorityScore = await aiMiddleware.calculateAuctionPriority(auction);
-        await auction.save();
-
-        // Notify WebSocket clients about the updated bid
-        redisClient.publish('broadcast_channel', JSON.stringify({
-            type: 'AUCTION_UPDATE',
-            auctionId: auction._id,
-            highestBid: auction.highestBid,
-            highestBidder: auction.highestBidder,
-            priorityScore: auction.priorityScore,
-        }));
-
-        return { success: true, highestBid: auction.highestBid };
-    } catch (error) {
-        logger.error('Error placing bid:', error);
-        throw new Error('Failed to place bid.');
-    }
-}
-
 /**
  * Close an auction, determine the winner, and generate blockchain-backed certificates
  * @param {String} auctionId - ID of the auction to close.
+ * @param {Object} options - { actor, reason, endEarly } recorded on the transition log.
  * @returns {Object} - Finalized auction document with winner details and blockchain certificate.
  */
-async function closeAuction(auctionId) {
+async function closeAuction(auctionId, options = {}) {
     try {
         const auction = await Auction.findById(auctionId);
         if (!auction) {
             throw new Error('Auction not found.');
         }
 
-        if (auction.status !== 'ongoing') {
-            throw new Error('Auction is not active.');
+        // Close and settle, or fail on reserve; illegal transitions throw AuctionTransitionError.
+        // An auction left in closing (e.g. by a crashed worker) only needs the settlement step.
+        const transition = { actor: options.actor || 'system', reason: options.reason, endEarly: options.endEarly };
+        if (auction.status === AUCTION_STATES.CLOSING) {
+            auction.settle(transition);
+        } else {
+            auction.closeAndSettle(transition);
         }
-
-        // Mark auction as ended
-        auction.status = 'ended';
         await auction.save();
 
         // Emit event for auction closure
@@ -137,6 +92,9 @@ async function closeAuction(auctionId) {
         return auction;
     } catch (error) {
         logger.error('Error closing auction:', error);
+        if (error instanceof AuctionTransitionError) {
+            throw error;
+        }
         throw new Error('Failed to close auction.');
     }
 }
@@ -179,21 +137,18 @@ auctionEvents.on('auctionCreated', (auction) => {
 
 auctionEvents.on('auctionClosed', (auction) => {
     logger.info(`Auction closed: ${auction._id}`);
-    // Notify WebSocket clients about auction closure
-    redisClient.publish('broadcast_channel', JSON.stringify({
+    // Notify the auction's room about its closure
+    publishToRoom(roomKey('auction', auction._id), {
         type: 'AUCTION_ENDED',
         auctionId: auction._id,
+        status: auction.status,
         highestBid: auction.highestBid,
         highestBidder: auction.highestBidder,
-    }));
+    });
+    // Winners and losers (or everyone, when the reserve was not met) hear how it ended
+    auctionAlerts.queueOutcomeAlerts(auction).catch(error => logger.error('Error queuing auction outcome alerts:', error));
 });
 
-module.exports = {
-    createAuction,
-    placeBid,
-    closeAuction,
-    getAuctionUpdates,
-};
 /**
  * Add localization for multiple regions and currencies
  * @param {String} auctionId - ID of the auction.
@@ -221,13 +176,6 @@ async function localizeAuction(auctionId, region, currency) {
     }
 }
 
-module.exports = {
-    createAuction,
-    placeBid,
-    closeAuction,
-    getAuctionUpdates,
-    localizeAuction,
-};
 /**
  * Suggest optimal bidding times or items to bidders based on behavior and preferences
  * @param {String} userId - ID of the user.
@@ -258,15 +206,6 @@ async function detectAnomalies(auctionId) {
     }
 }
 
-module.exports = {
-    createAuction,
-    placeBid,
-    closeAuction,
-    getAuctionUpdates,
-    localizeAuction,
-    suggestOptimalBids,
-    detectAnomalies,
-};
 /**
  * Introduce leaderboards, achievements, or rewards for bidders to increase engagement and loyalty
  * @param {String} auctionId - ID of the auction.
@@ -297,17 +236,6 @@ async function getSustainabilityMetrics(auctionId) {
     }
 }
 
-module.exports = {
-    createAuction,
-    placeBid,
-    closeAuction,
-    getAuctionUpdates,
-    localizeAuction,
-    suggestOptimalBids,
-    detectAnomalies,
-    getLeaderboard,
-    getSustainabilityMetrics,
-};
 /**
  * Allow immersive auction participation for AR/VR users
  * @param {String} auctionId - ID of the auction.
@@ -333,18 +261,6 @@ async function enableARVRParticipation(auctionId) {
     }
 }
 
-module.exports = {
-    createAuction,
-    placeBid,
-    closeAuction,
-    getAuctionUpdates,
-    localizeAuction,
-    suggestOptimalBids,
-    detectAnomalies,
-    getLeaderboard,
-    getSustainabilityMetrics,
-    enableARVRParticipation,
-};
 /**
  * Predict end-of-auction metrics like final bid values and bidder engagement levels
  * @param {String} auctionId - ID of the auction.
@@ -370,9 +286,475 @@ async function predictEndOfAuctionMetrics(auctionId) {
     }
 }
 
+// One of the bidder's active campaigns, which pays for what they win
+function findBiddingCampaign(campaignId, bidderId) {
+    return campaignId ? Campaign.findOne({ _id: campaignId, advertiser: bidderId, status: 'active' }) : null;
+}
+
+/**
+ * Submit a sealed-bid commitment during the commit window
+ * @param {String} auctionId - ID of the sealed-bid auction.
+ * @param {String} bidderId - ID of the committing bidder.
+ * @param {String} commitment - SHA-256 hex of `auctionId:bidderId:amount:salt`, amount in cents precision.
+ * @param {String} campaignId - Bidder's active campaign; its budget is held when the bid is revealed.
+ * @returns {Object} - Commit acknowledgement or rejection reason.
+ */
+async function commitSealedBid(auctionId, bidderId, commitment, campaignId) {
+    try {
+        const auction = await Auction.findById(auctionId);
+        if (!auction) {
+            throw new Error('Auction not found.');
+        }
+
+        if (auction.auctionType !== 'sealed_bid') {
+            return { success: false, message: 'Auction does not accept sealed bids.' };
+        }
+        // Scheduled, cancelled and settled auctions take no commitments, whatever their windows say
+        if (auction.status !== AUCTION_STATES.LIVE) {
+            return { success: false, message: `Auction is ${auction.status}, not live.` };
+        }
+
+        const now = new Date();
+        if (now > auction.sealedBid.commitDeadline) {
+            return { success: false, message: 'Commit window has closed.' };
+        }
+        if (await BidderBan.isBanned(auction, bidderId)) {
+            return { success: false, message: 'You are banned from bidding on this auction.' };
+        }
+        if (!(await findBiddingCampaign(campaignId, bidderId))) {
+            return { success: false, message: 'Sealed bids must reference one of your active campaigns.' };
+        }
+
+        // A bidder holds one commitment; recommitting replaces it and resets its timestamp
+        const existing = auction.commitments.find(c => c.user.toString() === bidderId.toString());
+        if (existing) {
+            existing.commitment = commitment;
+            existing.campaign = campaignId;
+            existing.committedAt = now;
+        } else {
+            auction.commitments.push({ user: bidderId, campaign: campaignId, commitment, committedAt: now });
+        }
+        await auction.save();
+
+        logger.info(`Sealed bid committed for auction ${auctionId} by ${bidderId}`);
+        return { success: true, committedAt: now };
+    } catch (error) {
+        logger.error('Error committing sealed bid:', error);
+        throw new Error('Failed to commit sealed bid.');
+    }
+}
+
+/**
+ * Reveal a previously committed sealed bid during the reveal window
+ * @param {String} auctionId - ID of the sealed-bid auction.
+ * @param {String} bidderId - ID of the revealing bidder.
+ * @param {Number} amount - Bid amount that was committed.
+ * @param {String} salt - Salt that was committed.
+ * @returns {Object} - Reveal acknowledgement or rejection reason.
+ */
+async function revealSealedBid(auctionId, bidderId, amount, salt) {
+    try {
+        const auction = await Auction.findById(auctionId);
+        if (!auction) {
+            throw new Error('Auction not found.');
+        }
+
+        if (auction.auctionType !== 'sealed_bid') {
+            return { success: false, message: 'Auction does not accept sealed bids.' };
+        }
+        if (auction.status !== AUCTION_STATES.LIVE) {
+            return { success: false, message: `Auction is ${auction.status}, not live.` };
+        }
+
+        const now = new Date();
+        if (now <= auction.sealedBid.commitDeadline) {
+            return { success: false, message: 'Reveal window has not opened yet.' };
+        }
+        if (now > auction.sealedBid.revealDeadline) {
+            return { success: false, message: 'Reveal window has closed.' };
+        }
+
+        const commitment = auction.commitments.find(c => c.user.toString() === bidderId.toString());
+        if (!commitment) {
+            return { success: false, message: 'No commitment found for this bidder.' };
+        }
+
+        if (hashSealedBid(auction._id, bidderId, amount, salt) !== commitment.commitment) {
+            return { success: false, message: 'Revealed bid does not match the commitment.' };
+        }
+
+        // The revealed amount is held against the campaign until settlement charges or releases it
+        const hold = await Campaign.holdBudget(commitment.campaign, auction._id, amount);
+        if (!hold.held) {
+            return { success: false, message: `Bid of ${amount} exceeds the ${hold.available} your campaign has available for this auction.` };
+        }
+
+        commitment.amount = amount;
+        commitment.salt = salt;
+        commitment.revealedAt = now;
+        commitment.status = 'revealed';
+        try {
+            await auction.save();
+        } catch (error) {
+            await Campaign.releaseHold(commitment.campaign, auction._id);
+            throw error;
+        }
+
+        logger.info(`Sealed bid revealed for auction ${auctionId} by ${bidderId}`);
+        return { success: true, revealedAt: now };
+    } catch (error) {
+        logger.error('Error revealing sealed bid:', error);
+        throw new Error('Failed to reveal sealed bid.');
+    }
+}
+
+/**
+ * Settle a sealed-bid auction once the reveal window has closed
+ * @param {String} auctionId - ID of the sealed-bid auction.
+ * @returns {Object} - Settled auction with winner and clearing price.
+ */
+async function settleSealedBidAuction(auctionId) {
+    try {
+        const auction = await Auction.findById(auctionId);
+        if (!auction) {
+            throw new Error('Auction not found.');
+        }
+
+        if (auction.auctionType !== 'sealed_bid') {
+            throw new Error('Auction is not a sealed-bid auction.');
+        }
+        if (new Date() <= auction.sealedBid.revealDeadline) {
+            throw new Error('Reveal window is still open.');
+        }
+
+        const result = await runSealedBidAuction({
+            adSlotId: auction._id.toString(),
+            reservePrice: auction.reservePrice,
+            commitments: auction.commitments.map(c => ({
+                bidderId: c.user.toString(),
+                commitment: c.commitment,
+                committedAt: c.committedAt,
+                amount: c.amount,
+                salt: c.salt,
+            })),
+        });
+
+        for (const { bidderId, reason } of result.disqualified) {
+            const commitment = auction.commitments.find(c => c.user.toString() === bidderId);
+            commitment.status = 'disqualified';
+            commitment.disqualificationReason = reason;
+        }
+
+        // Sealed bids reach the ledger at settlement, in commitment order so replays break ties the same way
+        const disqualified = new Set(result.disqualified.map(d => d.bidderId));
+        const ledgerEvents = [...auction.commitments]
+            .sort((a, b) => a.committedAt - b.committedAt)
+            .map(c => (disqualified.has(c.user.toString())
+                ? { type: 'bid_rejected', bidder: c.user, amount: c.amount, reason: c.disqualificationReason, occurredAt: c.revealedAt || c.committedAt }
+                : { type: 'bid_placed', bidder: c.user, campaign: c.campaign, amount: c.amount, occurredAt: c.revealedAt }));
+
+        // Saving the settlement charges the winner's campaign the clearing price and releases every other hold
+        if (result.winner) {
+            auction.highestBid = result.winningBid;
+            auction.highestBidder = result.winner;
+            auction.highestBidCampaign = auction.commitments.find(c => c.user.toString() === String(result.winner)).campaign;
+            auction.runnerUpBid = result.runnerUpBid;
+            auction.clearingPrice = auction.calculateClearingPrice();
+        }
+        // Throws unless the auction is still live, so a repeated settle stops here. The version
+        // bump makes a concurrent settle's save fail instead of closing the auction twice.
+        auction.closeAndSettle({ actor: 'system', reason: 'reveal_window_closed', endEarly: true });
+        auction.increment();
+        await auction.save();
+        // The ledger is append-only: write it once the settlement has actually been saved
+        await BidEvent.append(auction._id, ledgerEvents);
+
+        auctionEvents.emit('auctionClosed', auction);
+        logger.info(`Sealed-bid auction settled: ${auction._id}, Winner: ${result.winner}, Price: ${auction.clearingPrice}`);
+        return auction;
+    } catch (error) {
+        logger.error('Error settling sealed-bid auction:', error);
+        if (error instanceof AuctionTransitionError) {
+            throw error;
+        }
+        throw new Error('Failed to settle sealed-bid auction.');
+    }
+}
+
+/**
+ * Build the price clock parameters for a Dutch auction document
+ * @param {Object} auction - Dutch auction document.
+ * @returns {Object} - Clock parameters understood by the marketplace utilities.
+ */
+function getDutchClock(auction) {
+    return {
+        adSlotId: auction._id.toString(),
+        initialPrice: auction.startingBid,
+        floorPrice: auction.reservePrice,
+        decrement: auction.dutch.decrement,
+        timeInterval: auction.dutch.tickIntervalMs,
+        clockStartedAt: auction.dutch.clockStartedAt,
+        expiresAt: auction.expirationTime,
+    };
+}
+
+/**
+ * Start, or resume after a restart, the descending price clock of a Dutch auction. The clock
+ * only runs here if this process gets the auction's clock lease.
+ * @param {String} auctionId - ID of the Dutch auction.
+ * @returns {Object} - Clock start time, current price and whether this call started the clock.
+ */
+async function startDutchAuction(auctionId) {
+    try {
+        // Only the first start stamps the clock; later calls resume from the persisted time
+        await Auction.updateOne(
+            { _id: auctionId, auctionType: 'dutch', 'dutch.clockStartedAt': null },
+            { $set: { 'dutch.clockStartedAt': new Date() } }
+        );
+        const auction = await Auction.findById(auctionId);
+        if (!auction || auction.auctionType !== 'dutch') {
+            throw new Error('Dutch auction not found.');
+        }
+
+        const clock = getDutchClock(auction);
+        const clockId = auctionId.toString();
+        const leaseMs = Math.max(DUTCH_CLOCK_LEASE_MS, 3 * clock.timeInterval);
+        // Only the process holding the clock lease ticks the auction, so replicas never publish duplicate ticks
+        let started = false;
+        if (!dutchClocks.has(clockId)
+            && await Auction.acquireLease(auction._id, workerId, leaseMs, 'dutchClockLease')
+            && !dutchClocks.has(clockId)) {
+            let leaseLost = false;
+            const run = runDutchAuction({
+                ...clock,
+                onTick: async (price) => {
+                    const elapsed = Date.now() - new Date(clock.clockStartedAt).getTime();
+                    await redisClient.set(`dutch:${auction._id}:price`, price);
+                    publishToRoom(roomKey('auction', auction._id), {
+                        type: 'DUTCH_PRICE_TICK',
+                        auctionId: auction._id,
+                        price,
+                        nextTickAt: new Date(Date.now() + clock.timeInterval - (elapsed % clock.timeInterval)),
+                    });
+                },
+                isSold: async () => {
+                    // Renewed every tick; a clock whose lease another process has taken stops here
+                    if (!(await Auction.acquireLease(auction._id, workerId, leaseMs, 'dutchClockLease'))) {
+                        leaseLost = true;
+                        return true;
+                    }
+                    const current = await Auction.findById(auction._id).select('status highestBidder');
+                    return !current || current.status !== AUCTION_STATES.LIVE || Boolean(current.highestBidder);
+                },
+            });
+            dutchClocks.set(clockId, run);
+            run
+                .then(result => logger.info(`Dutch clock stopped for auction ${auction._id}: ${leaseLost ? 'clock lease taken over' : result.message}`))
+                .catch(error => logger.error(`Dutch clock failed for auction ${auction._id}:`, error))
+                .finally(() => {
+                    dutchClocks.delete(clockId);
+                    Auction.releaseLease(auction._id, workerId, 'dutchClockLease')
+                        .catch(error => logger.error(`Failed to release Dutch clock lease for auction ${auction._id}:`, error));
+                });
+            started = true;
+        }
+
+        return { clockStartedAt: clock.clockStartedAt, price: getDutchAuctionPrice(clock), started };
+    } catch (error) {
+        logger.error('Error starting Dutch auction:', error);
+        throw new Error('Failed to start Dutch auction.');
+    }
+}
+
+/**
+ * Resume the clocks of live Dutch auctions, e.g. after a restart or when the process running
+ * one has stopped renewing its lease. Clocks already ticking elsewhere are left alone.
+ * @returns {Number} - Number of clocks this process started.
+ */
+async function resumeDutchAuctions() {
+    try {
+        const auctions = await Auction.find({
+            auctionType: 'dutch',
+            status: AUCTION_STATES.LIVE,
+            'dutch.clockStartedAt': { $ne: null },
+            expirationTime: { $gt: new Date() },
+        }).select('_id');
+
+        const results = await Promise.all(auctions.map(auction => startDutchAuction(auction._id)));
+        const started = results.filter(result => result.started).length;
+        if (started) {
+            logger.info(`Resumed ${started} Dutch auction clocks`);
+        }
+        return started;
+    } catch (error) {
+        logger.error('Error resuming Dutch auctions:', error);
+        throw new Error('Failed to resume Dutch auctions.');
+    }
+}
+
+/**
+ * Accept a Dutch auction at its current clock price. The first accepted request wins;
+ * the sale is a single conditional update, so concurrent accepts cannot both succeed.
+ * @param {String} auctionId - ID of the Dutch auction.
+ * @param {String} bidderId - ID of the accepting advertiser.
+ * @param {String} campaignId - Accepting advertiser's active campaign, charged the price paid.
+ * @returns {Object} - Sale result with the price paid, or rejection reason.
+ */
+async function acceptDutchPrice(auctionId, bidderId, campaignId) {
+    try {
+        const auction = await Auction.findById(auctionId);
+        if (!auction) {
+            throw new Error('Auction not found.');
+        }
+
+        if (auction.auctionType !== 'dutch') {
+            return { success: false, message: 'Auction is not a Dutch auction.' };
+        }
+        if (!auction.dutch.clockStartedAt) {
+            return { success: false, message: 'Dutch auction has not started.' };
+        }
+        if (await BidderBan.isBanned(auction, bidderId)) {
+            return { success: false, message: 'You are banned from bidding on this auction.' };
+        }
+
+        if (!(await findBiddingCampaign(campaignId, bidderId))) {
+            return { success: false, message: 'Dutch auctions must be accepted with one of your active campaigns.' };
+        }
+
+        const now = new Date();
+        const price = getDutchAuctionPrice(getDutchClock(auction), now.getTime());
+        // The price is held before the sale, so a campaign cannot buy more than it can pay for
+        const hold = await Campaign.holdBudget(campaignId, auctionId, price);
+        if (!hold.held) {
+            return { success: false, message: `Price of ${price} exceeds the ${hold.available} your campaign has available for this auction.` };
+        }
+        // A sale moves live -> closing -> settled in one write; Dutch prices never go below the reserve
+        const closing = describeTransition({ status: AUCTION_STATES.LIVE }, AUCTION_STATES.CLOSING, { actor: bidderId.toString(), reason: 'dutch_accept', now });
+        const settled = describeTransition({ status: AUCTION_STATES.CLOSING }, AUCTION_STATES.SETTLED, { actor: 'system', reason: 'dutch_accept', now });
+        const sold = await Auction.findOneAndUpdate(
+            {
+                _id: auctionId,
+                status: AUCTION_STATES.LIVE,
+                highestBidder: null,
+                expirationTime: { $gt: now },
+            },
+            {
+                $set: {
+                    highestBid: price,
+                    highestBidder: bidderId,
+                    highestBidCampaign: campaignId,
+                    clearingPrice: price,
+                    status: AUCTION_STATES.SETTLED,
+                    [closing.timestampField]: now,
+                    [settled.timestampField]: now,
+                    updatedAt: now,
+                },
+                $push: {
+                    bidHistory: { user: bidderId, campaign: campaignId, amount: price, timestamp: now },
+                    transitionLog: { $each: [closing.entry, settled.entry] },
+                },
+                // Reserves the sequences of the bid and settlement ledger events below
+                $inc: { ledgerSequence: 2 },
+            },
+            { new: true }
+        );
+
+        if (!sold) {
+            await Campaign.releaseHold(campaignId, auctionId);
+            return { success: false, message: 'Auction is already sold or has expired.' };
+        }
+        await Campaign.commitHold(campaignId, auctionId, price);
+        await BidEvent.insertSequenced(sold._id, sold.ledgerSequence - 1, [
+            { type: 'bid_placed', bidder: bidderId, campaign: campaignId, amount: price, occurredAt: now },
+            Auction.settlementEvent(sold, now),
+        ]);
+
+        auctionEvents.emit('auctionClosed', sold);
+        logger.info(`Dutch auction ${auctionId} accepted by ${bidderId} at ${price}`);
+        return { success: true, price, auction: sold };
+    } catch (error) {
+        logger.error('Error accepting Dutch auction price:', error);
+        throw new Error('Failed to accept Dutch auction price.');
+    }
+}
+
+/**
+ * Ban a bidder from one of a streamer's auctions, or from all of them. The bidder's proxy
+ * ceilings stop and their standing bids on the affected live auctions are retracted.
+ * @param {Object} auction - Auction the ban was issued from; its streamer owns the ban.
+ * @param {Object} ban - { bidderId, scope ('auction' or 'streamer'), reason, expiresAt, actor }.
+ * @returns {Object} - The ban and the auctions whose bids were retracted.
+ */
+async function banBidder(auction, { bidderId, scope = 'auction', reason, expiresAt, actor }) {
+    try {
+        if (scope === 'streamer' && !auction.streamer) {
+            throw new Error('Auction has no streamer to hold a streamer-wide ban.');
+        }
+
+        const ban = await BidderBan.findOneAndUpdate(
+            { streamer: auction.streamer, bidder: String(bidderId), auction: scope === 'auction' ? auction._id : null },
+            { $set: { reason, bannedBy: actor, expiresAt, createdAt: new Date() } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        const affected = scope === 'auction'
+            ? [auction].filter(a => a.status === AUCTION_STATES.LIVE)
+            : await Auction.find({ streamer: auction.streamer, status: AUCTION_STATES.LIVE }).select('_id');
+
+        const retracted = [];
+        for (const { _id } of affected) {
+            await Auction.updateOne(
+                { _id, 'proxyBids.user': bidderId },
+                { $set: { 'proxyBids.$.active': false } }
+            );
+            const { bids } = reduceBidEvents(await BidEvent.forAuction(_id));
+            const standing = bids.filter(bid => String(bid.bidder) === String(bidderId));
+            if (standing.length) {
+                const updated = await retractBids(_id, standing, { actor, reason: 'bidder_banned' });
+                publishToRoom(roomKey('auction', _id), {
+                    type: 'BID_RETRACTED',
+                    auctionId: _id,
+                    retracted: standing.map(bid => ({ sequence: bid.sequence, amount: bid.amount })),
+                    currentBid: updated.currentBid,
+                    highestBid: updated.highestBid,
+                });
+                retracted.push(_id);
+            }
+        }
+
+        logger.info(`Bidder ${bidderId} banned (${scope}) by ${actor} from auction ${auction._id}`);
+        return { ban, retractedFrom: retracted };
+    } catch (error) {
+        logger.error('Error banning bidder:', error);
+        throw new Error('Failed to ban bidder.');
+    }
+}
+
+/**
+ * Lift a bidder ban. Retracted bids stay retracted.
+ * @param {Object} auction - Auction the ban was issued from.
+ * @param {String} bidderId - ID of the banned bidder.
+ * @param {String} scope - 'auction' or 'streamer'.
+ * @returns {Boolean} - Whether a ban was removed.
+ */
+async function unbanBidder(auction, bidderId, scope = 'auction') {
+    try {
+        const { deletedCount } = await BidderBan.deleteOne({
+            streamer: auction.streamer,
+            bidder: String(bidderId),
+            auction: scope === 'auction' ? auction._id : null,
+        });
+        logger.info(`Bidder ${bidderId} unbanned (${scope}) from auction ${auction._id}`);
+        return deletedCount > 0;
+    } catch (error) {
+        logger.error('Error unbanning bidder:', error);
+        throw new Error('Failed to unban bidder.');
+    }
+}
+
 module.exports = {
+    auctionEvents,
     createAuction,
-    placeBid,
     closeAuction,
     getAuctionUpdates,
     localizeAuction,
@@ -382,4 +764,12 @@ module.exports = {
     getSustainabilityMetrics,
     enableARVRParticipation,
     predictEndOfAuctionMetrics,
-};
\ No newline at end of file
+    commitSealedBid,
+    revealSealedBid,
+    settleSealedBidAuction,
+    startDutchAuction,
+    resumeDutchAuctions,
+    acceptDutchPrice,
+    banBidder,
+    unbanBidder,
+};
@@ -0,0 +1,179 @@
+const Auction = require('../models/auction');
+const AuctionTemplate = require('../models/auctionTemplate');
+const logger = require('../utils/logger');
+const { AUCTION_STATES } = require('../utils/auctionStateMachine');
+
+// Template fields a streamer may change after creating it
+const EDITABLE_FIELDS = ['name', 'auction', 'durationMinutes', 'recurrence', 'createAheadHours'];
+
+/**
+ * Create a recurring auction template for a streamer
+ * @param {String} streamerId - Streamer the template belongs to.
+ * @param {Object} data - Template fields (name, auction settings, durationMinutes, recurrence, createAheadHours).
+ * @returns {Object} - Created template.
+ */
+async function createTemplate(streamerId, data) {
+    try {
+        const template = await AuctionTemplate.create({ ...data, streamer: streamerId, status: 'active' });
+        logger.info(`Auction template ${template._id} created for streamer ${streamerId}`);
+        return template;
+    } catch (error) {
+        logger.error('Error creating auction template:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to create auction template.');
+    }
+}
+
+// Cancel an occurrence's auction if it has not opened yet
+async function cancelScheduled(auction, actor, reason) {
+    if (auction.status !== AUCTION_STATES.SCHEDULED) return false;
+    await Auction.transitionById(auction._id, AUCTION_STATES.CANCELED, { actor, reason });
+    return true;
+}
+
+/**
+ * Edit a template. Auctions it already created that have not opened yet follow the edit:
+ * they take the new settings, or are canceled if the new rule no longer produces their occurrence.
+ * @param {Object} template - Template document.
+ * @param {Object} changes - New values for editable fields.
+ * @param {String} actor - User making the edit.
+ * @returns {Object} - { template, updated, canceled } with the counts of affected auctions.
+ */
+async function updateTemplate(template, changes, actor) {
+    try {
+        const current = template.toObject();
+        for (const field of EDITABLE_FIELDS) {
+            if (changes[field] === undefined) continue;
+            // Nested settings are merged, so an edit only needs the values that change
+            const merge = typeof changes[field] === 'object' && !(changes[field] instanceof Date);
+            template.set(field, merge ? { ...current[field], ...changes[field] } : changes[field]);
+        }
+        await template.save();
+
+        let updated = 0;
+        let canceled = 0;
+        const scheduled = await Auction.find({ template: template._id, status: AUCTION_STATES.SCHEDULED });
+        for (const auction of scheduled) {
+            if (!template.hasOccurrence(auction.occurrence) || template.isSkipped(auction.occurrence)) {
+                if (await cancelScheduled(auction, actor, 'template_edited')) canceled++;
+                continue;
+            }
+            auction.set(template.auctionFor(auction.occurrence));
+            await auction.save();
+            updated++;
+        }
+
+        logger.info(`Auction template ${template._id} edited by ${actor}: ${updated} auctions updated, ${canceled} canceled`);
+        return { template, updated, canceled };
+    } catch (error) {
+        logger.error('Error updating auction template:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to update auction template.');
+    }
+}
+
+/**
+ * Pause or resume a template. A paused template creates no new auctions; auctions it already
+ * created still run unless their occurrences are skipped.
+ * @param {Object} template - Template document.
+ * @param {String} status - 'active' or 'paused'.
+ * @returns {Object} - Updated template.
+ */
+async function setTemplateStatus(template, status) {
+    try {
+        template.status = status;
+        await template.save();
+        logger.info(`Auction template ${template._id} is now ${status}`);
+        return template;
+    } catch (error) {
+        logger.error('Error changing auction template status:', error);
+        throw new Error('Failed to change auction template status.');
+    }
+}
+
+/**
+ * Skip one occurrence of a template. Its auction is canceled if it was already created and
+ * has not opened; a live auction keeps running.
+ * @param {Object} template - Template document.
+ * @param {Date} occurrence - Occurrence to skip; must be one the rule produces.
+ * @param {String} actor - User skipping it.
+ * @returns {Object} - { template, canceledAuction } with the ID of the canceled auction, if any.
+ */
+async function skipOccurrence(template, occurrence, actor) {
+    try {
+        const updatedTemplate = await AuctionTemplate.findByIdAndUpdate(
+            template._id,
+            { $addToSet: { skippedOccurrences: occurrence }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+
+        const auction = await Auction.findOne({ template: template._id, occurrence });
+        const canceled = auction && await cancelScheduled(auction, actor, 'occurrence_skipped');
+
+        logger.info(`Occurrence ${occurrence.toISOString()} of auction template ${template._id} skipped by ${actor}`);
+        return { template: updatedTemplate, canceledAuction: canceled ? auction._id : null };
+    } catch (error) {
+        logger.error('Error skipping template occurrence:', error);
+        throw new Error('Failed to skip template occurrence.');
+    }
+}
+
+// Create the auctions for a template's occurrences within its create-ahead window
+async function generateOccurrences(template, now) {
+    const horizon = new Date(now.getTime() + template.createAheadHours * 60 * 60 * 1000);
+    const occurrences = template.occurrencesBetween(now, horizon);
+    if (!occurrences.length) return [];
+
+    const existing = new Set((await Auction.find({ template: template._id, occurrence: { $in: occurrences } }).distinct('occurrence'))
+        .map(date => date.getTime()));
+    const created = [];
+    for (const occurrence of occurrences.filter(date => !existing.has(date.getTime()))) {
+        const auction = new Auction(template.auctionFor(occurrence));
+        auction.transitionTo(AUCTION_STATES.SCHEDULED, { actor: 'scheduler', reason: 'template_occurrence' });
+        try {
+            await auction.save();
+            created.push(auction);
+        } catch (error) {
+            // Another replica created this occurrence first
+            if (error.code !== 11000) throw error;
+        }
+    }
+    return created;
+}
+
+/**
+ * Create the auctions for every active template's occurrences within its create-ahead window.
+ * Safe to run on every replica: the unique template/occurrence index lets only one create each.
+ * @param {Date} now - Reference time.
+ * @returns {Array} - Auctions created by this call.
+ */
+async function generateTemplateAuctions(now = new Date()) {
+    try {
+        const created = [];
+        const templates = await AuctionTemplate.find({ status: 'active' });
+        for (const template of templates) {
+            try {
+                created.push(...await generateOccurrences(template, now));
+            } catch (error) {
+                // One broken template must not hold up everyone else's auctions
+                logger.error(`Error generating auctions for template ${template._id}:`, error);
+            }
+        }
+
+        if (created.length) {
+            logger.info(`Created ${created.length} auctions from recurring templates`);
+        }
+        return created;
+    } catch (error) {
+        logger.error('Error generating template auctions:', error);
+        throw new Error('Failed to generate template auctions.');
+    }
+}
+
+module.exports = {
+    createTemplate,
+    updateTemplate,
+    setTemplateStatus,
+    skipOccurrence,
+    generateTemplateAuctions,
+};
@@ -573,79 +573,25 @@ async function updateBidPriorityWithTwitchMetrics(bid) {
     }
 }
 
-twitchClient.on('message', async (channel, tags, message, self) => {
-    if (self) return;
-
-    const [command, ...args] = message.split(' ');
-
-    if (command === '!bid') {
-        const [auctionId, amount] = args;
-        const bid = {
-            auctionId,
-            amount: parseFloat(amount),
-            bidderId: tags['user-id'],
-            currency: 'USD',
-            region: 'NA',
-            timestamp: new Date().toISOString()
-        };
-
-        try {
-            await updateBidPriorityWithTwitchMetrics(bid);
-            await biddingEngine.evaluateBid(bid);
-            twitchClient.say(channel, `@${tags.username}, your bid of $${amount} has been placed successfully!`);
-        } catch (error) {
-            twitchClient.say(channel, `@${tags.username}, there was an error placing your bid: ${error.message}`);
-        }
-    }
-});
-// Twitch chat client configuration
-const twitchClient = new tmi.Client({
-    options: { debug: true },
-    connection: {
-        reconnect: true,
-        secure: true
-    },
-    identity: {
-        username: 'YOUR_TWITCH_BOT_USERNAME',
-        password: 'YOUR_TWITCH_OAUTH_TOKEN'
-    },
-    channels: ['YOUR_TWITCH_CHANNEL']
-});
-
-twitchClient.connect().catch(console.error);
-
-twitchClient.on('message', async (channel, tags, message, self) => {
-    if (self) return;
-
-    const [command, ...args] = message.split(' ');
-
-    if (command === '!bid') {
-        const [auctionId, amount] = args;
-        const bid = {
-            auctionId,
-            amount: parseFloat(amount),
-            bidderId: tags['user-id'],
-            currency: 'USD', // Assuming USD for simplicity
-            region: 'NA', // Assuming North America for simplicity
-            timestamp: new Date().toISOString()
-        };
-
-        try {
-            await biddingEngine.evaluateBid(bid);
-            twitchClient.say(channel, `@${tags.username}, your bid of $${amount} has been placed successfully!`);
-        } catch (error) {
-            twitchClient.say(channel, `@${tags.username}, there was an error placing your bid: ${error.message}`);
-        }
-    }
-});
 const { Auction, Bid } = require('./models');
+const BidEvent = require('../models/bidEvent');
+const BidderBan = require('../models/bidderBan');
+const Campaign = require('../models/campaign');
 const aiMiddleware = require('./aiMiddleware');
 const blockchainMiddleware = require('./blockchainMiddleware');
 const localizationMiddleware = require('./localizationMiddleware');
-const exchangeRateService = require('./exchangeRateService');
+const rateSnapshotService = require('./rateSnapshotService');
+const auctionAlerts = require('./auctionAlerts');
+const campaignScheduleService = require('./campaignScheduleService');
 const carbonFootprintService = require('./carbonFootprintService');
 const sustainabilityMiddleware = require('./sustainabilityMiddleware');
 const logger = require('./logger');
+const { explainPriorityScore } = require('./priorityEngine');
+const bidRules = require('../utils/bidRules');
+const { reduceBidEvents, retractBids } = require('../utils/bidLedger');
+const { RoomHub, roomKey, publishToRoom } = require('../utils/wsRooms');
+const authMiddleware = require('./authMiddleware');
+const { AUCTION_STATES } = require('../utils/auctionStateMachine');
 const EventEmitter = require('events');
 const PriorityQueue = require('priorityqueuejs');
 const redis = require('redis');
@@ -653,7 +599,6 @@ const { Counter, Histogram, register } = require('prom-client');
 const express = require('express');
 const { ethers } = require('ethers');
 const auctionContractABI = require('./auctionContractABI.json');
-const tmi = require('tmi.js');
 const axios = require('axios');
 const k8s = require('@kubernetes/client-node');
 const { promisify } = require('util');
@@ -666,6 +611,14 @@ const { Kafka } = require('kafkajs');
 
 const redisClient = redis.createClient();
 
+// Conditional bid commits retried from a fresh copy before the bidder is told they were outbid
+const MAX_BID_ATTEMPTS = 3;
+// How long an Idempotency-Key keeps returning the original result
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+// Retractions a bidder may make per window, across all auctions
+const RETRACTION_LIMIT = parseInt(process.env.BID_RETRACTION_LIMIT, 10) || 3;
+const RETRACTION_LIMIT_WINDOW_SECONDS = parseInt(process.env.BID_RETRACTION_LIMIT_WINDOW_SECONDS, 10) || 24 * 60 * 60;
+
 const app = express();
 const wsConnections = new Counter({ name: 'ws_connections_total', help: 'Total WebSocket connections' });
 const wsMessages = new Counter({ name: 'ws_messages_total', help: 'Total WebSocket messages received' });
@@ -686,6 +639,8 @@ class BiddingEngine {
         this.bids = [];
         this.auctionEvents = new EventEmitter();
         this.wsServer = new WebSocket.Server({ port: 8080 });
+        // Clients only receive updates for the auctions, streams and advertisers they subscribe to
+        this.rooms = new RoomHub().attach(this.wsServer);
 
         this.wsServer.on('connection', this.handleConnection.bind(this));
         logger.info('BiddingEngine WebSocket server initialized on port 8080');
@@ -695,13 +650,15 @@ class BiddingEngine {
     }
 
     // Handle WebSocket client connections
-    handleConnection(ws) {
+    handleConnection(ws, req) {
         wsConnections.inc();
+        // Anonymous viewers may still join public auction and stream rooms
+        ws.user = authMiddleware.authenticate(req);
         ws.on('message', async (message) => {
             const end = wsLatency.startTimer();
             try {
                 wsMessages.inc();
-                await this.handleMessage(message);
+                await this.handleMessage(message, ws);
             } catch (error) {
                 logger.error('Error handling WebSocket message:', error);
             } finally {
@@ -711,31 +668,315 @@ class BiddingEngine {
         logger.info('New WebSocket client connected');
     }
 
-    // Process incoming bid messages
-    async handleMessage(message) {
+    // Process incoming room subscriptions and bid messages
+    async handleMessage(message, ws) {
         try {
-            const bid = JSON.parse(message);
+            const parsed = JSON.parse(message);
+            if (ws && this.rooms.handleMessage(ws, parsed)) return;
+
+            // Socket bids are placed as the connection's authenticated user, never as a bidderId
+            // the client sends, so nobody can bid with (and hold) another advertiser's budget.
+            // Only the fields a bidder chooses are taken from the message; scores and the like are the server's.
+            // The bid is timed when the server receives it, like HTTP and chat bids, so a client
+            // cannot backdate or postdate it into (or out of) the soft-close window.
+            const { auctionId, amount, currency, campaignId, idempotencyKey } = parsed;
+            const bid = {
+                auctionId,
+                amount,
+                currency,
+                campaignId,
+                idempotencyKey,
+                bidderId: ws && ws.user ? ws.user.id : undefined,
+                timestamp: new Date().toISOString(),
+            };
             logger.info('Received bid:', bid);
-            await this.evaluateBid(bid);
+            const result = bid.bidderId
+                ? await this.evaluateBid(bid)
+                : { success: false, code: 'AUTHENTICATION_REQUIRED', message: 'Sign in to place bids.' };
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'BID_RESULT', idempotencyKey: bid.idempotencyKey, ...result }));
+            }
         } catch (error) {
             logger.error('Error processing bid message:', error);
         }
     }
 
-    // Evaluate a bid and update auction state
+    // Evaluate a bid and update auction state. Bids carrying an idempotencyKey are placed
+    // at most once; resubmitting the same key returns the original result.
     async evaluateBid(bid) {
+        if (!bid.idempotencyKey) {
+            return this.placeBid(bid);
+        }
+
+        const key = `bid:idempotency:${bid.bidderId}:${bid.idempotencyKey}`;
+        const fingerprint = `${bid.auctionId}:${bid.amount}`;
+        const claimed = await redisClient.set(key, JSON.stringify({ fingerprint, pending: true }), 'EX', IDEMPOTENCY_TTL_SECONDS, 'NX');
+        if (!claimed) {
+            const stored = JSON.parse(await redisClient.get(key));
+            if (stored.fingerprint !== fingerprint) {
+                return { success: false, code: 'IDEMPOTENCY_KEY_REUSED', message: 'Idempotency key was already used for a different bid.' };
+            }
+            if (stored.pending) {
+                return { success: false, code: 'REQUEST_IN_PROGRESS', message: 'A bid with this idempotency key is still being processed.' };
+            }
+            return { ...stored.result, replayed: true };
+        }
+
+        try {
+            const result = await this.placeBid(bid);
+            await redisClient.set(key, JSON.stringify({ fingerprint, result }), 'EX', IDEMPOTENCY_TTL_SECONDS);
+            return result;
+        } catch (error) {
+            // Nothing was committed, so the client may retry with the same key
+            await redisClient.del(key);
+            throw error;
+        }
+    }
+
+    // Validate and commit a bid. The commit is conditional on the auction not having changed
+    // since it was read; a bid that no longer beats the leader after a lost race is rejected.
+    async placeBid(bid) {
         const auction = await this.getAuctionDetails(bid.auctionId);
-        if (!auction || !(await this.isBidValid(bid, auction))) return;
+        if (await BidderBan.isBanned(auction, bid.bidderId)) {
+            return this.rejectBid(bid, { success: false, code: 'BIDDER_BANNED', message: 'You are banned from bidding on this auction.' });
+        }
+        const conversion = await this.normalizeCurrency(bid, auction);
+        if (conversion.rejected) {
+            return this.rejectBid(bid, conversion.rejected);
+        }
+        if (!(await this.isBidValid(bid, auction))) {
+            return this.rejectBid(bid, { success: false, code: 'BID_REJECTED', message: 'Bid was rejected.' });
+        }
+
+        // Every bid is backed by one of the bidder's active campaigns and must fit its unheld budget
+        const campaign = bid.campaignId && await Campaign.findOne({ _id: bid.campaignId, advertiser: bid.bidderId, status: 'active' });
+        if (!campaign) {
+            return this.rejectBid(bid, { success: false, code: 'CAMPAIGN_REQUIRED', message: 'Bids must reference one of your active campaigns.' });
+        }
+        const available = campaign.availableBudget(bid.auctionId);
+        if (bid.amount > available) {
+            return this.rejectBid(bid, this.budgetExceeded(bid.amount, available));
+        }
+        const paced = campaign.pacedBudget(bid.auctionId);
+        if (bid.amount > paced) {
+            return this.rejectBid(bid, this.pacingLimited(bid.amount, paced));
+        }
+
+        const outcome = await this.commitWithRetry(bid.auctionId, async (current, attempt) => {
+            const minimum = current.minimumNextBid(bid.bidderId);
+            if (bid.amount < minimum) {
+                return attempt === 0
+                    ? { rejected: { success: false, code: 'BID_TOO_LOW', message: `Bid must be at least ${minimum}.`, highestBid: current.highestBid } }
+                    : { rejected: this.outbidWhileSubmitting(current) };
+            }
+            this.recordBid(bid, current);
+            this.updateHighestBid(bid, current);
+            return { placed: [bid, ...(await this.applyProxyBids(current))] };
+        });
+
+        if (outcome.rejected) return this.rejectBid(bid, outcome.rejected);
+        if (!outcome.auction) return this.rejectBid(bid, this.outbidWhileSubmitting(await this.getAuctionDetails(bid.auctionId)));
 
-        await this.recordBid(bid, auction);
-        this.updateHighestBid(bid, auction);
-        this.rankBids();
-        this.broadcastRankings();
         this.auctionEvents.emit('bidPlaced', bid);
+        return {
+            success: true,
+            auctionId: outcome.auction._id,
+            amount: bid.amount,
+            highestBid: outcome.auction.highestBid,
+            leading: String(outcome.auction.highestBidder) === String(bid.bidderId),
+        };
+    }
+
+    // Convert the bid into the auction's currency at the rates frozen when it went live, so
+    // replaying the ledger always gives the same amounts; the original amount is kept with it
+    async normalizeCurrency(bid, auction) {
+        // Rates are frozen by the first bid at the latest, which must not happen before the auction opens
+        if (auction.status !== AUCTION_STATES.LIVE) {
+            return { rejected: this.outbidWhileSubmitting(auction) };
+        }
+        const snapshot = await rateSnapshotService.freezeRates(auction);
+        const conversion = rateSnapshotService.convertAmount(bid.amount, bid.currency, auction, snapshot);
+        if (!conversion.rejected) {
+            Object.assign(bid, conversion);
+        }
+        return conversion;
+    }
+
+    // Record a rejected bid on the auction's ledger and pass the rejection through
+    async rejectBid(bid, result) {
+        await BidEvent.append(bid.auctionId, {
+            type: 'bid_rejected',
+            bidder: bid.bidderId,
+            amount: bid.amount,
+            originalAmount: bid.originalAmount,
+            originalCurrency: bid.originalCurrency || bid.currency,
+            exchangeRate: bid.exchangeRate,
+            isProxy: Boolean(bid.isProxy),
+            reason: result.code,
+            occurredAt: new Date(),
+        });
+        return result;
+    }
+
+    budgetExceeded(amount, available) {
+        return {
+            success: false,
+            code: 'BUDGET_EXCEEDED',
+            message: `Bid of ${amount} exceeds the ${available} your campaign has available for this auction.`,
+            available,
+        };
+    }
+
+    // A paced campaign that has spent what its curve allows so far bids again as time catches up
+    pacingLimited(amount, available) {
+        return {
+            success: false,
+            code: 'PACING_LIMITED',
+            message: `Bid of ${amount} would put your campaign ahead of its budget pacing; ${available} can be committed now.`,
+            available,
+        };
+    }
+
+    // Rejection for a hold Campaign.holdBudget refused
+    holdRefused(amount, hold) {
+        return hold.paced ? this.pacingLimited(amount, hold.available) : this.budgetExceeded(amount, hold.available);
+    }
+
+    outbidWhileSubmitting(auction) {
+        if (auction.status !== AUCTION_STATES.LIVE) {
+            return { success: false, code: 'AUCTION_NOT_LIVE', message: `Auction is not accepting bids (status: ${auction.status}).` };
+        }
+        return {
+            success: false,
+            code: 'OUTBID_WHILE_SUBMITTING',
+            message: 'You were outbid while your bid was being submitted.',
+            highestBid: auction.highestBid,
+        };
+    }
+
+    // Read the auction, apply `mutate` and commit conditionally, re-reading and re-applying
+    // when another write got in first. `mutate` returns { rejected } to stop, or { placed: bids }.
+    async commitWithRetry(auctionId, mutate) {
+        // Bidders' scoring signals are fetched once per commit, not once per attempt
+        const signalCache = new Map();
+        for (let attempt = 0; attempt < MAX_BID_ATTEMPTS; attempt++) {
+            const auction = await this.getAuctionDetails(auctionId);
+            if (auction.status !== AUCTION_STATES.LIVE) {
+                return { rejected: this.outbidWhileSubmitting(auction) };
+            }
+
+            const leaderBefore = { campaign: auction.highestBidCampaign, amount: auction.highestBid };
+            const winningBefore = auction.winningBidders();
+            const snapshot = auction.snapshotBidState();
+            const result = await mutate(auction, attempt);
+            if (result.rejected) return result;
+            await this.scorePlacedBids(auction, snapshot.historyLength, result.placed, signalCache);
+
+            const hold = auction.auctionType === 'multi_slot'
+                ? await this.holdStandingBudget(auction, result.placed)
+                : await this.holdLeaderBudget(auction, leaderBefore, result.placed);
+            if (hold.rejected) return hold;
+            if (hold.retry) continue;
+
+            const committed = await auction.commitBid(snapshot);
+            if (committed) {
+                // The outbid campaign's money is free again
+                const leaderChanged = leaderBefore.campaign && String(leaderBefore.campaign) !== String(committed.highestBidCampaign);
+                if (leaderChanged && committed.auctionType !== 'multi_slot') {
+                    await Campaign.releaseHold(leaderBefore.campaign, auctionId);
+                }
+                await this.publishCommittedBids(result.placed);
+                committed.notifyBidUpdate();
+                this.alertOutbid(committed, winningBefore, result.placed);
+                if (committed.extensionCount > snapshot.extensionCount) {
+                    this.broadcastExtension(committed);
+                }
+                await this.rankBids(auctionId);
+                this.broadcastRankings(auctionId);
+                return { auction: committed };
+            }
+            await hold.undo();
+            logger.info(`Bid commit on auction ${auctionId} lost a race (attempt ${attempt + 1})`);
+        }
+        return {};
+    }
+
+    // Everyone who was winning, or bid in this commit, and is not winning after it has been
+    // outbid. Alerts are queued (and collapsed) by services/auctionAlerts.js.
+    alertOutbid(committed, winningBefore, placed) {
+        const winningAfter = new Set(committed.winningBidders());
+        const outbid = [...new Set([...winningBefore, ...placed.map(bid => String(bid.bidderId))])]
+            .filter(userId => !winningAfter.has(userId));
+        // Connected bidders hear at once through their advertiser room; the queued alerts reach the rest
+        for (const userId of outbid) {
+            publishToRoom(roomKey('advertiser', userId), { type: 'OUTBID', auctionId: committed._id, highestBid: committed.highestBid });
+        }
+        if (outbid.length) {
+            auctionAlerts.queueOutbidAlerts(committed, outbid).catch(error => logger.error('Error queuing outbid alerts:', error));
+        }
+    }
+
+    // Score every bid about to be committed, manual or proxy, and keep the breakdown with it.
+    // Bids use the weights of the auction's region. Multi-slot breaks allocate slots by this
+    // score when they close.
+    async scorePlacedBids(auction, historyLength, placed, signalCache) {
+        const entries = auction.bidHistory.slice(historyLength);
+        for (const [index, bid] of placed.entries()) {
+            // Always scored here, whatever score a bid arrived with
+            bid.region = auction.region;
+            bid.scoreBreakdown = await explainPriorityScore(bid, signalCache);
+            bid.priorityScore = bid.scoreBreakdown.score;
+            entries[index].priorityScore = bid.priorityScore;
+            entries[index].scoreBreakdown = bid.scoreBreakdown;
+        }
+    }
+
+    // Reserve the new leading amount against the leader's campaign before the commit makes it
+    // the leader; undo() puts the hold back if the commit loses its race. A proxy ceiling whose
+    // campaign can no longer cover its bid is switched off and the bids are worked out again.
+    async holdLeaderBudget(auction, leaderBefore, placed) {
+        const campaignId = auction.highestBidCampaign;
+        const unchanged = String(campaignId) === String(leaderBefore.campaign) && auction.highestBid === leaderBefore.amount;
+        if (!campaignId || unchanged) {
+            return { undo: async () => {} };
+        }
+
+        const hold = await Campaign.holdBudget(campaignId, auction._id, auction.highestBid);
+        if (hold.held) {
+            return { undo: () => this.restoreHold(campaignId, auction._id, hold.previousAmount) };
+        }
+
+        const leadingBid = [...placed].reverse().find(bid => String(bid.bidderId) === String(auction.highestBidder));
+        if (leadingBid && leadingBid.isProxy) {
+            await Auction.updateOne(
+                { _id: auction._id, 'proxyBids.user': auction.highestBidder },
+                { $set: { 'proxyBids.$.active': false } }
+            );
+            logger.warn(`Proxy bid for ${auction.highestBidder} on auction ${auction._id} disabled: `
+                + (hold.paced ? 'campaign is ahead of its budget pacing' : 'campaign budget exhausted'));
+            return { retry: true };
+        }
+        return { rejected: this.holdRefused(auction.highestBid, hold) };
+    }
+
+    // In multi-slot auctions every standing bid can win a slot, so each one holds its own amount
+    async holdStandingBudget(auction, placed) {
+        const [bid] = placed;
+        const hold = await Campaign.holdBudget(bid.campaignId, auction._id, bid.amount);
+        if (!hold.held) {
+            return { rejected: this.holdRefused(bid.amount, hold) };
+        }
+        return { undo: () => this.restoreHold(bid.campaignId, auction._id, hold.previousAmount) };
+    }
+
+    restoreHold(campaignId, auctionId, previousAmount) {
+        return previousAmount
+            ? Campaign.holdBudget(campaignId, auctionId, previousAmount)
+            : Campaign.releaseHold(campaignId, auctionId);
     }
 
     async getAuctionDetails(auctionId) {
-        const auction = await Auction.findById(auctionId);
+        const auction = await Auction.findById(auctionId).select('+proxyBids');
         if (!auction) {
             throw new Error(`Auction not found for bid: ${auctionId}`);
         }
@@ -743,30 +984,194 @@ class BiddingEngine {
     }
 
     async isBidValid(bid, auction) {
+        // Sealed-bid and Dutch auctions are driven by auctionService, never by open bids
+        if (['sealed_bid', 'dutch'].includes(auction.auctionType)) return false;
+        if (auction.status !== AUCTION_STATES.LIVE) return false;
         if (await this.detectBidVelocity(bid)) return false;
         const fraudRisk = await aiMiddleware.detectFraud(bid);
         if (fraudRisk > 0.8) {
             throw new Error('Suspicious bid detected');
         }
-        bid.amount = await this.retryWithBackoff(() => exchangeRateService.convert(bid.amount, bid.currency, auction.currency));
         return await blockchainMiddleware.validateBid(bid);
     }
 
-    async recordBid(bid, auction) {
-        const transactionId = await this.retryWithBackoff(() => blockchainMiddleware.recordBid(bid));
-        this.bids.push({ ...bid, transactionId });
-        logger.info(`Bid recorded with transaction ID: ${transactionId}`);
+    recordBid(bid, auction) {
+        bidRules.recordBid(bid, auction);
+    }
+
+    // Bids only reach the chain once their commit (and ledger entry) has succeeded
+    async publishCommittedBids(bids) {
+        for (const bid of bids) {
+            const transactionId = await this.retryWithBackoff(() => blockchainMiddleware.recordBid(bid));
+            logger.info(`Bid recorded with transaction ID: ${transactionId}`);
+        }
+    }
+
+    // Register or raise an advertiser's maximum bid. The engine then bids on their
+    // behalf, one increment at a time, up to that ceiling.
+    async registerProxyBid(auctionId, bidderId, maxAmount, campaignId) {
+        const auction = await this.getAuctionDetails(auctionId);
+        // Proxies place open, increment-by-increment bids, which only English auctions take
+        if (auction.auctionType !== 'english') {
+            throw new Error('Proxy bidding is only available for English auctions.');
+        }
+        if (await BidderBan.isBanned(auction, bidderId)) {
+            throw new Error('You are banned from bidding on this auction.');
+        }
+        // The ceiling goes through the same fraud, velocity and chain checks as a manual bid
+        if (!(await this.isBidValid({ auctionId, bidderId, amount: maxAmount, campaignId }, auction))) {
+            throw new Error('Proxy bid was rejected.');
+        }
+        // The ceiling is checked against the budget now; each automatic bid is held as it takes the lead
+        const campaign = await Campaign.findOne({ _id: campaignId, advertiser: bidderId, status: 'active' });
+        if (!campaign) {
+            throw new Error('Proxy bids must reference one of your active campaigns.');
+        }
+        if (maxAmount > campaign.availableBudget(auctionId)) {
+            throw new Error(this.budgetExceeded(maxAmount, campaign.availableBudget(auctionId)).message);
+        }
+        if (!campaign.isScheduledAt(auction.slotStartsAt())) {
+            throw new Error('This auction\'s ad slot is outside your campaign\'s delivery schedule.');
+        }
+
+        const outcome = await this.commitWithRetry(auctionId, async (auction) => {
+            const isLeader = String(auction.highestBidder) === String(bidderId);
+            const minimum = isLeader ? auction.highestBid : auction.minimumNextBid();
+            if (maxAmount < minimum) {
+                throw new Error(`Maximum bid must be at least ${minimum}`);
+            }
+
+            // Changing a ceiling re-registers it, so it loses any earlier tie-break priority
+            const existing = auction.proxyBids.find(p => String(p.user) === String(bidderId));
+            if (existing) {
+                existing.maxAmount = maxAmount;
+                existing.campaign = campaignId;
+                existing.registeredAt = new Date();
+                existing.active = true;
+            } else {
+                auction.proxyBids.push({ user: bidderId, campaign: campaignId, maxAmount });
+            }
+            return { placed: await this.applyProxyBids(auction) };
+        });
+
+        if (outcome.rejected) {
+            throw new Error(outcome.rejected.message);
+        }
+        if (!outcome.auction) {
+            throw new Error('Auction changed while registering the proxy bid, please retry');
+        }
+        logger.info(`Proxy bid registered for auction ${auctionId} by ${bidderId}`);
+        return { highestBid: outcome.auction.highestBid, leading: String(outcome.auction.highestBidder) === String(bidderId) };
+    }
+
+    async cancelProxyBid(auctionId, bidderId) {
+        await Auction.updateOne(
+            { _id: auctionId, 'proxyBids.user': bidderId },
+            { $set: { 'proxyBids.$.active': false } }
+        );
+        logger.info(`Proxy bid cancelled for auction ${auctionId} by ${bidderId}`);
+    }
+
+    /**
+     * Retract one of a bidder's own bids while it is inside the auction's retraction window.
+     * The auction falls back to the best remaining bid and the bidder's proxy ceiling is
+     * cancelled, so it cannot immediately bid them back up.
+     * @param {String} auctionId - ID of the auction.
+     * @param {String} bidderId - ID of the retracting bidder.
+     * @param {Object} options - { sequence, reason }; without a sequence the bidder's latest bid is retracted.
+     * @returns {Object} - Retraction result, or a rejection code.
+     */
+    async retractBid(auctionId, bidderId, { sequence, reason } = {}) {
+        const auction = await this.getAuctionDetails(auctionId);
+        if (auction.status !== AUCTION_STATES.LIVE) {
+            return this.outbidWhileSubmitting(auction);
+        }
+
+        // The retraction is counted before anything else, so concurrent retractions cannot all
+        // pass the limit; one that does not go through gives its count back
+        const rateKey = `bid:retractions:${bidderId}`;
+        const used = await redisClient.incr(rateKey);
+        if (used === 1) {
+            await redisClient.expire(rateKey, RETRACTION_LIMIT_WINDOW_SECONDS);
+        }
+        if (used > RETRACTION_LIMIT) {
+            return { success: false, code: 'RETRACTION_RATE_LIMITED', message: `Bidders may retract at most ${RETRACTION_LIMIT} bids per ${RETRACTION_LIMIT_WINDOW_SECONDS / 3600} hours.` };
+        }
+
+        let target;
+        let updated;
+        try {
+            const { bids } = reduceBidEvents(await BidEvent.forAuction(auctionId));
+            const own = bids.filter(bid => String(bid.bidder) === String(bidderId));
+            target = sequence ? own.find(bid => bid.sequence === sequence) : own[own.length - 1];
+            if (!target) {
+                await redisClient.decr(rateKey);
+                return { success: false, code: 'BID_NOT_FOUND', message: 'No standing bid of yours was found on this auction.' };
+            }
+            const deadline = new Date(target.occurredAt).getTime() + auction.retractionWindowSeconds * 1000;
+            if (Date.now() > deadline) {
+                await redisClient.decr(rateKey);
+                return { success: false, code: 'RETRACTION_WINDOW_CLOSED', message: `Bids can only be retracted within ${auction.retractionWindowSeconds} seconds of being placed.` };
+            }
+
+            await this.cancelProxyBid(auctionId, bidderId);
+            updated = await retractBids(auctionId, [target], { actor: String(bidderId), reason: reason || 'retracted_by_bidder' });
+        } catch (error) {
+            await redisClient.decr(rateKey);
+            throw error;
+        }
+
+        await this.broadcastRetraction(updated, [target]);
+        logger.info(`Bid ${target.sequence} on auction ${auctionId} retracted by ${bidderId}`);
+        return {
+            success: true,
+            auctionId: updated._id,
+            retractedSequence: target.sequence,
+            amount: target.amount,
+            highestBid: updated.highestBid,
+            leading: String(updated.highestBidder) === String(bidderId),
+        };
+    }
+
+    // Tell the auction room which bids were withdrawn and who leads now
+    async broadcastRetraction(auction, bids) {
+        publishToRoom(roomKey('auction', auction._id), {
+            type: 'BID_RETRACTED',
+            auctionId: auction._id,
+            retracted: bids.map(bid => ({ sequence: bid.sequence, amount: bid.amount })),
+            currentBid: auction.currentBid,
+            highestBid: auction.highestBid,
+        });
+        await this.rankBids(auction._id);
+        this.broadcastRankings(auction._id);
+    }
+
+    // Place the automatic bids that registered ceilings call for; returns the bids placed.
+    // Ceilings whose campaign's schedule leaves out the auction's ad slot do not bid.
+    async applyProxyBids(auction) {
+        const offSchedule = await campaignScheduleService.offScheduleProxyBidders(auction);
+        return bidRules.applyProxyBids(auction, new Date(), offSchedule);
     }
 
     updateHighestBid(bid, auction) {
-        if (bid.amount > auction.highestBid) {
-            auction.highestBid = bid.amount;
-            auction.highestBidder = bid.bidderId;
-            auction.save();
-            logger.info(`Auction updated with new highest bid: ${bid.amount}`);
+        // Extensions are broadcast by commitWithRetry once the bid is committed
+        if (bidRules.updateHighestBid(bid, auction)) {
+            logger.info(`Auction ${auction._id} highest bid: ${auction.highestBid}, clearing price (${auction.clearingRule}): ${auction.clearingPrice}`);
         }
     }
 
+    // Broadcast a soft-close extension so clients can reset their countdowns
+    broadcastExtension(auction) {
+        publishToRoom(roomKey('auction', auction._id), {
+            type: 'AUCTION_EXTENDED',
+            auctionId: auction._id,
+            expirationTime: auction.expirationTime,
+            extensionCount: auction.extensionCount,
+            maxExtensions: auction.softClose.maxExtensions,
+        });
+        logger.info(`Auction ${auction._id} extended to ${auction.expirationTime.toISOString()}`);
+    }
+
     async retryWithBackoff(fn, retries = 5, delay = 1000) {
         for (let i = 0; i < retries; i++) {
             try {
@@ -778,44 +1183,43 @@ class BiddingEngine {
         }
     }
 
-    // Calculate the priority score for a bid
+    // Calculate the priority score for a bid; see priorityEngine for the breakdown behind it
     async calculatePriorityScore(bid) {
-        const historicalWinRate = await aiMiddleware.getHistoricalWinRate(bid.bidderId);
-        const engagementScore = await aiMiddleware.getEngagementScore(bid.bidderId);
-        const sustainabilityScore = await sustainabilityMiddleware.calculateSustainabilityScore(bid);
-        const auctionActivityScore = await aiMiddleware.getAuctionActivityScore(bid.auctionId); // New metric
-        const weightages = localizationMiddleware.getWeightages(bid.region);
-
-        return (
-            bid.amount * weightages.bidAmount +
-            historicalWinRate * weightages.historicalBehavior +
-            engagementScore * weightages.engagementScore +
-            sustainabilityScore * weightages.sustainability +
-            auctionActivityScore * weightages.activityScore // Include activity
-        );
-    }
-
-    // Rank bids based on their priority scores using a priority queue
-    async rankBids() {
-        const sortedBids = await redisClient.sort('bids', 'BY', 'priorityScore', 'DESC');
-        this.bids = sortedBids.map(JSON.parse);
-        logger.info('Bids ranked using priority queue');
+        const { score } = await explainPriorityScore(bid);
+        return score;
+    }
+
+    // Refresh this process's view of an auction's bids from the ledger, ranked by amount
+    // with earlier bids first on ties. this.bids is only a cache; the ledger is authoritative.
+    async rankBids(auctionId) {
+        const { bids } = reduceBidEvents(await BidEvent.forAuction(auctionId));
+        const ranked = bids
+            .sort((a, b) => b.amount - a.amount || a.sequence - b.sequence)
+            .map(event => ({
+                auctionId: String(auctionId),
+                bidderId: String(event.bidder),
+                amount: event.amount,
+                isProxy: event.isProxy,
+                sequence: event.sequence,
+                priorityScore: event.data && event.data.priorityScore,
+                timestamp: event.occurredAt,
+            }));
+        this.bids = [...this.bids.filter(bid => bid.auctionId !== String(auctionId)), ...ranked];
+        logger.info(`Bids ranked from ledger for auction ${auctionId}`);
     }
 
-    // Broadcast updated bid rankings to WebSocket clients
-    broadcastRankings() {
-        const rankings = this.bids.map(bid => ({
+    // Broadcast updated bid rankings to the auction's room.
+    // Proxy bids show only the amount actually bid, never the bidder's ceiling, and score
+    // breakdowns stay private to each bidder (see priorityEngine.getBidInsights).
+    broadcastRankings(auctionId) {
+        const rankings = this.bids.filter(bid => bid.auctionId === String(auctionId)).map(bid => ({
             bidderId: bid.bidderId,
             amount: bid.amount,
-            priorityScore: bid.priorityScore,
-            transactionId: bid.transactionId,
+            isProxy: Boolean(bid.isProxy),
+            sequence: bid.sequence,
         }));
 
-        this.wsServer.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({ type: 'RANKINGS_UPDATE', rankings }));
-            }
-        });
+        publishToRoom(roomKey('auction', auctionId), { type: 'RANKINGS_UPDATE', auctionId, rankings });
         logger.info('Broadcasted updated bid rankings');
     }
 
@@ -930,9 +1334,10 @@ class BiddingEngine {
         }
     }
 
-    // Broadcast leaderboard to WebSocket clients
-    broadcastLeaderboard() {
+    // Broadcast an auction's leaderboard to its room
+    broadcastLeaderboard(auctionId) {
         const leaderboard = this.bids
+            .filter(bid => bid.auctionId === String(auctionId))
             .sort((a, b) => b.priorityScore - a.priorityScore)
             .slice(0, 10) // Top 10 bidders
             .map((bid, index) => ({
@@ -944,18 +1349,14 @@ class BiddingEngine {
                 timestamp: bid.timestamp,
             }));
 
-        this.wsServer.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({ type: 'LEADERBOARD_UPDATE', leaderboard }));
-            }
-        });
-        logger.info('Customized leaderboard broadcasted');
+        publishToRoom(roomKey('auction', auctionId), { type: 'LEADERBOARD_UPDATE', auctionId, leaderboard });
+        logger.info(`Leaderboard broadcasted for auction ${auctionId}`);
     }
 
     // Monitor auction activity and extend auction time if necessary
     async monitorAuctionActivity(auctionId) {
         const auction = await Auction.findById(auctionId);
-        if (!auction || auction.status !== 'active') return;
+        if (!auction || auction.status !== AUCTION_STATES.LIVE) return;
 
         const activityThreshold = 10; // Number of bids in the last minute
         const recentBids = this.bids.filter(
@@ -0,0 +1,92 @@
+const Campaign = require('../models/campaign');
+const logger = require('../utils/logger');
+
+const { PACING_MODES } = Campaign;
+
+// Fields pacingStatus() reads
+const PACING_FIELDS = 'name advertiser status budget remainingBudget heldBudget pacing startDate endDate';
+
+// A campaign's pacing status, with the fields the status endpoint reports
+function pacingReport(campaign, now) {
+    return {
+        campaignId: campaign._id,
+        name: campaign.name,
+        campaignStatus: campaign.status,
+        budget: campaign.budget,
+        startDate: campaign.startDate,
+        endDate: campaign.endDate,
+        ...campaign.pacingStatus(now),
+    };
+}
+
+// Load a campaign the user may see or change the pacing of
+function findCampaign(campaignId, user) {
+    return Campaign.findOwned(campaignId, user).select(PACING_FIELDS);
+}
+
+/**
+ * Pacing status of an advertiser's active campaigns
+ * @param {String} advertiserId - Advertiser whose campaigns are reported.
+ * @param {Date} now - Time to measure at.
+ * @returns {Array} - One report per campaign: spend against the target curve and whether
+ *   it is 'ahead', 'on_track' or 'behind'.
+ */
+async function advertiserPacing(advertiserId, now = new Date()) {
+    try {
+        const campaigns = await Campaign.find({ advertiser: advertiserId, status: 'active' })
+            .select(PACING_FIELDS)
+            .sort({ endDate: 1 });
+        return campaigns.map(campaign => pacingReport(campaign, now));
+    } catch (error) {
+        logger.error('Error fetching campaign pacing:', error);
+        throw new Error('Failed to fetch campaign pacing.');
+    }
+}
+
+/**
+ * Change how a campaign paces its spend. Spend already made is kept; the campaign is measured
+ * against the new curve from now on.
+ * @param {Object} campaign - Campaign document (from findCampaign).
+ * @param {String} mode - One of PACING_MODES.
+ * @returns {Object} - Pacing report under the new mode.
+ */
+async function setPacingMode(campaign, mode) {
+    try {
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { pacing: mode } }, { runValidators: true });
+        campaign.pacing = mode;
+        return pacingReport(campaign, new Date());
+    } catch (error) {
+        logger.error('Error setting campaign pacing:', error);
+        throw new Error('Failed to set campaign pacing.');
+    }
+}
+
+/**
+ * Campaigns among `campaignIds` whose spend has reached what their pacing curve allows,
+ * read in one query for ad selection
+ * @param {Array} campaignIds - Campaigns of the candidate ads.
+ * @param {Date} now - Selection time.
+ * @returns {Map} - Campaign ID -> pacing status, for throttled campaigns only.
+ */
+async function throttledCampaigns(campaignIds, now = new Date()) {
+    const ids = [...new Set(campaignIds.filter(Boolean).map(String))];
+    if (!ids.length) {
+        return new Map();
+    }
+    const campaigns = await Campaign.find({ _id: { $in: ids }, pacing: { $in: PACING_MODES.filter(mode => mode !== 'none') } })
+        .select(PACING_FIELDS);
+    const throttled = new Map();
+    for (const campaign of campaigns) {
+        const status = campaign.pacingStatus(now);
+        if (status.throttled) throttled.set(String(campaign._id), status);
+    }
+    return throttled;
+}
+
+module.exports = {
+    findCampaign,
+    pacingReport,
+    advertiserPacing,
+    setPacingMode,
+    throttledCampaigns,
+};
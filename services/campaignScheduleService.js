@@ -0,0 +1,104 @@
+const Auction = require('../models/auction');
+const Campaign = require('../models/campaign');
+const logger = require('../utils/logger');
+const { AUCTION_STATES } = require('../utils/auctionStateMachine');
+
+// Auctions returned as a campaign's recommendations
+const MAX_RECOMMENDED_AUCTIONS = 50;
+
+// Campaigns with at least one schedule window; the rest deliver around the clock
+const SCHEDULED = { 'schedule.windows.0': { $exists: true } };
+
+const idOf = value => (value && value._id ? value._id : value);
+
+/**
+ * Replace a campaign's weekly schedule
+ * @param {Object} campaign - Campaign document (Campaign.findOwned).
+ * @param {Object} schedule - { timezone, windows: [{ days, start, end }] }; no windows clears it.
+ * @returns {Object} - Updated campaign.
+ */
+async function setSchedule(campaign, { timezone, windows }) {
+    try {
+        campaign.schedule = { timezone: timezone || 'UTC', windows: windows || [] };
+        await campaign.validate(['schedule.timezone', 'schedule.windows']);
+        await Campaign.updateOne({ _id: campaign._id }, { $set: { schedule: campaign.schedule } });
+        logger.info(`Schedule of campaign ${campaign._id} set (${campaign.schedule.windows.length} windows, ${campaign.schedule.timezone})`);
+        return campaign;
+    } catch (error) {
+        logger.error('Error setting campaign schedule:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to set campaign schedule.');
+    }
+}
+
+/**
+ * Campaigns among `campaignIds` whose schedule does not cover a moment, read in one query
+ * for ad selection
+ * @param {Array} campaignIds - Campaigns of the candidate ads.
+ * @param {Date} at - Moment the ads would be shown.
+ * @returns {Set} - IDs of the campaigns that must not deliver at `at`.
+ */
+async function offScheduleCampaigns(campaignIds, at = new Date()) {
+    const ids = [...new Set(campaignIds.filter(Boolean).map(String))];
+    if (!ids.length) {
+        return new Set();
+    }
+    const campaigns = await Campaign.find({ _id: { $in: ids }, ...SCHEDULED }).select('schedule');
+    return new Set(campaigns.filter(campaign => !campaign.isScheduledAt(at)).map(campaign => String(campaign._id)));
+}
+
+/**
+ * Proxy bidders whose campaign's schedule leaves out the auction's ad slot. Their ceilings
+ * sit the auction out instead of bidding for a slot the campaign would not run in.
+ * @param {Object} auction - Auction loaded with proxyBids.
+ * @returns {Set} - User IDs of the proxy bidders to skip.
+ */
+async function offScheduleProxyBidders(auction) {
+    const proxies = (auction.proxyBids || []).filter(proxy => proxy.active && proxy.campaign);
+    if (!proxies.length) {
+        return new Set();
+    }
+    const offSchedule = await offScheduleCampaigns(proxies.map(proxy => idOf(proxy.campaign)), auction.slotStartsAt());
+    return new Set(proxies
+        .filter(proxy => offSchedule.has(String(idOf(proxy.campaign))))
+        .map(proxy => String(proxy.user)));
+}
+
+/**
+ * Scheduled and live auctions a campaign could run in: their ad slot falls inside the
+ * campaign's flight dates and weekly schedule. Ending soonest first.
+ * @param {Object} campaign - Campaign document.
+ * @param {Date} now - Time of the request.
+ * @returns {Array} - Up to MAX_RECOMMENDED_AUCTIONS auctions.
+ */
+async function recommendedAuctions(campaign, now = new Date()) {
+    try {
+        const from = campaign.startDate > now ? campaign.startDate : now;
+        // Slots start at expirationTime (Auction#slotStartsAt), so the flight is matched on it
+        const auctions = Auction.find({
+            status: { $in: [AUCTION_STATES.SCHEDULED, AUCTION_STATES.LIVE] },
+            streamer: { $ne: campaign.advertiser },
+            expirationTime: { $gte: from, $lte: campaign.endDate },
+        }).sort({ expirationTime: 1 }).cursor();
+
+        const recommended = [];
+        for await (const auction of auctions) {
+            if (campaign.isScheduledAt(auction.slotStartsAt())) {
+                recommended.push(auction);
+                if (recommended.length >= MAX_RECOMMENDED_AUCTIONS) break;
+            }
+        }
+        return recommended;
+    } catch (error) {
+        logger.error('Error recommending auctions:', error);
+        throw new Error('Failed to recommend auctions.');
+    }
+}
+
+module.exports = {
+    MAX_RECOMMENDED_AUCTIONS,
+    setSchedule,
+    offScheduleCampaigns,
+    offScheduleProxyBidders,
+    recommendedAuctions,
+};
@@ -0,0 +1,270 @@
+const redis = require('redis');
+const Auction = require('../models/auction');
+const BidEvent = require('../models/bidEvent');
+const chatIdentityService = require('./chatIdentityService');
+const logger = require('../utils/logger');
+const { AUCTION_STATES } = require('../utils/auctionStateMachine');
+const { reduceBidEvents } = require('../utils/bidLedger');
+
+const DEFAULT_COOLDOWN_SECONDS = 5;
+// Auctions !auctions lists, and !bid can refer to by their number in that list
+const MAX_LISTED_AUCTIONS = 5;
+// Sealed-bid and Dutch auctions take bids through their own flows, not a chat line
+const CHAT_AUCTION_TYPES = ['english', 'multi_slot'];
+
+const LINK_HINT = 'link your QuikHit account first: create a code in your account settings, then type !link <code>.';
+
+// "!bid 2 50" -> { command: 'bid', args: ['2', '50'] }; null for ordinary chat
+function parseCommand(text) {
+    const [first, ...args] = String(text || '').trim().split(/\s+/);
+    if (!first || !first.startsWith('!') || first.length === 1) {
+        return null;
+    }
+    return { command: first.slice(1).toLowerCase(), args };
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function formatAmount(amount, currency) {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+}
+
+function timeLeft(auction, now) {
+    const minutes = Math.max(0, Math.ceil((auction.expirationTime - now) / 60000));
+    return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h${minutes % 60}m`;
+}
+
+/**
+ * Routes chat commands from any chat platform to the bidding engine. Platforms plug in as
+ * adapters (integrations/twitchChatAdapter.js, integrations/youtubeChatAdapter.js) that
+ * deliver { platform, id, channel, streamerId, userId, username, text } messages and can
+ * say() a reply to a channel.
+ *
+ * Commands: !auctions, !bid <auction> <amount> [currency] [campaignId], !mybids, !link <code>
+ */
+class ChatCommandRouter {
+    /**
+     * @param {Object} options - { engine, redisClient, cooldownSeconds }
+     */
+    constructor({ engine, redisClient, cooldownSeconds } = {}) {
+        this.engine = engine;
+        this.redisClient = redisClient || redis.createClient();
+        this.cooldownSeconds = cooldownSeconds !== undefined
+            ? cooldownSeconds
+            : Number(process.env.CHAT_COMMAND_COOLDOWN_SECONDS) || DEFAULT_COOLDOWN_SECONDS;
+        this.adapters = [];
+        this.commands = {
+            auctions: this.listAuctions,
+            bid: this.bid,
+            mybids: this.myBids,
+            link: this.link,
+        };
+    }
+
+    async attach(adapter) {
+        this.adapters.push(adapter);
+        await adapter.start(message => this.handle(adapter, message));
+    }
+
+    async stop() {
+        await Promise.all(this.adapters.map(adapter => adapter.stop()));
+        this.adapters = [];
+    }
+
+    // Run a chat message's command, if it has one, and reply to its sender in the same channel
+    async handle(adapter, message) {
+        const parsed = parseCommand(message.text);
+        const command = parsed && this.commands[parsed.command];
+        if (!command || !message.streamerId) {
+            return null;
+        }
+        // Commands sent during a cooldown are dropped without a reply, so spamming cannot flood the chat
+        if (!(await this.takeCooldown(message))) {
+            return null;
+        }
+
+        let reply;
+        try {
+            reply = await command.call(this, message, parsed.args);
+        } catch (error) {
+            logger.error(`Error handling ${message.platform} chat command !${parsed.command}:`, error);
+            reply = 'something went wrong, please try again.';
+        }
+        if (!reply) {
+            return null;
+        }
+
+        const text = truncate(`@${message.username} ${reply}`, adapter.maxMessageLength);
+        try {
+            await adapter.say(message.channel, text);
+        } catch (error) {
+            logger.error(`Error replying in ${message.platform} chat:`, error);
+        }
+        return text;
+    }
+
+    // One command per chat user per cooldown, across all channels
+    async takeCooldown({ platform, userId }) {
+        if (!this.cooldownSeconds) {
+            return true;
+        }
+        const key = `chat:cooldown:${platform}:${userId}`;
+        return Boolean(await this.redisClient.set(key, '1', 'EX', this.cooldownSeconds, 'NX'));
+    }
+
+    // The streamer's live auctions in the order !auctions numbers them
+    liveAuctions(streamerId, now = new Date()) {
+        return Auction.find({
+            streamer: streamerId,
+            status: AUCTION_STATES.LIVE,
+            auctionType: { $in: CHAT_AUCTION_TYPES },
+            expirationTime: { $gt: now },
+        }).sort({ expirationTime: 1, _id: 1 }).limit(MAX_LISTED_AUCTIONS);
+    }
+
+    // An auction by its !auctions number or its ID; only the channel's own auctions count
+    async resolveAuction(ref, streamerId) {
+        if (/^\d+$/.test(ref) && Number(ref) >= 1 && Number(ref) <= MAX_LISTED_AUCTIONS) {
+            const auctions = await this.liveAuctions(streamerId);
+            return auctions[Number(ref) - 1] || null;
+        }
+        if (!/^[a-f\d]{24}$/i.test(ref)) {
+            return null;
+        }
+        return Auction.findOne({ _id: ref, streamer: streamerId });
+    }
+
+    async listAuctions({ streamerId }) {
+        const now = new Date();
+        const auctions = await this.liveAuctions(streamerId, now);
+        if (!auctions.length) {
+            return 'there are no live auctions on this channel right now.';
+        }
+        const lines = auctions.map((auction, index) => {
+            const leading = auction.highestBid
+                ? `high ${formatAmount(auction.highestBid, auction.currency)}`
+                : `from ${formatAmount(auction.startingBid, auction.currency)}`;
+            return `${index + 1}) ${auction.adSlotDetails.duration}s ad, ${leading}, ends in ${timeLeft(auction, now)}`;
+        });
+        return `${lines.join(' | ')} — bid with !bid <number> <amount>`;
+    }
+
+    async bid(message, args) {
+        const [ref, amountArg, ...rest] = args;
+        const amount = Number(String(amountArg || '').replace(/^\$/, ''));
+        if (!ref || !Number.isFinite(amount) || amount <= 0) {
+            return 'usage: !bid <auction number> <amount> [currency] [campaign ID]';
+        }
+        const currency = rest.find(arg => /^[A-Za-z]{3}$/.test(arg));
+        const campaignArg = rest.find(arg => /^[a-f\d]{24}$/i.test(arg));
+
+        const identity = await chatIdentityService.findIdentity(message.platform, message.userId);
+        if (!identity) {
+            return LINK_HINT;
+        }
+        const campaignId = campaignArg || identity.defaultCampaign;
+        if (!campaignId) {
+            return 'name a campaign ID after the amount, or set a default chat campaign in your account.';
+        }
+        const auction = await this.resolveAuction(ref, message.streamerId);
+        if (!auction) {
+            return `there is no auction ${ref} on this channel; type !auctions to see what is live.`;
+        }
+
+        const result = await this.engine.evaluateBid({
+            auctionId: auction._id,
+            bidderId: identity.user,
+            campaignId,
+            amount,
+            currency: currency && currency.toUpperCase(),
+            timestamp: new Date().toISOString(),
+            // Platforms may deliver a message twice; its ID keeps the bid from being placed twice
+            idempotencyKey: message.id && `chat:${message.platform}:${message.id}`,
+        });
+        if (!result.success) {
+            return `your bid was not placed: ${result.message}`;
+        }
+        const placed = formatAmount(result.amount, auction.currency);
+        return result.leading
+            ? `your bid of ${placed} is leading!`
+            : `your bid of ${placed} was placed, but the high bid is now ${formatAmount(result.highestBid, auction.currency)}.`;
+    }
+
+    async myBids({ platform, userId, streamerId }) {
+        const identity = await chatIdentityService.findIdentity(platform, userId);
+        if (!identity) {
+            return LINK_HINT;
+        }
+        const auctions = await this.liveAuctions(streamerId);
+        const lines = [];
+        for (const [index, auction] of auctions.entries()) {
+            // The ledger, not the embedded history, knows which bids were retracted
+            const state = reduceBidEvents(await BidEvent.find({ auction: auction._id }).sort({ sequence: 1 }));
+            const own = state.bids.filter(bid => String(bid.bidder) === String(identity.user));
+            if (!own.length) continue;
+            const best = Math.max(...own.map(bid => bid.amount));
+            const standing = String(state.highestBidder) === String(identity.user)
+                ? 'leading'
+                : `outbid, high ${formatAmount(state.highestBid, auction.currency)}`;
+            lines.push(`${index + 1}) your best ${formatAmount(best, auction.currency)} (${standing})`);
+        }
+        return lines.length
+            ? lines.join(' | ')
+            : 'you have no bids on this channel\'s live auctions.';
+    }
+
+    async link({ platform, userId, username }, [code]) {
+        if (!code) {
+            return 'usage: !link <code>';
+        }
+        const identity = await chatIdentityService.redeemLinkCode({ platform, platformUserId: String(userId), platformUsername: username }, code);
+        return identity
+            ? 'your chat account is now linked to QuikHit. Happy bidding!'
+            : 'that link code is invalid or has expired.';
+    }
+}
+
+// "channel:streamerId,channel:streamerId" -> { channel: streamerId }
+function parseBindings(value) {
+    return Object.fromEntries(String(value || '')
+        .split(',')
+        .map(pair => pair.trim().split(':'))
+        .filter(([channel, streamerId]) => channel && streamerId));
+}
+
+/**
+ * Start chat bidding on the channels configured in the environment:
+ * CHAT_BIDDING_TWITCH_CHANNELS (channel:streamerId,...) with TWITCH_BOT_USERNAME and TWITCH_BOT_OAUTH_TOKEN,
+ * and CHAT_BIDDING_YOUTUBE_CHATS (liveChatId:streamerId,...).
+ * @param {Object} engine - BiddingEngine that places the bids.
+ * @returns {Object} - The ChatCommandRouter, with an adapter per configured platform.
+ */
+async function startChatBidding(engine) {
+    const router = new ChatCommandRouter({ engine });
+    const twitchChannels = parseBindings(process.env.CHAT_BIDDING_TWITCH_CHANNELS);
+    const youtubeChats = parseBindings(process.env.CHAT_BIDDING_YOUTUBE_CHATS);
+
+    // Each adapter is required only when its platform is configured, so a server never loads
+    // the chat client (or needs the package) of a platform it does not bid on
+    if (Object.keys(twitchChannels).length) {
+        const TwitchChatAdapter = require('../integrations/twitchChatAdapter');
+        await router.attach(new TwitchChatAdapter({
+            channels: twitchChannels,
+            username: process.env.TWITCH_BOT_USERNAME,
+            oauthToken: process.env.TWITCH_BOT_OAUTH_TOKEN,
+        }));
+    }
+    if (Object.keys(youtubeChats).length) {
+        const YouTubeChatAdapter = require('../integrations/youtubeChatAdapter');
+        await router.attach(new YouTubeChatAdapter({ liveChats: youtubeChats }));
+    }
+    return router;
+}
+
+module.exports = {
+    ChatCommandRouter,
+    parseCommand,
+    startChatBidding,
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const redis = require('redis');
+const ChatIdentity = require('../models/chatIdentity');
+const logger = require('../utils/logger');
+
+const redisClient = redis.createClient();
+
+const LINK_CODE_TTL_SECONDS = 10 * 60;
+// No 0/O or 1/I, so codes survive being read off a screen and typed into chat
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LINK_CODE_LENGTH = 6;
+
+const linkCodeKey = (platform, code) => `chat:link:${platform}:${code}`;
+
+/**
+ * Create a one-time code the user types in chat as `!link <code>` to link their chat account
+ * @param {String} userId - Signed-in user.
+ * @param {String} platform - Chat platform the code is for.
+ * @returns {Object} - { code, expiresInSeconds }
+ */
+async function createLinkCode(userId, platform) {
+    try {
+        const bytes = crypto.randomBytes(LINK_CODE_LENGTH);
+        const code = [...bytes].map(byte => LINK_CODE_ALPHABET[byte % LINK_CODE_ALPHABET.length]).join('');
+        await redisClient.set(linkCodeKey(platform, code), String(userId), 'EX', LINK_CODE_TTL_SECONDS);
+        return { code, expiresInSeconds: LINK_CODE_TTL_SECONDS };
+    } catch (error) {
+        logger.error('Error creating chat link code:', error);
+        throw new Error('Failed to create chat link code.');
+    }
+}
+
+/**
+ * Link the chat account that typed a link code to the user who created it. Codes work once.
+ * @param {Object} chatter - { platform, platformUserId, platformUsername }
+ * @param {String} code - Code typed in chat.
+ * @returns {Object|null} - The linked identity, or null if the code is unknown or expired.
+ */
+async function redeemLinkCode({ platform, platformUserId, platformUsername }, code) {
+    try {
+        const key = linkCodeKey(platform, String(code).toUpperCase());
+        const userId = await redisClient.get(key);
+        if (!userId || !(await redisClient.del(key))) {
+            return null;
+        }
+
+        const identity = await ChatIdentity.findOneAndUpdate(
+            { platform, platformUserId },
+            { $set: { user: userId, platformUsername, linkedAt: new Date() } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        logger.info(`${platform} user ${platformUserId} linked to user ${userId}`);
+        return identity;
+    } catch (error) {
+        logger.error('Error redeeming chat link code:', error);
+        throw new Error('Failed to link chat identity.');
+    }
+}
+
+function findIdentity(platform, platformUserId) {
+    return ChatIdentity.findOne({ platform, platformUserId: String(platformUserId) });
+}
+
+/**
+ * Set the campaign that pays for an identity's chat bids
+ * @param {Object} identity - ChatIdentity document.
+ * @param {String} campaignId - One of the identity user's campaigns.
+ * @returns {Object|null} - Updated identity, or null if the campaign is not the user's.
+ */
+async function setDefaultCampaign(identity, campaignId) {
+    try {
+        if (!(await mongoose.model('Campaign').exists({ _id: campaignId, advertiser: identity.user }))) {
+            return null;
+        }
+        identity.defaultCampaign = campaignId;
+        return await identity.save();
+    } catch (error) {
+        logger.error('Error setting chat default campaign:', error);
+        throw new Error('Failed to set default campaign.');
+    }
+}
+
+module.exports = {
+    LINK_CODE_TTL_SECONDS,
+    createLinkCode,
+    redeemLinkCode,
+    findIdentity,
+    setDefaultCampaign,
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const Ad = require('../models/ad');
+const Campaign = require('../models/campaign');
+const CreativeExperiment = require('../models/creativeExperiment');
+const logger = require('../utils/logger');
+const { armResults } = require('../analytics/experimentStats');
+
+// Share of viewers a CTR bandit keeps spreading over the arms that are not leading
+const BANDIT_EPSILON = parseFloat(process.env.CREATIVE_BANDIT_EPSILON) || 0.1;
+// Impressions every arm gets (under an even split) before the bandit starts favouring one
+const BANDIT_WARMUP_IMPRESSIONS = parseInt(process.env.CREATIVE_BANDIT_WARMUP_IMPRESSIONS, 10) || 100;
+
+class ExperimentConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExperimentConflictError';
+        this.statusCode = 409;
+    }
+}
+
+class ExperimentCreativesError extends Error {
+    constructor() {
+        super('Experiment arms must be ads of the campaign\'s advertiser.');
+        this.name = 'ExperimentCreativesError';
+        this.statusCode = 400;
+    }
+}
+
+const idOf = value => (value && value._id ? value._id : value);
+
+/**
+ * Start a creative rotation / A/B experiment on a campaign. The arms' ads join the campaign.
+ * @param {Object} campaign - Campaign document (Campaign.findOwned).
+ * @param {Object} data - { name, mode, arms: [{ adId, weight }] }
+ * @param {Object} user - Caller.
+ * @returns {Object} - Created experiment.
+ */
+async function createExperiment(campaign, { name, mode, arms }, user) {
+    try {
+        const adIds = arms.map(arm => arm.adId);
+        if (await Ad.countDocuments({ _id: { $in: adIds }, advertiser: campaign.advertiser }) !== new Set(adIds.map(String)).size) {
+            throw new ExperimentCreativesError();
+        }
+        const experiment = await CreativeExperiment.create({
+            campaign: campaign._id,
+            name,
+            mode,
+            arms: arms.map(({ adId, weight }) => ({ ad: adId, weight })),
+            createdBy: user.id,
+        });
+        await Campaign.updateOne({ _id: campaign._id }, { $addToSet: { ads: { $each: adIds } } });
+        logger.info(`Creative experiment ${experiment._id} started on campaign ${campaign._id} (${mode}, ${arms.length} arms)`);
+        return experiment;
+    } catch (error) {
+        logger.error('Error creating creative experiment:', error);
+        if (error.code === 11000) throw new ExperimentConflictError('This campaign already has a running experiment.');
+        if (error.name === 'ValidationError' || error instanceof ExperimentCreativesError) throw error;
+        throw new Error('Failed to create creative experiment.');
+    }
+}
+
+// Load an experiment on a campaign the user may manage
+async function findOwnedExperiment(experimentId, user) {
+    const experiment = await CreativeExperiment.findById(experimentId);
+    if (!experiment || !(await Campaign.findOwned(experiment.campaign, user).select('_id'))) {
+        return null;
+    }
+    return experiment;
+}
+
+// The viewer's fixed position (0-1) in an experiment; the same viewer always lands in the same place
+function viewerPosition(experimentId, viewerId) {
+    const digest = crypto.createHash('sha256').update(`${experimentId}:${viewerId}`).digest();
+    return digest.readUInt32BE(0) / 2 ** 32;
+}
+
+// Share of viewers each active arm gets under the experiment's rotation mode
+function armShares(mode, arms) {
+    const even = arms.map(() => 1 / arms.length);
+    if (mode === 'weighted') {
+        const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+        return total > 0 ? arms.map(arm => arm.weight / total) : even;
+    }
+    if (mode === 'ctr_bandit' && arms.every(arm => arm.impressions >= BANDIT_WARMUP_IMPRESSIONS)) {
+        // Epsilon-greedy on the smoothed click-through rate: the leader gets most viewers while
+        // the other arms keep enough traffic to overtake it
+        const ctr = arm => (arm.clicks + 1) / (arm.impressions + 2);
+        const leader = arms.reduce((best, arm) => (ctr(arm) > ctr(best) ? arm : best));
+        return arms.map(arm => BANDIT_EPSILON / arms.length + (arm === leader ? 1 - BANDIT_EPSILON : 0));
+    }
+    return even;
+}
+
+/**
+ * Arm a viewer sees. Assignment is deterministic: a viewer keeps their arm as long as the
+ * shares stay the same (always, for even and weighted rotation).
+ * @param {Object} experiment - CreativeExperiment document.
+ * @param {String} viewerId - Viewer being served.
+ * @returns {Object|null} - The arm, or null when no arm is active.
+ */
+function assignArm(experiment, viewerId) {
+    const arms = experiment.arms.filter(arm => arm.active);
+    if (!arms.length) {
+        return null;
+    }
+    const shares = armShares(experiment.mode, arms);
+    let position = viewerPosition(experiment._id, viewerId);
+    for (const [index, arm] of arms.entries()) {
+        position -= shares[index];
+        if (position < 0) return arm;
+    }
+    return arms[arms.length - 1];
+}
+
+/**
+ * Swap each ranked ad whose campaign runs an experiment for the creative the viewer is assigned.
+ * A campaign keeps the place of its best-ranked ad and appears once.
+ * @param {String} viewerId - Viewer being served.
+ * @param {Array} ads - Ranked candidate ads ({ id, campaign, ... }).
+ * @returns {Array} - Ads to serve from, with `experimentId` set on assigned creatives.
+ */
+async function assignCreatives(viewerId, ads) {
+    const campaignIds = [...new Set(ads.map(ad => ad.campaign && String(idOf(ad.campaign))).filter(Boolean))];
+    if (!campaignIds.length) {
+        return ads;
+    }
+    const experiments = await CreativeExperiment.find({ campaign: { $in: campaignIds }, status: 'running' });
+    if (!experiments.length) {
+        return ads;
+    }
+
+    const assigned = new Map(experiments.map(experiment => {
+        const arm = assignArm(experiment, viewerId);
+        return [String(experiment.campaign), { experimentId: String(experiment._id), adId: arm && String(arm.ad) }];
+    }));
+    const creatives = await Ad.find({ _id: { $in: [...assigned.values()].map(a => a.adId).filter(Boolean) } }).lean();
+    const creativeById = new Map(creatives.map(creative => [String(creative._id), creative]));
+
+    const seen = new Set();
+    return ads.flatMap(ad => {
+        const campaignId = ad.campaign && String(idOf(ad.campaign));
+        const assignment = assigned.get(campaignId);
+        if (!assignment) return [ad];
+        if (seen.has(campaignId)) return [];
+        seen.add(campaignId);
+        const creative = creativeById.get(assignment.adId);
+        return creative
+            ? [{ ...ad, ...creative, id: assignment.adId, experimentId: assignment.experimentId }]
+            : [];
+    });
+}
+
+// Per-arm counts with 95% confidence intervals (analytics/experimentStats.js)
+function experimentResults(experiment) {
+    return {
+        experimentId: experiment._id,
+        name: experiment.name,
+        mode: experiment.mode,
+        status: experiment.status,
+        winner: experiment.winner,
+        ...armResults(experiment.arms),
+    };
+}
+
+/**
+ * End an experiment with `adId` as its winner. Every other arm stops and its ad is paused, so
+ * the campaign only runs the winner from now on.
+ * @param {Object} experiment - Running experiment.
+ * @param {String} adId - Winning arm's ad.
+ * @param {Object} user - Caller.
+ * @returns {Object} - Concluded experiment.
+ */
+async function declareWinner(experiment, adId, user) {
+    const concluded = await CreativeExperiment.findOneAndUpdate(
+        { _id: experiment._id, status: 'running', 'arms.ad': adId },
+        {
+            $set: {
+                status: 'concluded',
+                winner: adId,
+                concludedAt: new Date(),
+                concludedBy: user.id,
+                'arms.$[loser].active': false,
+            },
+        },
+        { new: true, arrayFilters: [{ 'loser.ad': { $ne: adId } }] }
+    );
+    if (!concluded) {
+        throw new ExperimentConflictError('This experiment has already been concluded.');
+    }
+    try {
+        const losers = concluded.arms.filter(arm => String(arm.ad) !== String(adId)).map(arm => arm.ad);
+        await Ad.updateMany({ _id: { $in: losers }, status: 'active' }, { $set: { status: 'paused' } });
+    } catch (error) {
+        logger.error(`Error pausing losing creatives of experiment ${experiment._id}:`, error);
+    }
+    logger.info(`Creative experiment ${experiment._id} concluded; winner ${adId}`);
+    return concluded;
+}
+
+module.exports = {
+    ExperimentConflictError,
+    ExperimentCreativesError,
+    createExperiment,
+    findOwnedExperiment,
+    assignArm,
+    assignCreatives,
+    experimentResults,
+    declareWinner,
+};
@@ -0,0 +1,217 @@
+const Ad = require('../models/ad');
+const User = require('../models/user');
+const CreativeReview = require('../models/creativeReview');
+const logger = require('../utils/logger');
+
+// Reviews waiting on a moderator or the streamer
+const PENDING_STATES = ['submitted', 'in_review'];
+// What a moderator can decide about a creative
+const REVIEW_DECISIONS = ['approved', 'rejected', 'changes_requested'];
+const MAX_QUEUE_SIZE = 100;
+
+class CreativeReviewConflictError extends Error {
+    constructor(message = 'This creative review has changed since it was loaded.') {
+        super(message);
+        this.name = 'CreativeReviewConflictError';
+        this.statusCode = 409;
+    }
+}
+
+const idOf = value => (value && (value._id || value.id)) || value;
+
+/**
+ * Streamer rule that approves a creative without manual review, if any. Blocked terms
+ * always win over trusted and returning advertisers.
+ * @param {Object} settings - The streamer's creativeModeration settings (models/user.js).
+ * @param {Object} ad - Creative ({ _id|id, title, description, content }).
+ * @param {String} advertiserId - Advertiser of the creative.
+ * @param {String} streamerId - Channel it is submitted to.
+ * @returns {String|null} - 'trusted_advertiser', 'returning_advertiser' or null.
+ */
+async function autoApprovalRule(settings, ad, advertiserId, streamerId) {
+    if (!settings || !settings.autoApprove) {
+        return null;
+    }
+    const text = [ad.title, ad.description, ad.content].filter(Boolean).join(' ').toLowerCase();
+    if (settings.blockedTerms.some(term => text.includes(term))) {
+        return null;
+    }
+    if (settings.trustedAdvertisers.some(id => String(id) === String(advertiserId))) {
+        return 'trusted_advertiser';
+    }
+    if (settings.approveReturningAdvertisers && await CreativeReview.exists({
+        advertiser: advertiserId,
+        streamer: streamerId,
+        status: 'approved',
+        ad: { $ne: idOf(ad) },
+    })) {
+        return 'returning_advertiser';
+    }
+    return null;
+}
+
+/**
+ * Submit a creative for a streamer's channel, or send it back for review after an edit. The
+ * streamer's auto-approve rules are applied straight away; otherwise it joins the queue.
+ * @param {Object} ad - Creative ({ _id|id, title, description, content }).
+ * @param {Object} target - { streamerId, advertiserId }
+ * @returns {Object} - The creative's review on that channel.
+ */
+async function submitCreative(ad, { streamerId, advertiserId }) {
+    try {
+        const adId = idOf(ad);
+        let review = await CreativeReview.findOne({ ad: adId, streamer: streamerId });
+        if (!review) {
+            review = await CreativeReview.create({
+                ad: adId,
+                advertiser: advertiserId,
+                streamer: streamerId,
+                history: [{ to: 'submitted' }],
+            });
+        } else if (review.status !== 'submitted') {
+            review = await CreativeReview.transition(review, 'submitted');
+            if (!review) throw new CreativeReviewConflictError();
+        }
+
+        const streamer = await User.findById(streamerId).select('creativeModeration');
+        const rule = await autoApprovalRule(streamer && streamer.creativeModeration, ad, advertiserId, streamerId);
+        if (rule) {
+            review = (await CreativeReview.transition(review, 'approved', { autoApprovedBy: rule })) || review;
+        }
+        logger.info(`Creative ${adId} submitted to streamer ${streamerId}: ${review.status}${rule ? ` (${rule})` : ''}`);
+        return review;
+    } catch (error) {
+        logger.error('Error submitting creative for review:', error);
+        if (error.code === 11000) throw new CreativeReviewConflictError('This creative is already being submitted to the channel.');
+        if (error.name === 'ValidationError' || error instanceof CreativeReviewConflictError) throw error;
+        throw new Error('Failed to submit creative for review.');
+    }
+}
+
+// After an edit, every channel the creative was submitted to has to approve it again
+async function resubmitCreative(ad) {
+    const reviews = await CreativeReview.find({ ad: idOf(ad) }).select('streamer advertiser');
+    const resubmitted = [];
+    for (const review of reviews) {
+        resubmitted.push(await submitCreative(ad, { streamerId: review.streamer, advertiserId: review.advertiser }));
+    }
+    return resubmitted;
+}
+
+/**
+ * Creatives waiting for review, oldest first. Admins moderate every channel; a streamer
+ * sees the queue of their own channel.
+ * @param {Object} user - Caller.
+ * @param {Object} options - { status, limit }
+ * @returns {Array} - Reviews with their ads.
+ */
+function moderationQueue(user, { status, limit = 50 } = {}) {
+    const filter = { status: status ? status : { $in: PENDING_STATES } };
+    if (user.role !== 'admin') {
+        filter.streamer = user.id;
+    }
+    return CreativeReview.find(filter)
+        .sort({ submittedAt: 1 })
+        .limit(Math.min(limit, MAX_QUEUE_SIZE))
+        .populate('ad', 'title description advertiser')
+        .select('-history');
+}
+
+// Load a review the user may moderate: any for admins, their own channel's for streamers
+async function findModeratedReview(reviewId, user) {
+    const review = await CreativeReview.findById(reviewId);
+    if (!review || (user.role !== 'admin' && String(review.streamer) !== String(user.id))) {
+        return null;
+    }
+    return review;
+}
+
+// Take a submitted creative into review so other moderators leave it alone
+async function claimReview(review, user) {
+    const claimed = await CreativeReview.transition(review, 'in_review', { by: user.id });
+    if (!claimed) {
+        throw new CreativeReviewConflictError(`Only submitted creatives can be taken into review (this one is ${review.status}).`);
+    }
+    return claimed;
+}
+
+/**
+ * Approve, reject or ask for changes to a creative on its channel. Only approved creatives
+ * are rendered there.
+ * @param {Object} review - Pending review (findModeratedReview).
+ * @param {String} decision - One of REVIEW_DECISIONS.
+ * @param {Object} user - Moderator or streamer.
+ * @param {String} notes - Reason shown to the advertiser.
+ * @returns {Object} - Decided review.
+ */
+async function decideReview(review, decision, user, notes) {
+    const decided = await CreativeReview.transition(review, decision, { by: user.id, notes });
+    if (!decided) {
+        throw new CreativeReviewConflictError(`Only pending creatives can be decided on (this one is ${review.status}).`);
+    }
+    logger.info(`Creative ${review.ad} ${decision} for streamer ${review.streamer} by ${user.id}`);
+    return decided;
+}
+
+// Review status of a creative on every channel it was submitted to, for its advertiser
+async function reviewsForAd(adId, user) {
+    if (user.role !== 'admin' && !(await Ad.exists({ _id: adId, advertiser: user.id }))) {
+        return null;
+    }
+    return CreativeReview.find({ ad: adId }).sort({ submittedAt: -1 });
+}
+
+/**
+ * Update a streamer's auto-approve rules. Only the given settings change.
+ * @param {String} streamerId - Streamer.
+ * @param {Object} settings - { autoApprove, trustedAdvertisers, approveReturningAdvertisers, blockedTerms }
+ * @returns {Object} - The streamer's settings.
+ */
+async function updateModerationSettings(streamerId, settings) {
+    try {
+        const update = {};
+        for (const key of ['autoApprove', 'trustedAdvertisers', 'approveReturningAdvertisers', 'blockedTerms']) {
+            if (settings[key] !== undefined) update[`creativeModeration.${key}`] = settings[key];
+        }
+        const streamer = await User.findByIdAndUpdate(streamerId, { $set: update }, { new: true, runValidators: true })
+            .select('creativeModeration');
+        return streamer && streamer.creativeModeration;
+    } catch (error) {
+        logger.error('Error updating creative moderation settings:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to update creative moderation settings.');
+    }
+}
+
+// Whether an ad may be shown on a streamer's channel
+function isApproved(adId, streamerId) {
+    return CreativeReview.isApproved(adId, streamerId);
+}
+
+/**
+ * Which of a set of ads may be shown on a streamer's channel, in one query
+ * @param {Array} adIds - Candidate ads.
+ * @param {String} streamerId - Channel being served.
+ * @returns {Set} - IDs (as strings) of the approved ads.
+ */
+async function approvedAds(adIds, streamerId) {
+    const reviews = await CreativeReview.find({ ad: { $in: adIds }, streamer: streamerId, status: 'approved' }).select('ad').lean();
+    return new Set(reviews.map(review => String(review.ad)));
+}
+
+module.exports = {
+    PENDING_STATES,
+    REVIEW_DECISIONS,
+    CreativeReviewConflictError,
+    autoApprovalRule,
+    submitCreative,
+    resubmitCreative,
+    moderationQueue,
+    findModeratedReview,
+    claimReview,
+    decideReview,
+    reviewsForAd,
+    updateModerationSettings,
+    isApproved,
+    approvedAds,
+};
@@ -0,0 +1,147 @@
+const redis = require('redis');
+const Ad = require('../models/ad');
+const Campaign = require('../models/campaign');
+const FrequencyCap = require('../models/frequencyCap');
+const logger = require('../utils/logger');
+
+const { FREQUENCY_CAP_PERIODS } = FrequencyCap;
+
+const redisClient = redis.createClient();
+
+class FrequencyCapOwnershipError extends Error {
+    constructor(scope) {
+        super(`You can only set caps on your own ${scope === 'advertiser' ? 'account' : `${scope}s`}.`);
+        this.name = 'FrequencyCapOwnershipError';
+        this.statusCode = 403;
+    }
+}
+
+const idOf = value => (value && value._id ? value._id : value);
+
+// The ad, campaign and advertiser an impression of this ad counts towards
+function capTargets(ad) {
+    return [
+        { scope: 'ad', target: idOf(ad.id || ad._id) },
+        { scope: 'campaign', target: idOf(ad.campaign) },
+        { scope: 'advertiser', target: idOf(ad.advertiser) },
+    ].filter(({ target }) => target).map(({ scope, target }) => ({ scope, target: String(target) }));
+}
+
+// Per-viewer impression counter for one target and window
+function counterKey({ scope, target }, viewerId, period, now) {
+    const window = Math.floor(now.getTime() / (FREQUENCY_CAP_PERIODS[period] * 1000));
+    return `fcap:${scope}:${target}:${viewerId}:${period}:${window}`;
+}
+
+async function assertOwner(scope, target, user) {
+    if (user.role === 'admin') return;
+    const owned = scope === 'advertiser'
+        ? String(target) === String(user.id)
+        : await (scope === 'ad' ? Ad : Campaign).exists({ _id: target, advertiser: user.id });
+    if (!owned) {
+        throw new FrequencyCapOwnershipError(scope);
+    }
+}
+
+/**
+ * Set the caps on an ad, campaign or advertiser, replacing any set before. No limits removes them.
+ * @param {String} scope - 'ad', 'campaign' or 'advertiser'.
+ * @param {String} target - ID of the ad, campaign or advertiser.
+ * @param {Array} limits - [{ period ('hour' or 'day'), maxImpressions }]
+ * @param {Object} user - Caller; must own the target unless they are an admin.
+ * @returns {Object|null} - The FrequencyCap, or null when the caps were removed.
+ */
+async function setCaps(scope, target, limits, user) {
+    await assertOwner(scope, target, user);
+    try {
+        if (!limits.length) {
+            await FrequencyCap.deleteOne({ scope, target });
+            return null;
+        }
+        return await FrequencyCap.findOneAndUpdate(
+            { scope, target },
+            { $set: { limits, updatedBy: user.id } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        logger.error('Error setting frequency caps:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to set frequency caps.');
+    }
+}
+
+async function getCaps(scope, target, user) {
+    await assertOwner(scope, target, user);
+    return FrequencyCap.findOne({ scope, target });
+}
+
+/**
+ * Find the ads a viewer has hit a cap on, with one lookup for the caps and one for the counters
+ * @param {String} viewerId - Viewer the ads would be shown to.
+ * @param {Array} ads - Candidate ads ({ id, campaign, advertiser }).
+ * @param {Date} now - Selection time; picks the counting windows.
+ * @returns {Map} - Ad ID -> { scope, target, period, maxImpressions, impressions } for capped ads.
+ */
+async function cappedAds(viewerId, ads, now = new Date()) {
+    const targets = ads.map(capTargets);
+    const uniqueTargets = [...new Map(targets.flat().map(t => [`${t.scope}:${t.target}`, t])).values()];
+    if (!uniqueTargets.length) {
+        return new Map();
+    }
+
+    const caps = await FrequencyCap.find({ $or: uniqueTargets.map(({ scope, target }) => ({ scope, target })) });
+    const checks = caps.flatMap(cap => cap.limits.map(limit => ({
+        scope: cap.scope,
+        target: String(cap.target),
+        period: limit.period,
+        maxImpressions: limit.maxImpressions,
+    })));
+    if (!checks.length) {
+        return new Map();
+    }
+
+    const counts = await redisClient.mget(checks.map(check => counterKey(check, viewerId, check.period, now)));
+    const reached = new Map();
+    checks.forEach((check, index) => {
+        const impressions = Number(counts[index]) || 0;
+        if (impressions >= check.maxImpressions) {
+            reached.set(`${check.scope}:${check.target}`, { ...check, impressions });
+        }
+    });
+
+    const capped = new Map();
+    ads.forEach((ad, index) => {
+        // The narrowest cap reached is the one reported
+        const hit = targets[index].map(t => reached.get(`${t.scope}:${t.target}`)).find(Boolean);
+        if (hit) capped.set(String(idOf(ad.id || ad._id)), hit);
+    });
+    return capped;
+}
+
+/**
+ * Count an impression against the ad's, campaign's and advertiser's counters for the viewer.
+ * Every window is counted, capped or not, so a cap added later sees the impressions already shown.
+ * @param {String} viewerId - Viewer the ad was shown to.
+ * @param {Object} ad - Ad served ({ id, campaign, advertiser }).
+ * @param {Date} now - Time the ad was served.
+ */
+async function recordImpression(viewerId, ad, now = new Date()) {
+    const transaction = redisClient.multi();
+    for (const target of capTargets(ad)) {
+        for (const [period, seconds] of Object.entries(FREQUENCY_CAP_PERIODS)) {
+            const key = counterKey(target, viewerId, period, now);
+            transaction.incr(key);
+            // Counters outlive their window a little so the window's last lookups still see them
+            transaction.expire(key, seconds * 2);
+        }
+    }
+    await transaction.exec();
+}
+
+module.exports = {
+    FrequencyCapOwnershipError,
+    setCaps,
+    getCaps,
+    cappedAds,
+    recordImpression,
+};
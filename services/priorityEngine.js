@@ -0,0 +1,163 @@
+// Bid priority scores and their explanations. A score is the weighted sum of a few signals
+// about the bid; every score is stored with its breakdown and the version of the weights it
+// used, so a bidder can see why a bid ranked where it did and the score can be recomputed later.
+
+const Auction = require('../models/auction');
+const BidEvent = require('../models/bidEvent');
+const ScoringWeights = require('../models/scoringWeights');
+const aiMiddleware = require('./aiMiddleware');
+const localizationMiddleware = require('./localizationMiddleware');
+const sustainabilityMiddleware = require('./sustainabilityMiddleware');
+const logger = require('./logger');
+const { reduceBidEvents } = require('../utils/bidLedger');
+const { weighPriorityScore } = require('../utils/bidRules');
+
+const DEFAULT_REGION = 'default';
+
+// Where each score component's raw value comes from, besides the bid amount; the weights are
+// applied by bidRules. These signals depend on the bidder and the auction, not on the amount.
+const BIDDER_SIGNALS = {
+    historicalWinRate: bid => aiMiddleware.getHistoricalWinRate(bid.bidderId),
+    engagement: bid => aiMiddleware.getEngagementScore(bid.bidderId),
+    sustainability: bid => sustainabilityMiddleware.calculateSustainabilityScore(bid),
+    auctionActivity: bid => aiMiddleware.getAuctionActivityScore(bid.auctionId),
+};
+
+// Weights are published per auction region (stored uppercase on auctions), or as the default
+const regionKey = region => (!region || region === DEFAULT_REGION ? DEFAULT_REGION : region.toUpperCase());
+
+async function fetchBidderSignals(bid) {
+    const signals = {};
+    for (const [name, signal] of Object.entries(BIDDER_SIGNALS)) {
+        signals[name] = await signal(bid);
+    }
+    return signals;
+}
+
+/**
+ * Weights in effect for a region. The first time a region is scored its localization
+ * defaults are published as version 1.
+ * @param {String} region - Region of the bid.
+ * @returns {Object} - ScoringWeights document.
+ */
+async function currentWeights(region = DEFAULT_REGION) {
+    const weights = await ScoringWeights.current(region);
+    if (weights) return weights;
+
+    const defaults = localizationMiddleware.getWeightages(region === DEFAULT_REGION ? undefined : region);
+    try {
+        return await ScoringWeights.publish(region, defaults, { createdBy: 'system', note: 'Localization defaults' });
+    } catch (error) {
+        // Another bid may have published the defaults first
+        const published = await ScoringWeights.current(region);
+        if (published) return published;
+        throw error;
+    }
+}
+
+/**
+ * Score a bid and explain the score.
+ * @param {Object} bid - Bid with bidderId, auctionId, amount and optional region (the auction's).
+ * @param {Map} signalCache - Bidder signals already fetched, keyed by auction and bidder; pass the
+ *   same map while retrying a commit so the AI lookups are not repeated.
+ * @returns {Object} - { score, weightsVersion, region, components: [{ name, raw, weight, contribution }] }
+ */
+async function explainPriorityScore(bid, signalCache = new Map()) {
+    const region = regionKey(bid.region);
+    const weights = await currentWeights(region);
+
+    const cacheKey = `${bid.auctionId}:${bid.bidderId}`;
+    if (!signalCache.has(cacheKey)) {
+        signalCache.set(cacheKey, fetchBidderSignals(bid));
+    }
+    const raws = { bidAmount: bid.amount, ...(await signalCache.get(cacheKey)) };
+
+    return { ...weighPriorityScore(raws, weights.weights), weightsVersion: weights.version, region };
+}
+
+/**
+ * Recompute a stored breakdown against another version of its region's weights.
+ * @param {Object} breakdown - Breakdown as returned by explainPriorityScore.
+ * @param {Number} version - Weights version to apply.
+ * @returns {Object|null} - Recomputed breakdown, or null if the version does not exist.
+ */
+async function recomputePriorityScore(breakdown, version) {
+    const weights = await ScoringWeights.byVersion(breakdown.region, version);
+    if (!weights) return null;
+
+    const raws = Object.fromEntries(breakdown.components.map(component => [component.name, component.raw]));
+    return { ...weighPriorityScore(raws, weights.weights), weightsVersion: weights.version, region: breakdown.region };
+}
+
+/**
+ * Publish a new version of a region's weights. Scores already stored keep the version they used.
+ * @param {String} region - Region the weights apply to.
+ * @param {Object} weights - Weight per component.
+ * @param {Object} details - { createdBy, note, effectiveFrom }
+ * @returns {Object} - Published ScoringWeights document.
+ */
+async function publishWeights(region = DEFAULT_REGION, weights, details = {}) {
+    region = regionKey(region);
+    try {
+        const published = await ScoringWeights.publish(region, weights, details);
+        logger.info(`Scoring weights v${published.version} published for region ${region}`);
+        return published;
+    } catch (error) {
+        logger.error('Error publishing scoring weights:', error);
+        throw new Error('Failed to publish scoring weights');
+    }
+}
+
+/**
+ * Explain a bidder's own bids on an auction: each bid's score breakdown and where it ranks
+ * among the standing bids. Other bidders' breakdowns are never included.
+ * @param {String} auctionId - ID of the auction.
+ * @param {String} bidderId - Bidder asking.
+ * @param {Object} options - { weightsVersion } to also recompute each score against that version.
+ * @returns {Object|null} - Insights, or null if the auction does not exist.
+ */
+async function getBidInsights(auctionId, bidderId, { weightsVersion } = {}) {
+    if (!(await Auction.exists({ _id: auctionId }))) return null;
+
+    const events = await BidEvent.forAuction(auctionId);
+    const scoreOf = event => (event.data && event.data.priorityScore !== undefined ? event.data.priorityScore : null);
+    const ranked = reduceBidEvents(events).bids
+        .filter(event => scoreOf(event) !== null)
+        .sort((a, b) => scoreOf(b) - scoreOf(a) || a.sequence - b.sequence);
+    const isOwn = event => String(event.bidder) === String(bidderId);
+    const bestCompetitor = ranked.find(event => !isOwn(event));
+
+    const bids = [];
+    for (const event of events.filter(e => e.type === 'bid_placed' && isOwn(e))) {
+        const breakdown = (event.data && event.data.scoreBreakdown) || null;
+        const rank = ranked.findIndex(standing => standing.sequence === event.sequence);
+        bids.push({
+            sequence: event.sequence,
+            amount: event.amount,
+            isProxy: event.isProxy,
+            placedAt: event.occurredAt,
+            standing: rank !== -1,
+            rank: rank === -1 ? null : rank + 1,
+            priorityScore: scoreOf(event),
+            breakdown,
+            recomputed: weightsVersion && breakdown ? await recomputePriorityScore(breakdown, weightsVersion) : undefined,
+        });
+    }
+
+    return {
+        auctionId,
+        rankedBids: ranked.length,
+        // The score to beat, without revealing whose it is or how it was made up
+        topCompetingScore: bestCompetitor ? scoreOf(bestCompetitor) : null,
+        bids,
+    };
+}
+
+module.exports = {
+    SCORE_COMPONENTS,
+    currentWeights,
+    explainPriorityScore,
+    recomputePriorityScore,
+    publishWeights,
+    getBidInsights,
+};
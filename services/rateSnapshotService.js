@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const Auction = require('../models/auction');
+const ExchangeRateTable = require('../models/exchangeRateTable');
+const logger = require('../utils/logger');
+
+// Converted amounts are rounded to cents so every replay of a bid lands on the same amount
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Currencies an auction takes bids in; its own currency always among them
+function acceptedCurrencies(auction) {
+    return [...new Set([auction.currency, ...(auction.acceptedCurrencies || [])])];
+}
+
+/**
+ * Publish a new version of the exchange rate table
+ * @param {Object} table - { baseCurrency, rates } with rates in units of baseCurrency per unit of each currency.
+ * @param {Object} origin - { source ('file' or 'admin'), sourceRef }
+ * @returns {Object} - Published ExchangeRateTable document.
+ */
+async function publishRateTable({ baseCurrency, rates }, { source, sourceRef }) {
+    try {
+        const table = await ExchangeRateTable.publish({ baseCurrency, rates, source, sourceRef });
+        logger.info(`Exchange rate table v${table.version} published from ${source} (${sourceRef})`);
+        return table;
+    } catch (error) {
+        logger.error('Error publishing exchange rate table:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to publish exchange rate table.');
+    }
+}
+
+/**
+ * Load the rate table from a JSON file ({ baseCurrency, rates }). A file matching the current
+ * table is not published again, so this can run on every start.
+ * @param {String} filePath - Path of the rate file.
+ * @returns {Object} - Current ExchangeRateTable document.
+ */
+async function loadRatesFromFile(filePath) {
+    const { baseCurrency, rates } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const current = await ExchangeRateTable.current();
+    const unchanged = current
+        && current.baseCurrency === String(baseCurrency).toUpperCase()
+        && current.rates.size === Object.keys(rates).length
+        && Object.entries(rates).every(([currency, rate]) => current.rates.get(currency) === rate);
+    if (unchanged) {
+        return current;
+    }
+    return publishRateTable({ baseCurrency, rates }, { source: 'file', sourceRef: filePath });
+}
+
+/**
+ * Rates an auction will use for its whole life: one per accepted currency, in units of the
+ * auction's currency, taken from the current rate table. Currencies the table has no rate for
+ * are left out, and bids in them are rejected.
+ * @param {Object} auction - Auction document.
+ * @returns {Object} - Rate snapshot for auction.rateSnapshot.
+ */
+async function snapshotFor(auction) {
+    const table = await ExchangeRateTable.current();
+    const rates = { [auction.currency]: 1 };
+    for (const currency of acceptedCurrencies(auction)) {
+        const rate = table && table.rateBetween(currency, auction.currency);
+        if (rate) rates[currency] = rate;
+    }
+    return {
+        table: table ? table._id : null,
+        version: table ? table.version : null,
+        rates,
+        frozenAt: new Date(),
+    };
+}
+
+/**
+ * Freeze an auction's rates if they are not frozen yet. The first caller wins; everyone else
+ * gets the snapshot it stored.
+ * @param {Object} auction - Auction document.
+ * @returns {Object} - The auction's rate snapshot.
+ */
+async function freezeRates(auction) {
+    if (auction.rateSnapshot && auction.rateSnapshot.frozenAt) {
+        return auction.rateSnapshot;
+    }
+    try {
+        const frozen = await Auction.findOneAndUpdate(
+            { _id: auction._id, 'rateSnapshot.frozenAt': null },
+            { $set: { rateSnapshot: await snapshotFor(auction) } },
+            { new: true }
+        ) || await Auction.findById(auction._id).select('rateSnapshot');
+        logger.info(`Exchange rates for auction ${auction._id} frozen at table v${frozen.rateSnapshot.version}`);
+        return frozen.rateSnapshot;
+    } catch (error) {
+        logger.error('Error freezing auction exchange rates:', error);
+        throw new Error('Failed to freeze auction exchange rates.');
+    }
+}
+
+/**
+ * Convert a bid amount into the auction's currency at its frozen rate
+ * @param {Number} amount - Amount as bid.
+ * @param {String} currency - Currency bid in; defaults to the auction's.
+ * @param {Object} auction - Auction document.
+ * @param {Object} snapshot - The auction's rate snapshot.
+ * @returns {Object} - { amount, originalAmount, originalCurrency, exchangeRate }, or { rejected }.
+ */
+function convertAmount(amount, currency, auction, snapshot) {
+    const originalCurrency = (currency || auction.currency).toUpperCase();
+    const accepted = acceptedCurrencies(auction);
+    const rate = accepted.includes(originalCurrency) && snapshot.rates.get(originalCurrency);
+    if (!rate) {
+        return {
+            rejected: {
+                success: false,
+                code: 'CURRENCY_NOT_ACCEPTED',
+                message: `Bids on this auction must be in ${accepted.filter(c => snapshot.rates.get(c)).join(', ')}.`,
+            },
+        };
+    }
+    return {
+        amount: roundAmount(amount * rate),
+        originalAmount: amount,
+        originalCurrency,
+        exchangeRate: rate,
+    };
+}
+
+module.exports = {
+    acceptedCurrencies,
+    publishRateTable,
+    loadRatesFromFile,
+    snapshotFor,
+    freezeRates,
+    convertAmount,
+};
@@ -0,0 +1,95 @@
+const Auction = require('../models/auction');
+const SavedSearch = require('../models/savedSearch');
+const logger = require('../utils/logger');
+
+// Saved searches a user may keep; each one is checked against every new auction
+const MAX_SAVED_SEARCHES = 25;
+// Results returned when running a saved search
+const MAX_SEARCH_RESULTS = 100;
+
+class SavedSearchLimitError extends Error {
+    constructor() {
+        super(`You can keep at most ${MAX_SAVED_SEARCHES} saved searches.`);
+        this.name = 'SavedSearchLimitError';
+        this.statusCode = 409;
+    }
+}
+
+/**
+ * Save a search for a user
+ * @param {String} userId - User saving the search.
+ * @param {Object} data - { name, filters, notify }
+ * @returns {Object} - Created saved search.
+ */
+async function createSavedSearch(userId, { name, filters, notify }) {
+    try {
+        if (await SavedSearch.countDocuments({ user: userId }) >= MAX_SAVED_SEARCHES) {
+            throw new SavedSearchLimitError();
+        }
+        const search = await SavedSearch.create({ user: userId, name, filters, notify });
+        logger.info(`Saved search ${search._id} created by user ${userId}`);
+        return search;
+    } catch (error) {
+        logger.error('Error creating saved search:', error);
+        if (error.name === 'ValidationError' || error instanceof SavedSearchLimitError) throw error;
+        throw new Error('Failed to create saved search.');
+    }
+}
+
+/**
+ * Change a saved search's name, filters or notification setting
+ * @param {Object} search - SavedSearch document.
+ * @param {Object} changes - { name, filters, notify }; filters replace the saved ones.
+ * @returns {Object} - Updated saved search.
+ */
+async function updateSavedSearch(search, { name, filters, notify }) {
+    try {
+        if (name !== undefined) search.name = name;
+        if (filters !== undefined) search.filters = filters;
+        if (notify !== undefined) search.notify = notify;
+        return await search.save();
+    } catch (error) {
+        logger.error('Error updating saved search:', error);
+        if (error.name === 'ValidationError') throw error;
+        throw new Error('Failed to update saved search.');
+    }
+}
+
+// Scheduled and live auctions matching a saved search, ending soonest first
+function runSavedSearch(search) {
+    return Auction.find(search.auctionQuery())
+        .sort({ expirationTime: 1 })
+        .limit(MAX_SEARCH_RESULTS);
+}
+
+/**
+ * Saved searches that want to hear about an auction, grouped by user. A streamer's own
+ * searches never match their own auctions.
+ * @param {Object} auction - Newly scheduled auction.
+ * @returns {Map} - User ID -> matching saved searches.
+ */
+async function matchingSearches(auction) {
+    const matches = new Map();
+    // Filters combine lists and open ranges, so they are checked here rather than in a query
+    const searches = SavedSearch.find({ notify: true, user: { $ne: auction.streamer } }).cursor();
+    for await (const search of searches) {
+        if (search.matches(auction)) {
+            const userId = String(search.user);
+            matches.set(userId, [...(matches.get(userId) || []), search]);
+        }
+    }
+    await SavedSearch.updateMany(
+        { _id: { $in: [...matches.values()].flat().map(search => search._id) } },
+        { $set: { lastMatchedAt: new Date() } }
+    );
+    return matches;
+}
+
+module.exports = {
+    MAX_SAVED_SEARCHES,
+    SavedSearchLimitError,
+    createSavedSearch,
+    updateSavedSearch,
+    runSavedSearch,
+    matchingSearches,
+};
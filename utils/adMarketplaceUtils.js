@@ -3,6 +3,7 @@ const predictiveAnalytics = require('./predictiveAnalytics');
 const mlFraudDetection = require('./mlFraudDetection');
 const blockchain = require('./blockchain');
 const redis = require('redis');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const { expect } = require('chai');
 
@@ -117,32 +118,157 @@ const runMultiRegionAuction = async (auctionDetails) => {
     }
 };
 
+// Dutch price at a point in time. The price is derived from the persisted clock
+// start rather than a running counter, so a restarted process resumes mid-auction.
+const getDutchAuctionPrice = (auctionDetails, now = Date.now()) => {
+    const { initialPrice, floorPrice = 0, decrement, timeInterval, clockStartedAt } = auctionDetails;
+    const elapsedTicks = Math.max(0, Math.floor((now - new Date(clockStartedAt).getTime()) / timeInterval));
+    return Math.max(floorPrice, initialPrice - elapsedTicks * decrement);
+};
+
 // Dutch Auction Logic
 const runDutchAuction = async (auctionDetails) => {
-    const { adSlotId, initialPrice, decrement, timeInterval } = auctionDetails;
-    if (!adSlotId || !initialPrice || !decrement || !timeInterval) {
+    const { adSlotId, initialPrice, decrement, timeInterval, clockStartedAt, expiresAt, onTick, isSold } = auctionDetails;
+    if (!adSlotId || !initialPrice || !decrement || !timeInterval || !clockStartedAt || !onTick || !isSold) {
         throw new Error('Invalid Dutch auction details provided.');
     }
 
-    let currentPrice = initialPrice;
-    while (currentPrice > 0) {
-        console.log(`Current price for ${adSlotId}: ${currentPrice}`);
-        await new Promise(resolve => setTimeout(resolve, timeInterval));
-        currentPrice -= decrement;
+    let lastPrice = null;
+    while (!expiresAt || Date.now() < new Date(expiresAt).getTime()) {
+        if (await isSold()) {
+            return { success: true, message: 'Dutch auction sold', sold: true };
+        }
+
+        const currentPrice = getDutchAuctionPrice(auctionDetails);
+        if (currentPrice !== lastPrice) {
+            await onTick(currentPrice);
+            lastPrice = currentPrice;
+        }
+
+        // Sleep until the next tick boundary so every replica ticks on the same schedule
+        const elapsed = Date.now() - new Date(clockStartedAt).getTime();
+        await new Promise(resolve => setTimeout(resolve, timeInterval - (elapsed % timeInterval)));
+    }
+    return { success: true, message: 'Dutch auction expired unsold', sold: false, finalPrice: lastPrice };
+};
+
+// Proxy (max) bid resolution. Every bidder gets a ceiling: the leader's current bid
+// or their registered maximum, whichever is higher. The highest ceiling wins, ties go
+// to the ceiling registered first, and the winner pays one increment over the
+// runner-up's ceiling. Returns the automatic bids to place, in order.
+const resolveProxyBids = (auctionState, proxyBids) => {
+    const { highestBid, highestBidder, leadingBidAt, minimumIncrement, startingBid } = auctionState;
+    const leader = highestBidder ? String(highestBidder) : null;
+    const minimumNextBid = leader ? highestBid + minimumIncrement : startingBid;
+
+    const ceilings = new Map();
+    if (leader) {
+        ceilings.set(leader, { bidderId: leader, ceiling: highestBid, registeredAt: new Date(leadingBidAt || 0), isProxy: false });
+    }
+    for (const proxyBid of proxyBids.filter(p => p.active)) {
+        const bidderId = String(proxyBid.user);
+        const candidate = { bidderId, ceiling: proxyBid.maxAmount, registeredAt: new Date(proxyBid.registeredAt), isProxy: true };
+        if (bidderId === leader) {
+            if (candidate.ceiling > highestBid) ceilings.set(bidderId, candidate);
+        } else if (candidate.ceiling >= minimumNextBid) {
+            ceilings.set(bidderId, candidate);
+        }
+    }
+
+    const [winner, runnerUp] = [...ceilings.values()]
+        .sort((a, b) => b.ceiling - a.ceiling || a.registeredAt - b.registeredAt);
+    if (!winner) return [];
+
+    if (!runnerUp) {
+        return winner.bidderId === leader ? [] : [{ bidderId: winner.bidderId, amount: minimumNextBid }];
+    }
+
+    // The winner's bid is placed first so a runner-up with an equal ceiling can never displace it
+    const autoBids = [];
+    const price = Math.min(winner.ceiling, Math.max(runnerUp.ceiling + minimumIncrement, minimumNextBid));
+    if (winner.bidderId !== leader || price > highestBid) {
+        autoBids.push({ bidderId: winner.bidderId, amount: price });
+    }
+    if (runnerUp.isProxy && runnerUp.ceiling > highestBid) {
+        autoBids.push({ bidderId: runnerUp.bidderId, amount: runnerUp.ceiling });
     }
-    return { success: true, message: 'Dutch auction completed', winningPrice: currentPrice };
+    return autoBids;
+};
+
+// Sealed bid commitment hash. Binding the auction and bidder into the hash
+// stops one bidder from copying another's commitment; amounts are hashed in cents
+// so 10 and 10.00 produce the same commitment.
+const hashSealedBid = (auctionId, bidderId, amount, salt) => {
+    return crypto
+        .createHash('sha256')
+        .update(`${auctionId}:${bidderId}:${Number(amount).toFixed(2)}:${salt}`)
+        .digest('hex');
 };
 
 // Sealed Bid Auction Logic
 const runSealedBidAuction = async (auctionDetails) => {
-    const { adSlotId, bids } = auctionDetails;
-    if (!adSlotId || !bids || !Array.isArray(bids)) {
+    const { adSlotId, commitments, reservePrice = 0 } = auctionDetails;
+    if (!adSlotId || !commitments || !Array.isArray(commitments)) {
         throw new Error('Invalid sealed-bid auction details provided.');
     }
 
-    const winningBid = Math.max(...bids);
-    console.log(`Sealed-bid auction for ${adSlotId} completed. Winning bid: ${winningBid}`);
-    return { success: true, message: 'Sealed-bid auction completed', winningBid };
+    const validBids = [];
+    const disqualified = [];
+    for (const commitment of commitments) {
+        if (commitment.amount === undefined || commitment.amount === null || !commitment.salt) {
+            disqualified.push({ bidderId: commitment.bidderId, reason: 'not_revealed' });
+        } else if (hashSealedBid(adSlotId, commitment.bidderId, commitment.amount, commitment.salt) !== commitment.commitment) {
+            disqualified.push({ bidderId: commitment.bidderId, reason: 'commitment_mismatch' });
+        } else {
+            validBids.push(commitment);
+        }
+    }
+
+    // Highest revealed amount wins; equal amounts go to whoever committed first
+    validBids.sort((a, b) => b.amount - a.amount || new Date(a.committedAt) - new Date(b.committedAt));
+    const [winner, runnerUp] = validBids;
+
+    if (!winner || winner.amount < reservePrice) {
+        console.log(`Sealed-bid auction for ${adSlotId} closed without a winner.`);
+        return { success: true, message: 'Sealed-bid auction closed without a winner', winner: null, disqualified };
+    }
+
+    console.log(`Sealed-bid auction for ${adSlotId} completed. Winning bid: ${winner.amount}`);
+    return {
+        success: true,
+        message: 'Sealed-bid auction completed',
+        winner: winner.bidderId,
+        winningBid: winner.amount,
+        runnerUpBid: runnerUp ? runnerUp.amount : 0,
+        disqualified
+    };
+};
+
+// Generalized second price (GSP) allocation for a multi-slot ad break. Each bidder's standing
+// bid is ranked by priority score (ties go to the earlier bid) and the top K fill the slots in
+// rank order. A winner pays the least it could have bid and kept its rank: the next bidder's
+// score divided by the winner's own score per unit bid, never below the reserve or above its bid.
+const allocateGspSlots = ({ bids, slotCount, slotDurationSeconds, reservePrice = 0 }) => {
+    const ranked = bids
+        .filter(bid => bid.amount >= reservePrice)
+        .map(bid => ({ ...bid, score: bid.priorityScore > 0 ? bid.priorityScore : bid.amount }))
+        .sort((a, b) => b.score - a.score || new Date(a.timestamp) - new Date(b.timestamp));
+
+    return ranked.slice(0, slotCount).map((bid, index) => {
+        const next = ranked[index + 1];
+        const scorePerUnit = bid.score / bid.amount;
+        const gspPrice = next ? Math.ceil((next.score / scorePerUnit) * 100) / 100 : 0;
+        return {
+            position: index + 1,
+            bidderId: bid.bidderId,
+            campaignId: bid.campaignId,
+            bid: bid.amount,
+            priorityScore: bid.score,
+            price: Math.min(bid.amount, Math.max(reservePrice, gspPrice)),
+            startOffsetSeconds: index * slotDurationSeconds,
+            durationSeconds: slotDurationSeconds
+        };
+    });
 };
 
 // Basic Marketplace Metrics
@@ -192,7 +318,11 @@ module.exports = {
     runStandardAuction,
     runMultiRegionAuction,
     runDutchAuction,
+    getDutchAuctionPrice,
+    resolveProxyBids,
+    allocateGspSlots,
     runSealedBidAuction,
+    hashSealedBid,
     getBasicMarketplaceMetrics,
     getAdvancedMarketplaceMetrics,
     integrateAdPlatform,
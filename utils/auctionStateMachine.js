@@ -0,0 +1,113 @@
+// Auction lifecycle state machine.
+// draft -> scheduled -> live -> closing -> settled, with canceled and
+// failed_reserve as the other terminal states. All status changes go through
+// here so services, controllers and the scheduler agree on what is legal.
+
+const AUCTION_STATES = Object.freeze({
+    DRAFT: 'draft',
+    SCHEDULED: 'scheduled',
+    LIVE: 'live',
+    CLOSING: 'closing',
+    SETTLED: 'settled',
+    CANCELED: 'canceled',
+    FAILED_RESERVE: 'failed_reserve'
+});
+
+const TRANSITIONS = Object.freeze({
+    draft: ['scheduled', 'canceled'],
+    scheduled: ['live', 'canceled'],
+    live: ['closing', 'canceled'],
+    closing: ['settled', 'failed_reserve'],
+    settled: [],
+    canceled: [],
+    failed_reserve: []
+});
+
+// Timestamp field written on the document when a state is entered
+const STATE_TIMESTAMPS = Object.freeze({
+    scheduled: 'scheduledAt',
+    live: 'liveAt',
+    closing: 'closingAt',
+    settled: 'settledAt',
+    canceled: 'canceledAt',
+    failed_reserve: 'failedReserveAt'
+});
+
+const meetsReserve = (auction) => Boolean(auction.highestBidder) && auction.highestBid >= (auction.reservePrice || 0);
+
+// Guards return an error message when the transition is not allowed, or null
+const GUARDS = {
+    'draft->scheduled': (auction, { now }) =>
+        auction.expirationTime > now ? null : 'Auction cannot be scheduled with an expiration time in the past.',
+    'scheduled->live': (auction, { now }) =>
+        !auction.startTime || auction.startTime <= now ? null : 'Auction start time has not been reached.',
+    'live->closing': (auction, { now, endEarly }) =>
+        endEarly || auction.expirationTime <= now || (auction.auctionType === 'dutch' && auction.highestBidder)
+            ? null
+            : 'Auction has not expired yet.',
+    'live->canceled': (auction) =>
+        auction.highestBidder ? 'Auction with bids cannot be canceled.' : null,
+    'closing->settled': (auction) =>
+        meetsReserve(auction) ? null : 'Reserve price was not met.',
+    'closing->failed_reserve': (auction) =>
+        meetsReserve(auction) ? 'Reserve price was met; the auction must settle.' : null
+};
+
+class AuctionTransitionError extends Error {
+    constructor(message, { auctionId, from, to } = {}) {
+        super(message);
+        this.name = 'AuctionTransitionError';
+        this.code = 'ILLEGAL_AUCTION_TRANSITION';
+        this.statusCode = 409;
+        this.auctionId = auctionId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw an AuctionTransitionError unless `auction` may move to `to` right now.
+ * @param {Object} auction - Auction document or plain object.
+ * @param {String} to - Target state.
+ * @param {Object} context - { now, endEarly } passed to the guard.
+ */
+function assertTransition(auction, to, context = {}) {
+    const from = auction.status;
+    const details = { auctionId: auction._id, from, to };
+    if (!canTransition(from, to)) {
+        throw new AuctionTransitionError(`Auction cannot move from ${from} to ${to}.`, details);
+    }
+
+    const guard = GUARDS[`${from}->${to}`];
+    const failure = guard && guard(auction, { now: new Date(), ...context });
+    if (failure) {
+        throw new AuctionTransitionError(failure, details);
+    }
+}
+
+/**
+ * Build the transition log entry and field updates for moving `auction` to `to`.
+ * Callers either apply them to a loaded document or use them in an atomic update.
+ * @returns {Object} - { entry, timestampField, at }
+ */
+function describeTransition(auction, to, { actor, reason, now = new Date() } = {}) {
+    return {
+        entry: { from: auction.status, to, at: now, actor, reason },
+        timestampField: `statusTimestamps.${STATE_TIMESTAMPS[to]}`,
+        at: now
+    };
+}
+
+module.exports = {
+    AUCTION_STATES,
+    TRANSITIONS,
+    AuctionTransitionError,
+    canTransition,
+    assertTransition,
+    describeTransition,
+    meetsReserve
+};
@@ -0,0 +1,270 @@
+// Rebuilds auction bid state from the append-only bid ledger (models/bidEvent.js).
+// The ledger is the source of truth; the embedded bidHistory, the engine's in-memory
+// bid list and the auction's highestBid/runnerUpBid fields are all projections of it.
+
+const Auction = require('../models/auction');
+const BidEvent = require('../models/bidEvent');
+const Campaign = require('../models/campaign');
+const logger = require('./logger');
+const { meetsReserve } = require('./auctionStateMachine');
+
+// Rebuilds retried after losing a race with a concurrent bid commit
+const MAX_REBUILD_ATTEMPTS = 3;
+
+// Winner and price as settlement would see them; all null when the reserve was not met
+function outcomeOf(auction) {
+    if (!meetsReserve(auction)) {
+        return { winner: null, winningBid: null, runnerUpBid: null, clearingPrice: null };
+    }
+    return {
+        winner: String(auction.highestBidder),
+        winningBid: auction.highestBid,
+        runnerUpBid: auction.runnerUpBid || 0,
+        clearingPrice: auction.calculateClearingPrice(),
+    };
+}
+
+/**
+ * Fold ordered bid events into auction bid state. Pure and deterministic: the same events
+ * always produce the same leader, runner-up and extensions.
+ * @param {Array} events - Bid events sorted by sequence.
+ * @returns {Object} - { bids, rejected, retracted, highestBid, highestBidder, highestBidCampaign, runnerUpBid, expirationTime, extensionCount, settlement, gaps }
+ */
+function reduceBidEvents(events) {
+    const placed = new Map();
+    const rejected = [];
+    const retracted = [];
+    const gaps = [];
+    let expirationTime = null;
+    let extensionCount = 0;
+    let settlement = null;
+    let expectedSequence = 1;
+
+    for (const event of events) {
+        for (; expectedSequence < event.sequence; expectedSequence++) {
+            gaps.push(expectedSequence);
+        }
+        expectedSequence = event.sequence + 1;
+
+        switch (event.type) {
+            case 'bid_placed':
+                placed.set(event.sequence, event);
+                break;
+            case 'bid_retracted':
+                if (placed.delete(event.relatedSequence)) {
+                    retracted.push(event);
+                }
+                break;
+            case 'bid_rejected':
+                rejected.push(event);
+                break;
+            case 'auction_extended':
+                expirationTime = event.data.expirationTime;
+                extensionCount = event.data.extensionCount;
+                break;
+            case 'auction_settled':
+                settlement = event;
+                break;
+            default:
+                break;
+        }
+    }
+
+    // A bid only takes the lead by beating the leader outright, so ties go to the earlier bid.
+    // The runner-up is the best bid from anyone other than the leader.
+    const bids = [...placed.values()];
+    let leader = null;
+    for (const bid of bids) {
+        if (!leader || bid.amount > leader.amount) {
+            leader = bid;
+        }
+    }
+    const runnerUpBid = bids
+        .filter(bid => leader && String(bid.bidder) !== String(leader.bidder))
+        .reduce((max, bid) => Math.max(max, bid.amount), 0);
+
+    return {
+        bids,
+        rejected,
+        retracted,
+        highestBid: leader ? leader.amount : 0,
+        highestBidder: leader ? leader.bidder : null,
+        highestBidCampaign: leader ? leader.campaign : null,
+        winningSequence: leader ? leader.sequence : null,
+        runnerUpBid,
+        expirationTime,
+        extensionCount,
+        settlement,
+        gaps,
+    };
+}
+
+/**
+ * Recompute an auction's winner and price from its bid ledger, and compare them with what
+ * is stored on the auction. Used by support to answer disputes about who really won.
+ * @param {String} auctionId - ID of the auction.
+ * @returns {Object} - Replayed outcome, stored outcome and any discrepancies.
+ */
+async function replayAuction(auctionId) {
+    const auction = await Auction.findById(auctionId);
+    if (!auction) {
+        throw new Error('Auction not found.');
+    }
+
+    const events = await BidEvent.forAuction(auctionId);
+    const state = reduceBidEvents(events);
+
+    // Price the replayed state with the auction's own rules (clearing rule, reserve, increment)
+    const projected = Auction.hydrate(auction.toObject());
+    projected.highestBid = state.highestBid;
+    projected.highestBidder = state.highestBidder;
+    projected.runnerUpBid = state.runnerUpBid;
+    const replayed = outcomeOf(projected);
+    const stored = outcomeOf(auction);
+    if (stored.winner) {
+        // Settlement may have priced the auction differently (e.g. a Dutch clock price)
+        stored.clearingPrice = auction.clearingPrice;
+    }
+    const discrepancies = Object.keys(replayed)
+        .filter(field => replayed[field] !== stored[field])
+        .map(field => ({ field, replayed: replayed[field], stored: stored[field] }));
+
+    // Sequences reserved but never written mean events were lost after their commit
+    for (let sequence = (events.length ? events[events.length - 1].sequence : 0) + 1; sequence <= auction.ledgerSequence; sequence++) {
+        state.gaps.push(sequence);
+    }
+
+    return {
+        auctionId: auction._id,
+        status: auction.status,
+        eventCount: events.length,
+        complete: state.gaps.length === 0,
+        missingSequences: state.gaps,
+        outcome: replayed.winner ? 'settled' : state.highestBidder ? 'failed_reserve' : 'no_bids',
+        replayed: { ...replayed, highestBid: state.highestBid, highestBidder: state.highestBidder, winningSequence: state.winningSequence },
+        stored,
+        matchesStoredState: discrepancies.length === 0,
+        discrepancies,
+        bids: state.bids,
+        rejected: state.rejected,
+        retracted: state.retracted,
+        extensions: state.extensionCount,
+        settlement: state.settlement,
+    };
+}
+
+/**
+ * Rewrite an auction's bid projection (leader, runner-up, clearing price, bidHistory) from
+ * its ledger, e.g. after a retraction. Conditional on the version it read, like Auction#commitBid.
+ * @param {String} auctionId - ID of the auction.
+ * @returns {Object|null} - Updated auction, or null if another write got in first.
+ */
+async function rebuildAuctionState(auctionId) {
+    const auction = await Auction.findById(auctionId);
+    if (!auction) {
+        throw new Error('Auction not found.');
+    }
+
+    const state = reduceBidEvents(await BidEvent.forAuction(auctionId));
+    const projected = Auction.hydrate(auction.toObject());
+    projected.highestBid = state.highestBid || auction.startingBid;
+    projected.highestBidder = state.highestBidder;
+    projected.runnerUpBid = state.runnerUpBid;
+
+    return Auction.findOneAndUpdate(
+        { _id: auctionId, __v: auction.__v },
+        {
+            $set: {
+                highestBid: projected.highestBid,
+                highestBidder: state.highestBidder,
+                highestBidCampaign: state.highestBidCampaign,
+                currentBid: projected.highestBid,
+                runnerUpBid: state.runnerUpBid,
+                clearingPrice: state.highestBidder ? projected.calculateClearingPrice() : null,
+                bidHistory: state.bids.map(bid => ({
+                    user: bid.bidder,
+                    campaign: bid.campaign,
+                    amount: bid.amount,
+                    originalAmount: bid.originalAmount,
+                    originalCurrency: bid.originalCurrency,
+                    exchangeRate: bid.exchangeRate,
+                    isProxy: bid.isProxy,
+                    priorityScore: bid.data && bid.data.priorityScore,
+                    scoreBreakdown: bid.data && bid.data.scoreBreakdown,
+                    timestamp: bid.occurredAt,
+                })),
+                updatedAt: new Date(),
+            },
+            $inc: { __v: 1 },
+        },
+        { new: true }
+    );
+}
+
+// Budget follows the lead after a rebuild: hold for the new leader, release the old leader's hold.
+// In multi-slot auctions each standing bid holds its own amount, so only the retracted bids' campaigns
+// change: they drop to their next best standing bid, or to nothing.
+async function moveHolds(previousCampaign, auction, retracted) {
+    if (auction.auctionType === 'multi_slot') {
+        const campaignIds = new Set(retracted.filter(bid => bid.campaign).map(bid => String(bid.campaign)));
+        for (const campaignId of campaignIds) {
+            const standing = auction.standingBids()
+                .filter(bid => String(bid.campaign) === campaignId)
+                .reduce((max, bid) => Math.max(max, bid.amount), 0);
+            if (standing) {
+                await Campaign.holdBudget(campaignId, auction._id, standing);
+            } else {
+                await Campaign.releaseHold(campaignId, auction._id);
+            }
+        }
+        return;
+    }
+
+    if (auction.highestBidCampaign) {
+        const hold = await Campaign.holdBudget(auction.highestBidCampaign, auction._id, auction.highestBid);
+        if (!hold.held) {
+            logger.warn(`Campaign ${auction.highestBidCampaign} cannot cover its fallback lead of ${auction.highestBid} on auction ${auction._id}`);
+        }
+    }
+    if (previousCampaign && String(previousCampaign) !== String(auction.highestBidCampaign)) {
+        await Campaign.releaseHold(previousCampaign, auction._id);
+    }
+}
+
+/**
+ * Retract placed bids: record a bid_retracted event for each, then rebuild the auction so
+ * the best remaining bid leads again.
+ * @param {String} auctionId - ID of the auction.
+ * @param {Array} bids - bid_placed events to retract, as returned by reduceBidEvents.
+ * @param {Object} details - { actor, reason } recorded on the retraction events.
+ * @returns {Object} - Rebuilt auction.
+ */
+async function retractBids(auctionId, bids, { actor, reason } = {}) {
+    const before = await Auction.findById(auctionId).select('highestBidCampaign');
+    await BidEvent.append(auctionId, bids.map(bid => ({
+        type: 'bid_retracted',
+        bidder: bid.bidder,
+        amount: bid.amount,
+        isProxy: bid.isProxy,
+        relatedSequence: bid.sequence,
+        reason,
+        data: { actor },
+    })));
+
+    // The retractions are on the ledger now, so a rebuild that loses a race only needs repeating
+    for (let attempt = 0; attempt < MAX_REBUILD_ATTEMPTS; attempt++) {
+        const auction = await rebuildAuctionState(auctionId);
+        if (auction) {
+            await moveHolds(before && before.highestBidCampaign, auction, bids);
+            return auction;
+        }
+    }
+    throw new Error(`Auction ${auctionId} kept changing while rebuilding after a retraction.`);
+}
+
+module.exports = {
+    reduceBidEvents,
+    replayAuction,
+    rebuildAuctionState,
+    retractBids,
+};
@@ -0,0 +1,115 @@
+// Bid rules shared by the BiddingEngine and the offline simulator (scripts/simulateAuctions.js).
+// They only change the auction document they are given; loading, committing and publishing
+// are left to the caller, so the same rules run against Mongo or entirely in memory.
+
+const { resolveProxyBids } = require('./adMarketplaceUtils');
+
+// Weight (see models/scoringWeights.js) each priority score component is multiplied by, in display order
+const SCORE_WEIGHT_KEYS = Object.freeze({
+    bidAmount: 'bidAmount',
+    historicalWinRate: 'historicalBehavior',
+    engagement: 'engagementScore',
+    sustainability: 'sustainability',
+    auctionActivity: 'activityScore',
+});
+
+/**
+ * Weighted sum of a bid's raw priority score components
+ * @param {Object} raws - Raw value per component name.
+ * @param {Object} weights - Weight per weight key.
+ * @returns {Object} - { score, components: [{ name, raw, weight, contribution }] }
+ */
+function weighPriorityScore(raws, weights) {
+    const components = Object.entries(SCORE_WEIGHT_KEYS).map(([name, key]) => {
+        const raw = Number(raws[name]) || 0;
+        const weight = weights[key];
+        return { name, raw, weight, contribution: raw * weight };
+    });
+    return {
+        score: components.reduce((sum, component) => sum + component.contribution, 0),
+        components,
+    };
+}
+
+// Append a bid to the auction's bid history. Bids that were not converted (proxy bids)
+// were made in the auction's own currency.
+function recordBid(bid, auction) {
+    auction.bidHistory.push({
+        user: bid.bidderId,
+        campaign: bid.campaignId,
+        amount: bid.amount,
+        originalAmount: bid.originalAmount !== undefined ? bid.originalAmount : bid.amount,
+        originalCurrency: bid.originalCurrency || auction.currency,
+        exchangeRate: bid.exchangeRate || 1,
+        isProxy: Boolean(bid.isProxy),
+        timestamp: bid.timestamp,
+    });
+}
+
+/**
+ * Apply a bid to the leader, runner-up, clearing price and soft close. The soft close runs
+ * from bid.timestamp, which callers set to when they received the bid (the engine's server
+ * clock, or the simulator's virtual one), never to a time the bidder sent.
+ * @returns {Boolean} - Whether the bid changed the auction's standings.
+ */
+function updateHighestBid(bid, auction) {
+    if (bid.amount > auction.highestBid) {
+        // A leader raising their own bid must not become their own runner-up
+        if (String(auction.highestBidder) !== String(bid.bidderId)) {
+            auction.runnerUpBid = auction.highestBid;
+        }
+        auction.highestBid = bid.amount;
+        auction.highestBidder = bid.bidderId;
+        auction.highestBidCampaign = bid.campaignId;
+    } else if (bid.amount > auction.runnerUpBid && String(auction.highestBidder) !== String(bid.bidderId)) {
+        auction.runnerUpBid = bid.amount;
+    } else {
+        return false;
+    }
+
+    auction.clearingPrice = auction.calculateClearingPrice();
+    auction.applySoftClose(new Date(bid.timestamp || Date.now()));
+    return true;
+}
+
+/**
+ * Answer the current leader with the auction's active proxy ceilings
+ * @param {Object} auction - Auction loaded with proxyBids.
+ * @param {Date} now - Time the automatic bids are placed at.
+ * @param {Set} skipBidders - User IDs whose ceilings sit this round out (e.g. off their campaign's schedule).
+ * @returns {Array} - Automatic bids placed, already recorded and applied.
+ */
+function applyProxyBids(auction, now = new Date(), skipBidders = new Set()) {
+    const leadingBid = [...auction.bidHistory].reverse().find(b => String(b.user) === String(auction.highestBidder));
+    const autoBids = resolveProxyBids({
+        highestBid: auction.highestBid,
+        highestBidder: auction.highestBidder,
+        leadingBidAt: leadingBid && leadingBid.timestamp,
+        minimumIncrement: auction.minimumIncrement,
+        startingBid: auction.startingBid,
+    }, auction.proxyBids.filter(proxy => !skipBidders.has(String(proxy.user))));
+
+    return autoBids.map(autoBid => {
+        const proxy = auction.proxyBids.find(p => String(p.user) === String(autoBid.bidderId));
+        const bid = {
+            auctionId: auction._id,
+            bidderId: autoBid.bidderId,
+            campaignId: proxy.campaign,
+            amount: autoBid.amount,
+            currency: auction.currency,
+            isProxy: true,
+            timestamp: now.toISOString(),
+        };
+        recordBid(bid, auction);
+        updateHighestBid(bid, auction);
+        return bid;
+    });
+}
+
+module.exports = {
+    SCORE_WEIGHT_KEYS,
+    weighPriorityScore,
+    recordBid,
+    updateHighestBid,
+    applyProxyBids,
+};
@@ -0,0 +1,57 @@
+// Weekly delivery schedules (dayparting). A schedule is a list of windows such as
+// { days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00' }, read in the schedule's own timezone;
+// days count from 0 = Sunday and windows end before `end` ('24:00' runs to midnight).
+
+// HH:MM on a 24-hour clock
+const CLOCK_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const clockMinutes = clock => {
+    const [hours, minutes] = clock.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Day of the week and minute of the day `date` falls on in `timeZone`
+function localTime(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return { day: WEEKDAYS.indexOf(parts.weekday), minute: clockMinutes(`${parts.hour}:${parts.minute}`) };
+}
+
+/**
+ * Whether a schedule allows delivery at a moment. A schedule without windows always does.
+ * @param {Object} schedule - { timezone, windows: [{ days, start, end }] }
+ * @param {Date} date - Moment to check.
+ * @returns {Boolean}
+ */
+function isWithinSchedule(schedule, date) {
+    if (!schedule || !schedule.windows || !schedule.windows.length) {
+        return true;
+    }
+    const { day, minute } = localTime(new Date(date), schedule.timezone || 'UTC');
+    return schedule.windows.some(window => window.days.includes(day)
+        && minute >= clockMinutes(window.start)
+        && minute < clockMinutes(window.end));
+}
+
+module.exports = {
+    CLOCK_PATTERN,
+    isValidTimeZone,
+    clockMinutes,
+    localTime,
+    isWithinSchedule,
+};
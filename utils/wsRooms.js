@@ -0,0 +1,159 @@
+// WebSocket rooms. Clients subscribe to an auction, a stream or an advertiser and only
+// receive that room's updates. Auction rooms get everything about one auction, stream rooms
+// (keyed by streamer ID) the bid updates of every auction on that channel, and advertiser
+// rooms their advertiser's outbid notices. Messages are fanned out through Redis pub/sub, so a
+// publish on any replica reaches room members connected to every other replica.
+//
+// Client protocol:
+//   -> { action: 'SUBSCRIBE', room: { type: 'auction', id } }    <- { type: 'SUBSCRIBED', room: 'auction:<id>' }
+//   -> { action: 'UNSUBSCRIBE', room: { type: 'auction', id } }  <- { type: 'UNSUBSCRIBED', room: 'auction:<id>' }
+//   <- { ...payload, room: 'auction:<id>' } for every update published to the room
+
+const WebSocket = require('ws');
+const Redis = require('redis');
+const logger = require('./logger');
+
+const ROOM_CHANNEL = 'room_broadcast';
+const ROOM_TYPES = ['auction', 'stream', 'advertiser'];
+const MAX_ROOMS_PER_CLIENT = 50;
+
+const redisClient = Redis.createClient();
+const redisPublisher = redisClient.duplicate();
+
+function roomKey(type, id) {
+    return `${type}:${id}`;
+}
+
+/**
+ * Publish a message to every member of a room, on all replicas
+ * @param {String} room - Room key, e.g. roomKey('auction', auctionId).
+ * @param {Object} payload - Message sent to members; `room` is added to it.
+ */
+function publishToRoom(room, payload) {
+    redisPublisher.publish(ROOM_CHANNEL, JSON.stringify({ room, payload }));
+}
+
+// Advertiser rooms carry private data (e.g. outbid notices) and are limited to that advertiser
+function defaultAuthorize(ws, type, id) {
+    if (type === 'advertiser') {
+        return Boolean(ws.user) && String(ws.user.id) === String(id);
+    }
+    return true;
+}
+
+class RoomHub {
+    constructor({ authorize = defaultAuthorize } = {}) {
+        this.authorize = authorize;
+        this.members = new Map();
+        this.subscriptions = new WeakMap();
+    }
+
+    // Start delivering room messages published by any replica to this server's clients.
+    // A hub can serve several servers in one process; it subscribes to Redis once.
+    attach(wss) {
+        if (!this.subscriber) {
+            this.subscriber = redisClient.duplicate();
+            this.subscriber.on('message', (channel, message) => {
+                if (channel !== ROOM_CHANNEL) return;
+                try {
+                    const { room, payload } = JSON.parse(message);
+                    this.deliver(room, payload);
+                } catch (error) {
+                    logger.error('Invalid room broadcast:', error);
+                }
+            });
+            this.subscriber.subscribe(ROOM_CHANNEL);
+        }
+
+        wss.on('connection', (ws) => {
+            ws.on('close', () => this.leaveAll(ws));
+        });
+        return this;
+    }
+
+    /**
+     * Handle SUBSCRIBE / UNSUBSCRIBE control messages.
+     * @returns {Boolean} - True if the message was a room control message.
+     */
+    handleMessage(ws, message) {
+        if (message.action !== 'SUBSCRIBE' && message.action !== 'UNSUBSCRIBE') {
+            return false;
+        }
+
+        const { type, id } = message.room || {};
+        if (!ROOM_TYPES.includes(type) || !id) {
+            this.send(ws, { type: 'ERROR', message: `Room must be one of ${ROOM_TYPES.join(', ')} with an id.` });
+            return true;
+        }
+
+        const room = roomKey(type, id);
+        if (message.action === 'UNSUBSCRIBE') {
+            this.leave(ws, room);
+            this.send(ws, { type: 'UNSUBSCRIBED', room });
+        } else if (!this.authorize(ws, type, id)) {
+            this.send(ws, { type: 'ERROR', message: `Not allowed to join ${room}.` });
+        } else if (!this.join(ws, room)) {
+            this.send(ws, { type: 'ERROR', message: `Cannot join more than ${MAX_ROOMS_PER_CLIENT} rooms.` });
+        } else {
+            this.send(ws, { type: 'SUBSCRIBED', room });
+        }
+        return true;
+    }
+
+    join(ws, room) {
+        const rooms = this.subscriptions.get(ws) || new Set();
+        if (!rooms.has(room) && rooms.size >= MAX_ROOMS_PER_CLIENT) {
+            return false;
+        }
+        rooms.add(room);
+        this.subscriptions.set(ws, rooms);
+
+        if (!this.members.has(room)) {
+            this.members.set(room, new Set());
+        }
+        this.members.get(room).add(ws);
+        return true;
+    }
+
+    leave(ws, room) {
+        const members = this.members.get(room);
+        if (members) {
+            members.delete(ws);
+            if (!members.size) this.members.delete(room);
+        }
+        const rooms = this.subscriptions.get(ws);
+        if (rooms) rooms.delete(room);
+    }
+
+    leaveAll(ws) {
+        for (const room of this.subscriptions.get(ws) || []) {
+            this.leave(ws, room);
+        }
+        this.subscriptions.delete(ws);
+    }
+
+    // Send to this server's members of a room; other replicas do the same for theirs
+    deliver(room, payload) {
+        const members = this.members.get(room);
+        if (!members) return;
+        const message = JSON.stringify({ ...payload, room });
+        members.forEach(client => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(message);
+            }
+        });
+    }
+
+    send(ws, payload) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(payload));
+        }
+    }
+}
+
+module.exports = {
+    ROOM_TYPES,
+    RoomHub,
+    roomKey,
+    publishToRoom,
+};